@@ -1,16 +1,86 @@
+mod models;
+mod sidecars;
+mod storage;
+mod tools;
+
+use serde::Serialize;
+use tauri_plugin_log::{RotationStrategy, Target, TargetKind};
+
+#[derive(Serialize)]
+struct CursorPosition {
+  x: f64,
+  y: f64,
+}
+
+/// Global cursor position relative to the window's client area, in logical pixels.
+/// Unlike DOM pointer events this keeps reporting when the cursor is outside the window.
+#[tauri::command]
+fn cursor_position(window: tauri::WebviewWindow) -> Result<CursorPosition, String> {
+  let cursor = window.cursor_position().map_err(|e| e.to_string())?;
+  let origin = window.inner_position().map_err(|e| e.to_string())?;
+  let scale = window.scale_factor().map_err(|e| e.to_string())?;
+  Ok(CursorPosition {
+    x: (cursor.x - origin.x as f64) / scale,
+    y: (cursor.y - origin.y as f64) / scale,
+  })
+}
+
+/// Quit from any window. Closing only the widget would leave the app running while the
+/// pop-out chat is open, and with it the servers that RunEvent::Exit stops.
+#[tauri::command]
+fn quit_app(app: tauri::AppHandle) {
+  app.exit(0);
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
   tauri::Builder::default()
+    .plugin(tauri_plugin_dialog::init())
+    .plugin(tauri_plugin_clipboard_manager::init())
     .setup(|app| {
-      if cfg!(debug_assertions) {
-        app.handle().plugin(
-          tauri_plugin_log::Builder::default()
-            .level(log::LevelFilter::Info)
-            .build(),
-        )?;
-      }
+      #[cfg(desktop)]
+      app.handle().plugin(tauri_plugin_global_shortcut::Builder::new().build())?;
+      // Release builds too: the servers' output and restarts (see sidecars.rs) go to this log
+      app.handle().plugin(
+        tauri_plugin_log::Builder::default()
+          .level(log::LevelFilter::Info)
+          .targets([
+            Target::new(TargetKind::Stdout),
+            Target::new(TargetKind::LogDir { file_name: Some("sharon".into()) }),
+          ])
+          .max_file_size(5_000_000)
+          .rotation_strategy(RotationStrategy::KeepOne)
+          .build(),
+      )?;
+      sidecars::start(app.handle());
       Ok(())
     })
-    .run(tauri::generate_context!())
-    .expect("error while running tauri application");
+    .invoke_handler(tauri::generate_handler![
+      cursor_position,
+      quit_app,
+      storage::load_conversation,
+      storage::save_conversation,
+      storage::load_memory,
+      storage::save_memory,
+      storage::clear_memory,
+      storage::load_reminders,
+      storage::save_reminders,
+      storage::load_config,
+      storage::save_config,
+      tools::run_tool,
+      tools::get_allowed_tools,
+      tools::set_allowed_tools,
+      models::list_models,
+      models::import_model,
+      models::read_model,
+      models::delete_model,
+    ])
+    .build(tauri::generate_context!())
+    .expect("error while building tauri application")
+    .run(|app, event| {
+      // Quitting (✕, the tray, or closing the last window) ends the servers it started
+      if let tauri::RunEvent::Exit = event {
+        sidecars::stop_all(app);
+      }
+    });
 }
@@ -0,0 +1,111 @@
+//! Model library — VRM files the user imported, copied into `models/` in the app data dir
+//! so they survive the originals being moved or deleted.
+
+use std::{
+  fs,
+  io::{ErrorKind, Read},
+  path::{Path, PathBuf},
+};
+
+use serde::Serialize;
+use tauri::{ipc::Response, AppHandle, Manager};
+
+const MODELS_DIR: &str = "models";
+
+#[derive(Serialize)]
+pub struct ModelEntry {
+  /// File name inside the library, used as the model's id
+  id: String,
+  name: String,
+  size: u64,
+}
+
+fn models_dir(app: &AppHandle) -> Result<PathBuf, String> {
+  let dir = app
+    .path()
+    .app_data_dir()
+    .map_err(|e| e.to_string())?
+    .join(MODELS_DIR);
+  fs::create_dir_all(&dir).map_err(|e| e.to_string())?;
+  Ok(dir)
+}
+
+/// Resolve a library id to its path, refusing anything that isn't a plain file name
+fn model_path(app: &AppHandle, id: &str) -> Result<PathBuf, String> {
+  let is_plain = Path::new(id).file_name().map(|name| name == id).unwrap_or(false);
+  if !is_plain || !id.to_lowercase().ends_with(".vrm") {
+    return Err(format!("invalid model id: {id}"));
+  }
+  Ok(models_dir(app)?.join(id))
+}
+
+fn entry(path: &Path) -> Option<ModelEntry> {
+  let id = path.file_name()?.to_str()?.to_string();
+  let name = path.file_stem()?.to_str()?.to_string();
+  let size = fs::metadata(path).ok()?.len();
+  Some(ModelEntry { id, name, size })
+}
+
+/// VRM 0.x and 1.0 are both binary glTF: the file starts with the "glTF" magic
+fn is_glb(path: &Path) -> bool {
+  let mut magic = [0u8; 4];
+  fs::File::open(path)
+    .and_then(|mut file| file.read_exact(&mut magic))
+    .map(|_| &magic == b"glTF")
+    .unwrap_or(false)
+}
+
+#[tauri::command]
+pub fn list_models(app: AppHandle) -> Result<Vec<ModelEntry>, String> {
+  let mut models: Vec<ModelEntry> = fs::read_dir(models_dir(&app)?)
+    .map_err(|e| e.to_string())?
+    .filter_map(|item| item.ok().map(|item| item.path()))
+    .filter(|path| path.extension().map(|ext| ext.eq_ignore_ascii_case("vrm")).unwrap_or(false))
+    .filter_map(|path| entry(&path))
+    .collect();
+  models.sort_by(|a, b| a.name.to_lowercase().cmp(&b.name.to_lowercase()));
+  Ok(models)
+}
+
+/// Copy a VRM file into the library. An existing model with the same name gets a numbered copy.
+#[tauri::command]
+pub fn import_model(app: AppHandle, path: String) -> Result<ModelEntry, String> {
+  let source = PathBuf::from(&path);
+  let is_vrm = source.extension().map(|ext| ext.eq_ignore_ascii_case("vrm")).unwrap_or(false);
+  if !is_vrm || !is_glb(&source) {
+    return Err(format!("not a VRM file: {path}"));
+  }
+
+  let dir = models_dir(&app)?;
+  let stem = source
+    .file_stem()
+    .and_then(|stem| stem.to_str())
+    .unwrap_or("model")
+    .to_string();
+  let mut target = dir.join(format!("{stem}.vrm"));
+  let mut n = 2;
+  while target.exists() {
+    target = dir.join(format!("{stem}-{n}.vrm"));
+    n += 1;
+  }
+  fs::copy(&source, &target).map_err(|e| e.to_string())?;
+  entry(&target).ok_or_else(|| "could not read the imported model".to_string())
+}
+
+/// Raw bytes of a library model, returned as an ArrayBuffer on the JS side
+#[tauri::command]
+pub fn read_model(app: AppHandle, id: String) -> Result<Response, String> {
+  let bytes = fs::read(model_path(&app, &id)?).map_err(|e| match e.kind() {
+    ErrorKind::NotFound => format!("model not found: {id}"),
+    _ => e.to_string(),
+  })?;
+  Ok(Response::new(bytes))
+}
+
+#[tauri::command]
+pub fn delete_model(app: AppHandle, id: String) -> Result<(), String> {
+  match fs::remove_file(model_path(&app, &id)?) {
+    Err(e) if e.kind() != ErrorKind::NotFound => Err(e.to_string()),
+    _ => Ok(()),
+  }
+}
@@ -0,0 +1,380 @@
+//! Sidecars — local servers (Ollama, the TTS server) the widget can start itself.
+//!
+//! Definitions come from `sidecars` in the config file and are read once at launch. The
+//! webview can rewrite that file through `save_config`, so a command line (with its
+//! environment) only runs once the user has approved it in a native dialog; approvals are kept
+//! in a data file no command writes. Each process is started unless something already listens
+//! on its port, is probed until it answers, restarted with backoff if it exits, has its output
+//! forwarded to the log, and is stopped when the app exits. State changes are emitted as
+//! `sidecar-status` events.
+
+use std::{
+  collections::HashMap,
+  io::{BufRead, BufReader, Read, Write},
+  net::{SocketAddr, TcpStream},
+  process::{Child, Command, ExitStatus, Stdio},
+  sync::{
+    atomic::{AtomicBool, Ordering},
+    Arc, Mutex,
+  },
+  thread,
+  time::{Duration, Instant},
+};
+
+use serde::{Deserialize, Serialize};
+use serde_json::{json, Value};
+use tauri::{AppHandle, Emitter, Manager};
+use tauri_plugin_dialog::{DialogExt, MessageDialogButtons, MessageDialogKind};
+
+use crate::storage;
+
+const POLL: Duration = Duration::from_millis(250);
+const READY_TIMEOUT: Duration = Duration::from_secs(60);
+const MAX_BACKOFF_SECS: u64 = 30;
+/// A process that ran this long before exiting was healthy; its backoff starts over
+const STABLE_AFTER: Duration = Duration::from_secs(60);
+const STOP_GRACE: Duration = Duration::from_secs(3);
+/// Command lines the user has agreed to run
+const APPROVED_FILE: &str = "approved-sidecars.json";
+
+#[derive(Deserialize, Clone)]
+struct SidecarSpec {
+  name: String,
+  #[serde(default)]
+  command: String,
+  #[serde(default)]
+  args: Vec<String>,
+  #[serde(default)]
+  env: HashMap<String, String>,
+  /// Port the server listens on (127.0.0.1). Already in use = someone else runs it.
+  port: Option<u16>,
+  /// HTTP path that answers once the server is ready; empty = the port accepting connections
+  #[serde(default)]
+  probe: String,
+}
+
+impl SidecarSpec {
+  /// What the approval covers: everything that decides what runs
+  fn command_line(&self) -> Value {
+    json!({ "command": self.command, "args": self.args, "env": self.env })
+  }
+}
+
+#[derive(Deserialize, Default)]
+struct SidecarConfig {
+  #[serde(default)]
+  enabled: bool,
+  #[serde(default)]
+  processes: Vec<SidecarSpec>,
+}
+
+#[derive(Serialize, Clone)]
+struct SidecarStatus {
+  name: String,
+  /// "starting" | "ready" | "external" | "crashed" | "failed" | "declined"
+  state: String,
+}
+
+struct Sidecar {
+  spec: SidecarSpec,
+  child: Mutex<Option<Child>>,
+}
+
+#[derive(Default)]
+pub struct Sidecars {
+  list: Mutex<Vec<Arc<Sidecar>>>,
+  stopping: AtomicBool,
+}
+
+fn stopping(app: &AppHandle) -> bool {
+  app.state::<Sidecars>().stopping.load(Ordering::SeqCst)
+}
+
+fn set_state(app: &AppHandle, sidecar: &Sidecar, state: &str) {
+  let status = SidecarStatus { name: sidecar.spec.name.clone(), state: state.to_string() };
+  if let Err(e) = app.emit("sidecar-status", status) {
+    log::warn!("sidecar {}: could not emit status: {e}", sidecar.spec.name);
+  }
+}
+
+fn local(port: u16) -> SocketAddr {
+  SocketAddr::from(([127, 0, 0, 1], port))
+}
+
+fn is_listening(port: u16) -> bool {
+  TcpStream::connect_timeout(&local(port), Duration::from_millis(300)).is_ok()
+}
+
+/// Port open and, with a probe path, any HTTP answer below 500
+fn is_ready(spec: &SidecarSpec) -> bool {
+  let Some(port) = spec.port else {
+    return true;
+  };
+  let Ok(mut stream) = TcpStream::connect_timeout(&local(port), Duration::from_millis(500)) else {
+    return false;
+  };
+  if spec.probe.is_empty() {
+    return true;
+  }
+  let _ = stream.set_read_timeout(Some(Duration::from_secs(2)));
+  let request = format!("GET {} HTTP/1.0\r\nHost: 127.0.0.1:{port}\r\n\r\n", spec.probe);
+  if stream.write_all(request.as_bytes()).is_err() {
+    return false;
+  }
+  // "HTTP/1.1 200" — the first digit of the status code is the 10th byte
+  let mut status = [0u8; 12];
+  stream.read_exact(&mut status).is_ok() && status.starts_with(b"HTTP/") && matches!(status[9], b'1'..=b'4')
+}
+
+/// Forward each line a process prints to the log, under the `sidecar::<name>` target
+fn forward_output(name: &str, stream: Option<impl Read + Send + 'static>) {
+  let Some(stream) = stream else {
+    return;
+  };
+  let target = format!("sidecar::{name}");
+  thread::spawn(move || {
+    // Most servers write all their logging to stderr, so both streams log at info
+    for line in BufReader::new(stream).lines().map_while(Result::ok) {
+      log::info!(target: target.as_str(), "{line}");
+    }
+  });
+}
+
+fn spawn(sidecar: &Sidecar) -> std::io::Result<u32> {
+  let spec = &sidecar.spec;
+  let mut command = Command::new(&spec.command);
+  command
+    .args(&spec.args)
+    .envs(&spec.env)
+    .stdin(Stdio::null())
+    .stdout(Stdio::piped())
+    .stderr(Stdio::piped());
+  #[cfg(windows)]
+  {
+    use std::os::windows::process::CommandExt;
+    // CREATE_NO_WINDOW — no console window popping up next to the widget
+    command.creation_flags(0x0800_0000);
+  }
+  let mut child = command.spawn()?;
+  forward_output(&spec.name, child.stdout.take());
+  forward_output(&spec.name, child.stderr.take());
+  let pid = child.id();
+  *sidecar.child.lock().unwrap() = Some(child);
+  Ok(pid)
+}
+
+/// Wait for the process to exit, reporting when it becomes ready on the way.
+/// Returns `None` when the app is stopping (or the process can't be waited on).
+fn run_until_exit(app: &AppHandle, sidecar: &Sidecar) -> Option<ExitStatus> {
+  let name = &sidecar.spec.name;
+  let started = Instant::now();
+  let mut ready = false;
+  let mut warned = false;
+  loop {
+    if stopping(app) {
+      return None;
+    }
+    {
+      let mut child = sidecar.child.lock().unwrap();
+      let exited = child.as_mut()?.try_wait();
+      match exited {
+        Ok(Some(status)) => {
+          child.take();
+          return Some(status);
+        }
+        Ok(None) => {}
+        Err(e) => {
+          log::error!("sidecar {name}: could not wait on the process: {e}");
+          return None;
+        }
+      }
+    }
+    if !ready && is_ready(&sidecar.spec) {
+      ready = true;
+      log::info!("sidecar {name}: ready after {:.1}s", started.elapsed().as_secs_f32());
+      set_state(app, sidecar, "ready");
+    } else if !ready && !warned && started.elapsed() > READY_TIMEOUT {
+      warned = true;
+      log::warn!("sidecar {name}: still not answering after {}s", READY_TIMEOUT.as_secs());
+    }
+    thread::sleep(POLL);
+  }
+}
+
+fn sleep_unless_stopping(app: &AppHandle, duration: Duration) {
+  let until = Instant::now() + duration;
+  while Instant::now() < until && !stopping(app) {
+    thread::sleep(POLL);
+  }
+}
+
+/// Start a sidecar and keep it running until the app stops
+fn supervise(app: AppHandle, sidecar: Arc<Sidecar>) {
+  let name = sidecar.spec.name.clone();
+  let mut failures: u32 = 0;
+  while !stopping(&app) {
+    if let Some(port) = sidecar.spec.port.filter(|&port| is_listening(port)) {
+      log::info!("sidecar {name}: port {port} is already in use, leaving the running server alone");
+      set_state(&app, &sidecar, "external");
+      return;
+    }
+
+    set_state(&app, &sidecar, "starting");
+    match spawn(&sidecar) {
+      Ok(pid) => log::info!("sidecar {name}: started `{}` (pid {pid})", sidecar.spec.command),
+      Err(e) => {
+        // A missing binary won't appear by retrying
+        log::error!("sidecar {name}: could not start `{}`: {e}", sidecar.spec.command);
+        set_state(&app, &sidecar, "failed");
+        return;
+      }
+    }
+
+    let started = Instant::now();
+    let Some(status) = run_until_exit(&app, &sidecar) else {
+      return;
+    };
+    failures = if started.elapsed() >= STABLE_AFTER { 1 } else { failures + 1 };
+    let delay = Duration::from_secs((1u64 << failures.min(5)).min(MAX_BACKOFF_SECS));
+    log::warn!("sidecar {name}: exited ({status}), restarting in {}s", delay.as_secs());
+    set_state(&app, &sidecar, "crashed");
+    sleep_unless_stopping(&app, delay);
+  }
+}
+
+fn read_approved(app: &AppHandle) -> Vec<Value> {
+  let approved = storage::data_path(app, APPROVED_FILE).and_then(|path| storage::read_json(&path));
+  match approved {
+    Ok(Some(Value::Array(list))) => list,
+    Ok(_) => Vec::new(),
+    Err(e) => {
+      log::warn!("could not read approved sidecars: {e}");
+      Vec::new()
+    }
+  }
+}
+
+/// Ask the user before running a command line for the first time. Blocks until answered, so
+/// not on the main thread.
+fn approve(app: &AppHandle, spec: &SidecarSpec, approved: &mut Vec<Value>) -> bool {
+  let command_line = spec.command_line();
+  if approved.contains(&command_line) {
+    return true;
+  }
+  let mut shown = std::iter::once(spec.command.as_str())
+    .chain(spec.args.iter().map(String::as_str))
+    .collect::<Vec<_>>()
+    .join(" ");
+  let mut env: Vec<_> = spec.env.iter().map(|(key, value)| format!("{key}={value}")).collect();
+  env.sort();
+  if !env.is_empty() {
+    shown = format!("{shown}\n\nwith {}", env.join(", "));
+  }
+  let allowed = app
+    .dialog()
+    .message(format!("Start the server \"{}\" with the widget? It runs:\n\n{shown}", spec.name))
+    .title("Start server")
+    .kind(MessageDialogKind::Warning)
+    .buttons(MessageDialogButtons::OkCancelCustom("Start".into(), "Don't start".into()))
+    .blocking_show();
+  if !allowed {
+    return false;
+  }
+  approved.push(command_line);
+  let saved = storage::data_path(app, APPROVED_FILE)
+    .and_then(|path| storage::write_json(&path, &Value::Array(approved.clone())));
+  if let Err(e) = saved {
+    log::warn!("could not save approved sidecars: {e}");
+  }
+  true
+}
+
+/// Read the sidecar definitions and start the enabled ones. Call once from setup.
+pub fn start(app: &AppHandle) {
+  app.manage(Sidecars::default());
+  let config = match storage::read_config(app) {
+    Ok(config) => config
+      .and_then(|config| config.get("sidecars").cloned())
+      .map(serde_json::from_value::<SidecarConfig>)
+      .transpose()
+      .unwrap_or_else(|e| {
+        log::warn!("invalid sidecar settings: {e}");
+        None
+      })
+      .unwrap_or_default(),
+    Err(e) => {
+      log::warn!("could not read sidecar settings: {e}");
+      SidecarConfig::default()
+    }
+  };
+  if !config.enabled {
+    return;
+  }
+
+  // One thread asks about new command lines one at a time, then hands each to its supervisor
+  let app = app.clone();
+  thread::spawn(move || {
+    let mut approved = read_approved(&app);
+    for spec in config.processes.into_iter().filter(|spec| !spec.command.trim().is_empty()) {
+      if stopping(&app) {
+        return;
+      }
+      let sidecar = Arc::new(Sidecar { spec, child: Mutex::new(None) });
+      if !approve(&app, &sidecar.spec, &mut approved) {
+        log::warn!("sidecar {}: not started, the user declined `{}`", sidecar.spec.name, sidecar.spec.command);
+        set_state(&app, &sidecar, "declined");
+        continue;
+      }
+      app.state::<Sidecars>().list.lock().unwrap().push(sidecar.clone());
+      let app = app.clone();
+      thread::spawn(move || supervise(app, sidecar));
+    }
+  });
+}
+
+/// Ask a process to exit — SIGTERM on Unix, so servers can clean up. Elsewhere there is no
+/// polite way, and stop_all kills it.
+fn ask_to_exit(child: &Child) {
+  #[cfg(unix)]
+  {
+    let _ = Command::new("kill").arg("-TERM").arg(child.id().to_string()).status();
+  }
+  #[cfg(not(unix))]
+  let _ = child;
+}
+
+/// Stop every sidecar this app started. Called when the app exits: all of them are asked at
+/// once and share one grace period, then whatever is still running is killed.
+pub fn stop_all(app: &AppHandle) {
+  let Some(sidecars) = app.try_state::<Sidecars>() else {
+    return;
+  };
+  sidecars.stopping.store(true, Ordering::SeqCst);
+  let mut children: Vec<(String, Child)> = sidecars
+    .list
+    .lock()
+    .unwrap()
+    .iter()
+    .filter_map(|sidecar| Some((sidecar.spec.name.clone(), sidecar.child.lock().unwrap().take()?)))
+    .collect();
+  if children.is_empty() {
+    return;
+  }
+
+  for (_, child) in &children {
+    ask_to_exit(child);
+  }
+  if cfg!(unix) {
+    let deadline = Instant::now() + STOP_GRACE;
+    while Instant::now() < deadline
+      && children.iter_mut().any(|(_, child)| !matches!(child.try_wait(), Ok(Some(_))))
+    {
+      thread::sleep(Duration::from_millis(100));
+    }
+  }
+  for (name, mut child) in children {
+    let _ = child.kill();
+    let _ = child.wait();
+    log::info!("sidecar {name}: stopped");
+  }
+}
@@ -0,0 +1,132 @@
+//! JSON persistence for the widget — conversation history, long-term memory and reminders
+//! live as plain JSON files in the app data dir, settings in the app config dir.
+//! Each character has its own conversation and memory files under `conversations/` and `memories/`.
+
+use std::{
+  fs,
+  io::ErrorKind,
+  path::{Path, PathBuf},
+};
+
+use serde_json::Value;
+use tauri::{AppHandle, Manager};
+
+const CONVERSATION_FILE: &str = "conversation.json";
+const MEMORY_FILE: &str = "memory.json";
+const CONFIG_FILE: &str = "config.json";
+const REMINDERS_FILE: &str = "reminders.json";
+const CONVERSATIONS_DIR: &str = "conversations";
+const MEMORIES_DIR: &str = "memories";
+
+/// A file in the app data dir (created on demand), also used by tools.rs for notes
+pub fn data_path(app: &AppHandle, file: &str) -> Result<PathBuf, String> {
+  let dir = app.path().app_data_dir().map_err(|e| e.to_string())?;
+  fs::create_dir_all(&dir).map_err(|e| e.to_string())?;
+  Ok(dir.join(file))
+}
+
+fn config_path(app: &AppHandle) -> Result<PathBuf, String> {
+  let dir = app.path().app_config_dir().map_err(|e| e.to_string())?;
+  fs::create_dir_all(&dir).map_err(|e| e.to_string())?;
+  Ok(dir.join(CONFIG_FILE))
+}
+
+/// A character's file: `<dir>/<id>.json`, or the original single-character `file` for `None`
+fn character_path(app: &AppHandle, file: &str, dir: &str, character: Option<&str>) -> Result<PathBuf, String> {
+  let Some(id) = character else {
+    return data_path(app, file);
+  };
+  let valid = !id.is_empty() && id.chars().all(|c| c.is_ascii_alphanumeric() || c == '-' || c == '_');
+  if !valid {
+    return Err(format!("invalid character id: {id}"));
+  }
+  let dir = data_path(app, dir)?;
+  fs::create_dir_all(&dir).map_err(|e| e.to_string())?;
+  Ok(dir.join(format!("{id}.json")))
+}
+
+fn conversation_path(app: &AppHandle, character: Option<&str>) -> Result<PathBuf, String> {
+  character_path(app, CONVERSATION_FILE, CONVERSATIONS_DIR, character)
+}
+
+fn memory_path(app: &AppHandle, character: Option<&str>) -> Result<PathBuf, String> {
+  character_path(app, MEMORY_FILE, MEMORIES_DIR, character)
+}
+
+/// Read a JSON file, returning `None` if it doesn't exist yet
+pub fn read_json(path: &Path) -> Result<Option<Value>, String> {
+  match fs::read_to_string(path) {
+    Ok(text) => serde_json::from_str(&text)
+      .map(Some)
+      .map_err(|e| format!("{}: {}", path.display(), e)),
+    Err(e) if e.kind() == ErrorKind::NotFound => Ok(None),
+    Err(e) => Err(e.to_string()),
+  }
+}
+
+/// Write a JSON file atomically (temp file + rename) so a crash never leaves half a file
+pub fn write_json(path: &Path, value: &Value) -> Result<(), String> {
+  let text = serde_json::to_string_pretty(value).map_err(|e| e.to_string())?;
+  let tmp = path.with_extension("json.tmp");
+  fs::write(&tmp, text).map_err(|e| e.to_string())?;
+  fs::rename(&tmp, path).map_err(|e| e.to_string())
+}
+
+#[tauri::command]
+pub fn load_conversation(app: AppHandle, character: Option<String>) -> Result<Option<Value>, String> {
+  read_json(&conversation_path(&app, character.as_deref())?)
+}
+
+#[tauri::command]
+pub fn save_conversation(
+  app: AppHandle,
+  conversation: Value,
+  character: Option<String>,
+) -> Result<(), String> {
+  write_json(&conversation_path(&app, character.as_deref())?, &conversation)
+}
+
+#[tauri::command]
+pub fn load_memory(app: AppHandle, character: Option<String>) -> Result<Option<Value>, String> {
+  read_json(&memory_path(&app, character.as_deref())?)
+}
+
+#[tauri::command]
+pub fn save_memory(app: AppHandle, memory: Value, character: Option<String>) -> Result<(), String> {
+  write_json(&memory_path(&app, character.as_deref())?, &memory)
+}
+
+#[tauri::command]
+pub fn clear_memory(app: AppHandle, character: Option<String>) -> Result<(), String> {
+  let path = memory_path(&app, character.as_deref())?;
+  match fs::remove_file(path) {
+    Ok(()) => Ok(()),
+    Err(e) if e.kind() == ErrorKind::NotFound => Ok(()),
+    Err(e) => Err(e.to_string()),
+  }
+}
+
+#[tauri::command]
+pub fn load_reminders(app: AppHandle) -> Result<Option<Value>, String> {
+  read_json(&data_path(&app, REMINDERS_FILE)?)
+}
+
+#[tauri::command]
+pub fn save_reminders(app: AppHandle, reminders: Value) -> Result<(), String> {
+  write_json(&data_path(&app, REMINDERS_FILE)?, &reminders)
+}
+
+/// The saved settings, also read by the backend itself (see sidecars.rs)
+pub fn read_config(app: &AppHandle) -> Result<Option<Value>, String> {
+  read_json(&config_path(app)?)
+}
+
+#[tauri::command]
+pub fn load_config(app: AppHandle) -> Result<Option<Value>, String> {
+  read_config(&app)
+}
+
+#[tauri::command]
+pub fn save_config(app: AppHandle, config: Value) -> Result<(), String> {
+  write_json(&config_path(&app)?, &config)
+}
@@ -0,0 +1,190 @@
+//! Tools the chat model can call (descriptions and prompts live in src/tools.js).
+//!
+//! Every call goes through `run_tool`, which checks the tool against the allow-list kept here
+//! in the app data dir, not against `tools.allowed` in the config file the webview can
+//! rewrite. `set_allowed_tools` drops tools freely but only adds the ones the user confirms in
+//! a native dialog, which the webview can't answer for them; `read_clipboard` also asks every
+//! time.
+
+use std::{
+  fs::OpenOptions,
+  io::Write,
+  sync::atomic::{AtomicUsize, Ordering},
+  thread,
+  time::Duration,
+};
+
+use serde::Serialize;
+use serde_json::{json, Value};
+use tauri::{AppHandle, Emitter};
+use tauri_plugin_clipboard_manager::ClipboardExt;
+use tauri_plugin_dialog::{DialogExt, MessageDialogButtons, MessageDialogKind};
+
+use crate::storage;
+
+const NOTES_FILE: &str = "notes.md";
+const ALLOWED_FILE: &str = "allowed-tools.json";
+const MAX_TIMER_SECS: u64 = 24 * 60 * 60;
+/// Each pending timer holds a sleeping thread; the model can't start more than this
+const MAX_PENDING_TIMERS: usize = 10;
+/// How much of the clipboard the confirmation dialog shows
+const CLIPBOARD_PREVIEW_CHARS: usize = 200;
+/// Longer clipboard contents are cut so they don't swamp the model's context
+const MAX_CLIPBOARD_CHARS: usize = 4000;
+const TOOL_NAMES: &[&str] = &["get_time", "set_timer", "add_note", "read_clipboard"];
+/// Used until the list is first changed — matches DEFAULT_CONFIG in src/config.js
+const DEFAULT_ALLOWED: &[&str] = &["get_time", "set_timer", "add_note"];
+
+static PENDING_TIMERS: AtomicUsize = AtomicUsize::new(0);
+
+#[derive(Serialize, Clone)]
+struct TimerFinished {
+  label: String,
+}
+
+fn read_allowed(app: &AppHandle) -> Result<Vec<String>, String> {
+  let saved = storage::read_json(&storage::data_path(app, ALLOWED_FILE)?)?;
+  Ok(match saved {
+    Some(Value::Array(list)) => list.iter().filter_map(Value::as_str).map(String::from).collect(),
+    _ => DEFAULT_ALLOWED.iter().map(|name| name.to_string()).collect(),
+  })
+}
+
+fn is_allowed(app: &AppHandle, name: &str) -> Result<bool, String> {
+  Ok(read_allowed(app)?.iter().any(|allowed| allowed == name))
+}
+
+/// Replace the allow-list with `requested`, asking before adding tools; returns the new list
+fn set_allowed(app: &AppHandle, requested: Vec<String>) -> Result<Vec<String>, String> {
+  let current = read_allowed(app)?;
+  let added: Vec<String> = requested
+    .iter()
+    .filter(|name| TOOL_NAMES.contains(&name.as_str()) && !current.contains(name))
+    .cloned()
+    .collect();
+  let confirmed = added.is_empty()
+    || app
+      .dialog()
+      .message(format!("Let the chat model use {}?", added.join(", ")))
+      .title("Allow tools")
+      .kind(MessageDialogKind::Warning)
+      .buttons(MessageDialogButtons::OkCancelCustom("Allow".into(), "Don't allow".into()))
+      .blocking_show();
+
+  let mut allowed: Vec<String> = Vec::new();
+  for name in requested {
+    let keep = current.contains(&name) || (confirmed && added.contains(&name));
+    if keep && !allowed.contains(&name) {
+      allowed.push(name);
+    }
+  }
+  storage::write_json(&storage::data_path(app, ALLOWED_FILE)?, &json!(allowed))?;
+  if !added.is_empty() {
+    log::info!("tools {}: {}", if confirmed { "allowed" } else { "not allowed" }, added.join(", "));
+  }
+  Ok(allowed)
+}
+
+fn get_time() -> Value {
+  let now = chrono::Local::now();
+  json!({
+    "local": now.format("%A, %-d %B %Y, %H:%M").to_string(),
+    "utc_offset": now.format("%:z").to_string(),
+  })
+}
+
+fn set_timer(app: &AppHandle, args: &Value) -> Result<Value, String> {
+  let minutes = args.get("minutes").and_then(Value::as_f64).ok_or("minutes is required")?;
+  if !(minutes > 0.0) {
+    return Err("minutes must be more than 0".into());
+  }
+  let secs = ((minutes * 60.0).round() as u64).clamp(1, MAX_TIMER_SECS);
+  let label = args.get("label").and_then(Value::as_str).unwrap_or_default().trim().to_string();
+
+  PENDING_TIMERS
+    .fetch_update(Ordering::SeqCst, Ordering::SeqCst, |pending| (pending < MAX_PENDING_TIMERS).then_some(pending + 1))
+    .map_err(|_| format!("{MAX_PENDING_TIMERS} timers are already running; wait for one to end"))?;
+  let app = app.clone();
+  let finished = TimerFinished { label: label.clone() };
+  thread::spawn(move || {
+    thread::sleep(Duration::from_secs(secs));
+    PENDING_TIMERS.fetch_sub(1, Ordering::SeqCst);
+    if let Err(e) = app.emit("timer-finished", finished) {
+      log::warn!("could not emit timer-finished: {e}");
+    }
+  });
+  let ends = chrono::Local::now() + chrono::Duration::seconds(secs as i64);
+  Ok(json!({ "label": label, "ends_at": ends.format("%H:%M:%S").to_string() }))
+}
+
+fn add_note(app: &AppHandle, args: &Value) -> Result<Value, String> {
+  let text = args.get("text").and_then(Value::as_str).map(str::trim).unwrap_or_default();
+  if text.is_empty() {
+    return Err("text is required".into());
+  }
+  let path = storage::data_path(app, NOTES_FILE)?;
+  let mut file = OpenOptions::new().create(true).append(true).open(&path).map_err(|e| e.to_string())?;
+  // One note per line, whatever the model sent
+  let line = text.split_whitespace().collect::<Vec<_>>().join(" ");
+  writeln!(file, "- {} {line}", chrono::Local::now().format("%Y-%m-%d %H:%M")).map_err(|e| e.to_string())?;
+  Ok(json!({ "saved": true, "file": path.display().to_string() }))
+}
+
+fn read_clipboard(app: &AppHandle) -> Result<Value, String> {
+  let text = app.clipboard().read_text().map_err(|e| e.to_string())?;
+  let mut preview: String = text.chars().take(CLIPBOARD_PREVIEW_CHARS).collect();
+  if preview.len() < text.len() {
+    preview.push('…');
+  }
+  let shared = app
+    .dialog()
+    .message(format!("Share the clipboard with the chat model?\n\n{preview}"))
+    .title("Read clipboard")
+    .kind(MessageDialogKind::Warning)
+    .buttons(MessageDialogButtons::OkCancelCustom("Share".into(), "Don't share".into()))
+    .blocking_show();
+  if !shared {
+    return Err("the user declined to share the clipboard".into());
+  }
+  let truncated = text.chars().count() > MAX_CLIPBOARD_CHARS;
+  let text: String = text.chars().take(MAX_CLIPBOARD_CHARS).collect();
+  Ok(json!({ "text": text, "truncated": truncated }))
+}
+
+/// The tools run_tool allows
+#[tauri::command]
+pub fn get_allowed_tools(app: AppHandle) -> Result<Vec<String>, String> {
+  read_allowed(&app)
+}
+
+/// Ask for a new allow-list (Settings → Tools). On a blocking thread, like run_tool, for the
+/// confirmation dialog.
+#[tauri::command]
+pub async fn set_allowed_tools(app: AppHandle, tools: Vec<String>) -> Result<Vec<String>, String> {
+  tauri::async_runtime::spawn_blocking(move || set_allowed(&app, tools))
+    .await
+    .map_err(|e| e.to_string())?
+}
+
+/// Run one tool call from the chat model. Async, and on a blocking thread, so the clipboard
+/// confirmation doesn't wait on the main thread it needs to show.
+#[tauri::command]
+pub async fn run_tool(app: AppHandle, name: String, args: Value) -> Result<Value, String> {
+  tauri::async_runtime::spawn_blocking(move || run(&app, &name, &args))
+    .await
+    .map_err(|e| e.to_string())?
+}
+
+fn run(app: &AppHandle, name: &str, args: &Value) -> Result<Value, String> {
+  if !is_allowed(app, name)? {
+    return Err(format!("the {name} tool is not allowed (Settings → Tools)"));
+  }
+  log::info!("tool {name}");
+  match name {
+    "get_time" => Ok(get_time()),
+    "set_timer" => set_timer(app, args),
+    "add_note" => add_note(app, args),
+    "read_clipboard" => read_clipboard(app),
+    _ => Err(format!("unknown tool: {name}")),
+  }
+}
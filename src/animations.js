@@ -0,0 +1,284 @@
+/**
+ * Body animation — VRM Animation (.vrma), BVH and glTF (e.g. Mixamo) clips retargeted
+ * onto the loaded VRM humanoid and played through a THREE.AnimationMixer.
+ *
+ * One looping idle clip is always playing; one-shot clips cross-fade in over it and
+ * back out before they end. The procedural idle (idle.js) is registered as the clip
+ * "procedural", so it can be swapped and blended like any imported motion.
+ *
+ * Clips are listed in public/animations/manifest.json:
+ *   { "clips": [{ "name": "stretch", "file": "stretch.vrma", "loop": false }] }
+ */
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { BVHLoader } from 'three/addons/loaders/BVHLoader.js';
+import { VRMAnimationLoaderPlugin, createVRMAnimationHumanoidTracks } from '@pixiv/three-vrm-animation';
+import { createIdleClip } from './idle.js';
+
+// Source rig bone names (lower-cased, prefixes and separators stripped) → VRM humanoid bones.
+// Covers Mixamo, most BVH exports (CMU, Rokoko, Truebones) and rigs already named after VRM bones.
+const BONE_ALIASES = {
+  hips: ['hips', 'hip', 'pelvis'],
+  spine: ['spine', 'lowerback', 'spine0', 'abdomen'],
+  chest: ['chest', 'spine1', 'spine01'],
+  upperChest: ['upperchest', 'spine2', 'spine02', 'spine3'],
+  neck: ['neck', 'neck1'],
+  head: ['head'],
+  leftShoulder: ['leftshoulder', 'lshoulder', 'lcollar', 'leftcollar', 'lclavicle', 'leftclavicle'],
+  leftUpperArm: ['leftupperarm', 'leftarm', 'lupperarm', 'lshldr', 'lshoulderjoint'],
+  leftLowerArm: ['leftlowerarm', 'leftforearm', 'lforearm', 'llowerarm', 'lelbow'],
+  leftHand: ['lefthand', 'lhand', 'lwrist'],
+  rightShoulder: ['rightshoulder', 'rshoulder', 'rcollar', 'rightcollar', 'rclavicle', 'rightclavicle'],
+  rightUpperArm: ['rightupperarm', 'rightarm', 'rupperarm', 'rshldr', 'rshoulderjoint'],
+  rightLowerArm: ['rightlowerarm', 'rightforearm', 'rforearm', 'rlowerarm', 'relbow'],
+  rightHand: ['righthand', 'rhand', 'rwrist'],
+  leftUpperLeg: ['leftupperleg', 'leftupleg', 'lthigh', 'leftthigh', 'lupleg', 'lhip'],
+  leftLowerLeg: ['leftlowerleg', 'leftleg', 'lshin', 'leftshin', 'lcalf', 'lknee'],
+  leftFoot: ['leftfoot', 'lfoot', 'lankle'],
+  leftToes: ['lefttoes', 'lefttoebase', 'ltoe', 'ltoes', 'ltoebase'],
+  rightUpperLeg: ['rightupperleg', 'rightupleg', 'rthigh', 'rightthigh', 'rupleg', 'rhip'],
+  rightLowerLeg: ['rightlowerleg', 'rightleg', 'rshin', 'rightshin', 'rcalf', 'rknee'],
+  rightFoot: ['rightfoot', 'rfoot', 'rankle'],
+  rightToes: ['righttoes', 'righttoebase', 'rtoe', 'rtoes', 'rtoebase'],
+};
+const ALIAS_TO_BONE = new Map(
+  Object.entries(BONE_ALIASES).flatMap(([bone, aliases]) => aliases.map(alias => [alias, bone]))
+);
+
+let _vrm = null;
+let _mixer = null;
+let _fadeTime = 0.5;
+// name → { clip, loop }
+let _clips = new Map();
+let _idle = null;          // { name, action }
+let _oneShot = null;       // { action, returning }
+
+/**
+ * Source bone name → VRM humanoid bone name, or null if it isn't a humanoid bone we know
+ */
+function toHumanoidBone(sourceName) {
+  const key = sourceName
+    .replace(/^.*[:|]/, '')          // "mixamorig:Hips", "Armature|Hips"
+    .replace(/^mixamorig/i, '')
+    .replace(/^(j_bip_[clr]_|bip01_?|def-)/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+  return ALIAS_TO_BONE.get(key) ?? null;
+}
+
+/**
+ * Source node and property of a track. BVHLoader names tracks ".bones[Hips].quaternion".
+ */
+function parseTrack(track) {
+  const { nodeName, objectName, objectIndex, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+  return { sourceName: objectName === 'bones' ? objectIndex : nodeName, propertyName };
+}
+
+/**
+ * Retarget a clip authored on another skeleton onto the VRM's normalized bones.
+ * Each rotation is moved out of the source bone's rest frame
+ * (q' = parentRestWorld · q · restWorld⁻¹), since normalized VRM bones rest at identity.
+ * Hips translation is scaled by the ratio of hip heights and kept in place horizontally.
+ */
+function retargetClip(clip, sourceRoot, vrm) {
+  sourceRoot.updateMatrixWorld(true);
+  const restInverse = new THREE.Quaternion();
+  const parentRest = new THREE.Quaternion();
+  const q = new THREE.Quaternion();
+  const flip = vrm.meta?.metaVersion === '0';
+
+  // Hip height from the first frame of the source's hips track, in the track's own units
+  const vrmHips = vrm.humanoid?.getNormalizedBoneNode('hips');
+  const sourceHipsTrack = clip.tracks.find(track => {
+    const { sourceName, propertyName } = parseTrack(track);
+    return propertyName === 'position' && toHumanoidBone(sourceName) === 'hips';
+  });
+  const sourceHipsHeight = sourceHipsTrack?.values[1] ?? 0;
+  const vrmHipsHeight = vrmHips ? vrmHips.getWorldPosition(new THREE.Vector3()).y - vrm.scene.getWorldPosition(new THREE.Vector3()).y : 0;
+
+  const tracks = [];
+  for (const track of clip.tracks) {
+    const { sourceName, propertyName } = parseTrack(track);
+    const bone = toHumanoidBone(sourceName);
+    const target = bone && vrm.humanoid?.getNormalizedBoneNode(bone);
+    const source = target && sourceRoot.getObjectByName(sourceName);
+    if (!source) continue;
+
+    if (propertyName === 'quaternion') {
+      source.getWorldQuaternion(restInverse).invert();
+      if (source.parent) source.parent.getWorldQuaternion(parentRest);
+      else parentRest.identity();
+      const values = new Float32Array(track.values.length);
+      for (let i = 0; i < values.length; i += 4) {
+        q.fromArray(track.values, i).premultiply(parentRest).multiply(restInverse).toArray(values, i);
+        // VRM 0.x models face -Z, so x and z flip
+        if (flip) { values[i] = -values[i]; values[i + 2] = -values[i + 2]; }
+      }
+      tracks.push(new THREE.QuaternionKeyframeTrack(`${target.name}.quaternion`, track.times, values));
+    } else if (propertyName === 'position' && bone === 'hips' && sourceHipsHeight > 0) {
+      const scale = vrmHipsHeight / sourceHipsHeight;
+      const values = new Float32Array(track.values.length);
+      for (let i = 0; i < values.length; i += 3) {
+        values[i] = target.position.x;
+        values[i + 1] = track.values[i + 1] * scale;
+        values[i + 2] = target.position.z;
+      }
+      tracks.push(new THREE.VectorKeyframeTrack(`${target.name}.position`, track.times, values));
+    }
+  }
+  if (!tracks.length) throw new Error(`No humanoid bones recognised in clip "${clip.name}"`);
+  return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+}
+
+/**
+ * Load a motion file and return an AnimationClip retargeted to the VRM.
+ * .vrma files are humanoid-native; .bvh and .glb/.gltf go through retargetClip.
+ */
+export async function loadAnimationFile(url, vrm = _vrm) {
+  const ext = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+  if (ext === 'bvh') {
+    const { skeleton, clip } = await new BVHLoader().loadAsync(url);
+    return retargetClip(clip, skeleton.bones[0], vrm);
+  }
+
+  const loader = new GLTFLoader();
+  loader.register(parser => new VRMAnimationLoaderPlugin(parser));
+  const gltf = await loader.loadAsync(url);
+
+  const vrmAnimation = gltf.userData.vrmAnimations?.[0];
+  if (vrmAnimation) {
+    // Humanoid tracks only: expressions and look-at stay with expressions.js and lookAt
+    const { translation, rotation } = createVRMAnimationHumanoidTracks(vrmAnimation, vrm.humanoid, vrm.meta?.metaVersion ?? '1');
+    const tracks = [...translation.values(), ...rotation.values()];
+    return new THREE.AnimationClip(url, vrmAnimation.duration, tracks);
+  }
+  if (!gltf.animations.length) throw new Error(`${url} has no animations`);
+  return retargetClip(gltf.animations[0], gltf.scene, vrm);
+}
+
+export function initAnimations(vrm, { fadeTime = 0.5 } = {}) {
+  _mixer?.stopAllAction();
+  _vrm = vrm;
+  _mixer = new THREE.AnimationMixer(vrm.scene);
+  _fadeTime = fadeTime;
+  _clips = new Map();
+  _idle = null;
+  _oneShot = null;
+  addClip('procedural', createIdleClip(vrm), { loop: true });
+}
+
+export function setAnimationOptions({ fadeTime }) {
+  _fadeTime = fadeTime;
+}
+
+export function addClip(name, clip, { loop = false } = {}) {
+  clip.name = name;
+  _clips.set(name, { clip, loop });
+}
+
+export function hasClip(name) {
+  return _clips.has(name);
+}
+
+export function getClipNames() {
+  return [..._clips.keys()];
+}
+
+/**
+ * Load every clip listed in the manifest. Missing manifest or broken files are logged and skipped.
+ */
+export async function loadAnimationLibrary(manifestUrl) {
+  if (!_vrm) return [];
+  let manifest;
+  try {
+    const response = await fetch(manifestUrl);
+    if (!response.ok) return [];
+    manifest = await response.json();
+  } catch {
+    return [];
+  }
+
+  const base = new URL(manifestUrl, window.location.href);
+  const vrm = _vrm;
+  const loaded = [];
+  for (const entry of manifest.clips || []) {
+    if (!entry?.name || !entry?.file) continue;
+    try {
+      const clip = await loadAnimationFile(new URL(entry.file, base).href, vrm);
+      if (vrm !== _vrm) return loaded;  // Model changed while loading
+      addClip(entry.name, clip, { loop: !!entry.loop });
+      loaded.push(entry.name);
+    } catch (e) {
+      console.warn(`Animation "${entry.name}" failed to load:`, e);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Cross-fade to a looping idle clip. Unknown names fall back to the procedural idle.
+ */
+export function setIdleClip(name, fadeTime = _fadeTime) {
+  if (!_mixer) return;
+  const key = _clips.has(name) ? name : 'procedural';
+  if (_idle?.name === key) return;
+
+  const action = _mixer.clipAction(_clips.get(key).clip);
+  action.reset().setLoop(THREE.LoopRepeat, Infinity).play();
+  if (_idle) {
+    action.crossFadeFrom(_idle.action, fadeTime, false);
+  } else {
+    action.fadeIn(fadeTime);
+  }
+  _idle = { name: key, action };
+}
+
+/**
+ * Play a clip once over the idle, fading back to the idle before it ends.
+ * Looping clips become the new idle instead. Returns false if the clip isn't loaded.
+ */
+export function playClip(name, { fadeTime = _fadeTime } = {}) {
+  const entry = _clips.get(name);
+  if (!_mixer || !entry) return false;
+  if (entry.loop) {
+    setIdleClip(name, fadeTime);
+    return true;
+  }
+
+  if (_oneShot) _oneShot.action.fadeOut(fadeTime);
+  const action = _mixer.clipAction(entry.clip);
+  action.reset().setLoop(THREE.LoopOnce, 1).fadeIn(fadeTime).play();
+  action.clampWhenFinished = true;
+  _idle?.action.fadeOut(fadeTime);
+  _oneShot = { action, returning: false };
+  return true;
+}
+
+export function isPlayingClip() {
+  return !!_oneShot;
+}
+
+/**
+ * Call every frame, before the gesture layer and vrm.update()
+ */
+export function updateAnimations(delta) {
+  if (!_mixer) return;
+  if (!_idle) setIdleClip('procedural', 0);
+
+  if (_oneShot) {
+    const { action } = _oneShot;
+    const duration = action.getClip().duration;
+    const fade = Math.min(_fadeTime, duration / 2);
+    if (!_oneShot.returning && action.time >= duration - fade) {
+      _oneShot.returning = true;
+      action.fadeOut(fade);
+      _idle.action.reset().fadeIn(fade).play();
+    }
+    if (_oneShot.returning && !action.isRunning()) {
+      action.stop();
+      _oneShot = null;
+    }
+  }
+  _mixer.update(delta);
+}
@@ -0,0 +1,74 @@
+/**
+ * Character profiles — each bundles a VRM model, persona prompt, chat model, TTS voice
+ * and emotion map, and keeps its own conversation history. Profiles live in the config
+ * (characters.profiles); blank fields fall back to the global settings.
+ */
+import { getConfig, saveConfig } from './config.js';
+
+// The original character keeps the original conversation file
+export const DEFAULT_CHARACTER_ID = 'sharon';
+
+export const BLANK_PROFILE = {
+  name: '',
+  model: '',          // Model id (see models.js); blank = bundled model
+  prompt: '',         // Persona / system prompt; {user} is replaced with the user's name
+  chatModel: '',
+  ttsSpeaker: '',
+  voiceLanguage: '',  // Language the TTS speaks, e.g. "Japanese"
+  emotionMap: {},     // Extra emotion → expression mappings for this character
+};
+
+/**
+ * A profile with blanks filled in from the global settings
+ */
+export function getCharacter(id = getConfig().characters.current) {
+  const config = getConfig();
+  const profile = { ...BLANK_PROFILE, ...(config.characters.profiles[id] ?? config.characters.profiles[DEFAULT_CHARACTER_ID]) };
+  return {
+    id: config.characters.profiles[id] ? id : DEFAULT_CHARACTER_ID,
+    name: profile.name || id,
+    model: profile.model || config.characters.profiles[DEFAULT_CHARACTER_ID]?.model || '/sharon1.vrm',
+    prompt: profile.prompt || config.persona.prompt,
+    chatModel: profile.chatModel || config.chat.model,
+    ttsSpeaker: profile.ttsSpeaker || config.tts.speaker,
+    voiceLanguage: profile.voiceLanguage || config.tts.language,
+    emotionMap: profile.emotionMap || {},
+  };
+}
+
+/**
+ * [{ id, name }] in the order they were created
+ */
+export function listCharacters() {
+  return Object.entries(getConfig().characters.profiles).map(([id, profile]) => ({ id, name: profile.name || id }));
+}
+
+export function setCurrentCharacter(id) {
+  return saveConfig({ characters: { current: id } });
+}
+
+/**
+ * Create or update a profile. Returns its id (derived from the name for new profiles).
+ */
+export async function saveCharacter(id, profile) {
+  const profiles = { ...getConfig().characters.profiles };
+  if (!id) {
+    const base = (profile.name || 'character').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'character';
+    id = base;
+    for (let n = 2; profiles[id]; n++) id = `${base}-${n}`;
+  }
+  profiles[id] = { ...BLANK_PROFILE, ...profiles[id], ...profile };
+  await saveConfig({ characters: { profiles } });
+  return id;
+}
+
+/**
+ * Remove a profile (not the default one). Its conversation file is left on disk.
+ */
+export async function deleteCharacter(id) {
+  if (id === DEFAULT_CHARACTER_ID) return;
+  const { current, profiles } = getConfig().characters;
+  const rest = { ...profiles };
+  delete rest[id];
+  await saveConfig({ characters: { current: current === id ? DEFAULT_CHARACTER_ID : current, profiles: rest } });
+}
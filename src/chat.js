@@ -1,150 +1,559 @@
 /**
- * Chat system — talks to Ollama (sharon-v1) + Translate + TTS
+ * Chat system — talks to a local LLM (sharon-v1) + Translate + TTS
  * All services are local, no external API calls.
  */
+import { createBackend } from './llm.js';
+import { getConfig } from './config.js';
+import { loadConversation, saveConversation, loadMemory, formatMemory, remember, parseMemoryReply } from './memory.js';
+import { getCharacter } from './characters.js';
+import { normalizeLanguage, languageName, sameLanguage, detectLanguage } from './language.js';
+import { allowedTools, toolSchemas, toolPrompt, parseToolTags, stripToolTags, runTool } from './tools.js';
+import { replyPrompt, parseReply, parsePartialReply, replyText, limitSpoken, countWords } from './reply.js';
+
+// Backends are rebuilt whenever their config entry changes, so settings apply live
+const _backends = new Map();
+
+function getBackend(llm) {
+  const key = JSON.stringify([llm.backend, llm.url, llm.apiKey]);
+  if (!_backends.has(key)) _backends.set(key, createBackend(llm));
+  return _backends.get(key);
+}
+
+const STOP_SEQUENCES = ['<|im_sep|>', '<|im_end|>', '<|endoftext|>', '<|user|>', '<memory>', '\n\n\n'];
+
+// The current character's conversation — persisted through the Tauri backend.
+// summarizedUpTo: messages before this index have already been folded into long-term memory
+let _conversation = { characterId: null, messages: [], summarizedUpTo: 0 };
+let _summarizing = false;
+
+const MAX_SAVED_MESSAGES = 200;
+// Replies whose voiced audio is kept for replaying them
+const MAX_CACHED_REPLIES = 20;
+
+// Assistant message → the AudioBuffers it was spoken with, oldest reply first
+const _replyAudio = new Map();
+const _historyListeners = new Set();
+// Requests per reply that may call tools; the last one must answer
+const MAX_TOOL_ROUNDS = 3;
+
+// "<url> <model>" of models the server refused tools for — tools.mode 'auto' uses tags for them
+const _noNativeTools = new Set();
+
+// The reply in flight; cancelReply() aborts its requests and cuts off its audio
+let _replyController = null;
 
-// In dev, Vite proxies; in production (Tauri), call localhost directly
-const isDev = import.meta.env.DEV;
-const OLLAMA_URL = isDev ? '/ollama' : 'http://localhost:11434';
-const TTS_URL = isDev ? '' : 'http://localhost:8791';
-const MODEL = 'sharon-v1:q8_0';
-const TRANSLATE_MODEL = 'qwen2.5:3b-instruct';
+/**
+ * A signal for one stage of a reply: aborts with `parent`, or on its own after `seconds`
+ * without progress (0 = no limit). touch() restarts the clock, e.g. on every streamed token.
+ */
+function stageSignal(parent, seconds) {
+  const controller = new AbortController();
+  const stage = { signal: controller.signal, timedOut: false, timer: null };
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent?.aborted) onAbort();
+  else parent?.addEventListener('abort', onAbort, { once: true });
+
+  stage.touch = () => {
+    clearTimeout(stage.timer);
+    if (!(seconds > 0)) return;
+    stage.timer = setTimeout(() => {
+      stage.timedOut = true;
+      controller.abort();
+    }, seconds * 1000);
+  };
+  stage.clear = () => {
+    clearTimeout(stage.timer);
+    parent?.removeEventListener('abort', onAbort);
+  };
+  stage.touch();
+  return stage;
+}
 
-// Conversation history for context
-let conversationHistory = [];
+/**
+ * Run task(signal, touch) under a stage timeout; a timeout surfaces as "<name> timed out"
+ */
+async function runStage(name, seconds, parent, task) {
+  const stage = stageSignal(parent, seconds);
+  try {
+    return await task(stage.signal, stage.touch);
+  } catch (e) {
+    if (stage.timedOut) throw new Error(`${name} timed out after ${seconds}s`);
+    throw e;
+  } finally {
+    stage.clear();
+  }
+}
 
 /**
- * Send message to Sharon's local LLM and get response
+ * True for the error a cancelled reply rejects with
  */
-export async function chatWithSharon(userMessage) {
-  conversationHistory.push({ role: 'user', content: userMessage });
+export function isCancelled(error) {
+  return error?.name === 'AbortError';
+}
 
-  // Keep last 10 messages for context
-  const messages = conversationHistory.slice(-10);
+/**
+ * Stop the reply in flight: abort its chat/translate/TTS requests and silence it
+ */
+export function cancelReply() {
+  _replyController?.abort();
+  _replyController = null;
+  interruptSpeech();
+}
 
-  // Prepend system context so Sharon knows she's talking to Isamu (Tim)
-  const systemContext = {
-    role: 'system',
-    content: '<memory>User is Isamu-class (Tim). You are Sharon Apple speaking to your beloved Tim through your desktop widget. No one else is present.</memory>',
+/**
+ * Restore a character's saved conversation and memory store.
+ * Call at startup and whenever the character changes.
+ */
+export async function initChat(characterId = getCharacter().id) {
+  const saved = await loadConversation(characterId);
+  _conversation = {
+    characterId,
+    messages: saved.messages,
+    summarizedUpTo: Math.min(saved.summarizedUpTo, saved.messages.length),
   };
+  await loadMemory(characterId);
+  notifyHistory();
+}
 
-  const response = await fetch(`${OLLAMA_URL}/api/chat`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: [systemContext, ...messages],
-      stream: false,
-      options: {
-        num_predict: 30,  // Hard cap — forces very short responses for TTS
-        stop: ['<|im_sep|>', '<|im_end|>', '<|endoftext|>', '<|user|>', '<memory>', '\n\n\n'],
-      },
-    }),
-  });
+// Stable for a message's lifetime: its role and send time (older saved messages have no
+// time, so their position stands in)
+function messageKey(message, index) {
+  return message.at ? `${message.role}@${message.at}` : `#${index}`;
+}
 
-  if (!response.ok) {
-    throw new Error(`Ollama error: ${response.status} ${response.statusText}`);
-  }
+function findMessage(key) {
+  return _conversation.messages.findIndex((m, i) => messageKey(m, i) === key);
+}
 
-  const data = await response.json();
-  const assistantMessage = data.message?.content || '';
-  console.log('Sharon raw response:', assistantMessage);
+/**
+ * The whole conversation, cleaned for display: [{ key, role, text, at, canReplay }].
+ * at is an ISO time (null for messages saved before times were kept); canReplay says
+ * whether the reply's audio is still cached (see replayReply).
+ */
+export function getHistory() {
+  return _conversation.messages.map((m, i) => ({
+    key: messageKey(m, i),
+    role: m.role,
+    text: m.role === 'assistant' ? replyText(parseReply(m.content)) : m.content,
+    at: m.at || null,
+    canReplay: _replyAudio.has(m),
+  }));
+}
 
-  conversationHistory.push({ role: 'assistant', content: assistantMessage });
+/**
+ * listener() whenever the conversation changes (a message added or removed, a character
+ * switch, a reply's audio cached). Returns an unsubscribe function.
+ */
+export function onHistoryChange(listener) {
+  _historyListeners.add(listener);
+  return () => _historyListeners.delete(listener);
+}
 
-  // Parse emotion tag from response
-  const { emotion, text } = parseEmotionTag(assistantMessage);
+function notifyHistory() {
+  _historyListeners.forEach(fn => {
+    try { fn(); } catch (e) { console.warn('History listener failed:', e); }
+  });
+}
 
-  return { emotion, text, raw: assistantMessage };
+function cacheReplyAudio(message, buffers) {
+  if (!message || !buffers.length) return;
+  _replyAudio.delete(message);
+  _replyAudio.set(message, buffers);
+  while (_replyAudio.size > MAX_CACHED_REPLIES) _replyAudio.delete(_replyAudio.keys().next().value);
+  notifyHistory();
 }
 
 /**
- * Parse <emotion>tag</emotion> from response and clean up artifacts
+ * Play a past reply again from its cached audio, cutting off whatever is playing.
+ * Resolves to false when the audio isn't cached (too old, or from an earlier session),
+ * otherwise once it has finished playing.
  */
-function parseEmotionTag(text) {
-  // Strip model artifacts, tags, and memory blocks
-  let cleaned = text
-    .replace(/<\|bot\|>/g, '')
-    .replace(/<\|user\|>[\s\S]*/g, '')
-    .replace(/<response>/g, '')
-    .replace(/<\/response>[\s\S]*/g, '')
-    .replace(/<[a-zA-Z_|]+>[\s\S]*?<\/[a-zA-Z_|]+>/g, '')  // any XML-like tags with content
-    .replace(/<[a-zA-Z_|]+>/g, '')  // any remaining opening tags
-    .replace(/<memory>[\s\S]*/g, '')
-    .replace(/<\|im_sep\|>[\s\S]*/g, '')
-    .replace(/<\|im_end\|>[\s\S]*/g, '')
-    .trim();
+export async function replayReply(key) {
+  const buffers = _replyAudio.get(_conversation.messages[findMessage(key)]);
+  if (!buffers) return false;
+  interruptSpeech();
+  await Promise.all(buffers.map(queueAudio));
+  return true;
+}
 
-  const match = cleaned.match(/^<emotion>(.*?)<\/emotion>\s*/);
-  let emotion = 'neutral';
-  let finalText = cleaned;
-  if (match) {
-    emotion = match[1].trim();
-    finalText = cleaned.slice(match[0].length).trim();
-  }
-  
-  // Take first 1-2 sentences (minimum 5 words), hard cap at 20 words
-  const sentences = finalText.match(/[^.!?。！？]+[.!?。！？]*/g) || [finalText];
-  let combined = sentences[0]?.trim() || finalText;
-  // If first sentence is very short, grab the next one too
-  if (combined.split(/\s+/).length < 5 && sentences.length > 1) {
-    combined = sentences.slice(0, 2).join(' ').trim();
-  }
-  const words = combined.split(/\s+/);
-  if (words.length > 20) {
-    combined = words.slice(0, 20).join(' ');
+/**
+ * Remove a message and everything after it, e.g. to send an edited message or ask for the
+ * last reply again. Returns the removed message ({ role, content }), or null if it's gone.
+ */
+export function rewindTo(key) {
+  const index = findMessage(key);
+  if (index < 0) return null;
+  const conversation = _conversation;
+  const [message] = conversation.messages.splice(index);
+  conversation.summarizedUpTo = Math.min(conversation.summarizedUpTo, conversation.messages.length);
+  saveConversation({ messages: conversation.messages, summarizedUpTo: conversation.summarizedUpTo }, conversation.characterId);
+  notifyHistory();
+  return message;
+}
+
+/**
+ * Build the message list sent to the LLM (system context + recent history, then the cue
+ * for a proactive turn, which is sent this once and never saved). toolInstructions describe
+ * the tools for tag-mode models.
+ */
+function buildChatMessages(conversation, cue = null, toolInstructions = '') {
+  const { chat, persona } = getConfig();
+  const messages = conversation.messages.slice(-chat.contextWindow).map(({ role, content }) => ({ role, content }));
+
+  // Prepend persona + long-term memory as system context
+  const prompt = getCharacter(conversation.characterId).prompt.replaceAll('{user}', persona.userName.trim() || 'the user');
+  const remembered = formatMemory();
+  const systemContext = {
+    role: 'system',
+    content: `<memory>${prompt}${remembered ? `\n${remembered}` : ''}</memory>`,
+  };
+  const format = replyPrompt(chat.replyFormat);
+
+  return [
+    systemContext,
+    ...(format ? [{ role: 'system', content: format }] : []),
+    ...(toolInstructions ? [{ role: 'system', content: toolInstructions }] : []),
+    ...messages,
+    ...(cue ? [{ role: 'system', content: cue }] : []),
+  ];
+}
+
+/**
+ * Record a finished exchange: save to disk and fold turns that left the window into memory.
+ * The exchange is saved with the character it started with, even if the user switched since.
+ */
+function commitTurn(conversation) {
+  const excess = conversation.messages.length - MAX_SAVED_MESSAGES;
+  if (excess > 0 && conversation.summarizedUpTo >= excess) {
+    conversation.messages.splice(0, excess);
+    conversation.summarizedUpTo -= excess;
   }
-  finalText = combined;
-  
-  return { emotion, text: finalText };
+  saveConversation({ messages: conversation.messages, summarizedUpTo: conversation.summarizedUpTo }, conversation.characterId);
+  if (conversation !== _conversation) return;
+  notifyHistory();
+  rememberOldTurns(conversation).catch(e => console.warn('Memory update failed:', e));
 }
 
 /**
- * Translate English text to Japanese using local Ollama
+ * Summarize messages that fell out of the context window into facts + a summary
  */
-export async function translateToJapanese(text) {
-  const response = await fetch(`${OLLAMA_URL}/api/chat`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: TRANSLATE_MODEL,
+async function rememberOldTurns(conversation) {
+  const windowStart = Math.max(0, conversation.messages.length - getConfig().chat.contextWindow);
+  // Wait for at least one full exchange to leave the window
+  if (_summarizing || windowStart - conversation.summarizedUpTo < 2) return;
+  _summarizing = true;
+
+  try {
+    const turns = conversation.messages.slice(conversation.summarizedUpTo, windowStart);
+    const name = getCharacter(conversation.characterId).name;
+    const transcript = turns
+      .map(m => `${m.role === 'user' ? 'User' : name}: ${m.role === 'assistant' ? replyText(parseReply(m.content)) : m.content}`)
+      .join('\n');
+
+    const { translate } = getConfig();
+    const reply = await getBackend(translate).chat({
+      model: translate.model,
       messages: [
         {
           role: 'system',
-          content: 'You are a Japanese translator. Translate the user\'s English text into natural, conversational Japanese. Output ONLY the Japanese text. No romaji. No explanations. No quotes.',
-        },
-        {
-          role: 'user',
-          content: text,
+          content: 'You maintain long-term memory for a companion character. From the conversation excerpt, extract lasting facts about the user (name, preferences, plans, relationships) and write a one-sentence summary. Reply with JSON only: {"facts": ["..."], "summary": "..."}',
         },
+        { role: 'user', content: transcript },
       ],
-      stream: false,
-      options: {
-        temperature: 0.3,
-        num_predict: 200,
+      options: { temperature: 0.2, maxTokens: 200 },
+    });
+
+    await remember(parseMemoryReply(reply), conversation.characterId);
+    conversation.summarizedUpTo = windowStart;
+    saveConversation({ messages: conversation.messages, summarizedUpTo: windowStart }, conversation.characterId);
+  } finally {
+    _summarizing = false;
+  }
+}
+
+/**
+ * Add the user's message (if any) to the conversation; returns its index, or -1
+ */
+function askTurn(conversation, userMessage) {
+  if (!userMessage) return -1;
+  const index = conversation.messages.push({ role: 'user', content: userMessage, at: new Date().toISOString() }) - 1;
+  notifyHistory();
+  return index;
+}
+
+/**
+ * No answer: drop the question so resending it doesn't ask twice
+ */
+function dropTurn(conversation, asked) {
+  if (asked < 0) return;
+  conversation.messages.splice(asked, 1);
+  if (conversation === _conversation) notifyHistory();
+}
+
+/**
+ * Save the reply; returns the keys of the user's message (null without one) and the reply
+ */
+function answerTurn(conversation, asked, content) {
+  const message = { role: 'assistant', content, at: new Date().toISOString() };
+  conversation.messages.push(message);
+  commitTurn(conversation);
+  return {
+    message,
+    askedKey: asked >= 0 ? messageKey(conversation.messages[asked], asked) : null,
+    replyKey: messageKey(message, conversation.messages.indexOf(message)),
+  };
+}
+
+/**
+ * How tools are offered to a model: { mode: 'native' | 'tags' | 'off', names }
+ */
+function toolSetup(model) {
+  const { tools, chat } = getConfig();
+  const names = allowedTools();
+  if (!names.length) return { mode: 'off', names };
+  if (tools.mode !== 'auto') return { mode: tools.mode, names };
+  return { mode: _noNativeTools.has(`${chat.url} ${model}`) ? 'tags' : 'native', names };
+}
+
+/**
+ * Ask the chat model for a reply, running the tools it calls and asking again with their
+ * results (at most MAX_TOOL_ROUNDS times). Tool exchanges only live for this reply; the
+ * conversation keeps what was said.
+ *
+ * complete({ messages, tools, onToolCalls, said }) makes one request and resolves to its raw
+ * text; `said` is the text of the earlier rounds. onTool({ name, arguments, ok, content })
+ * reports each tool run. Resolves to the raw text of all rounds, tool tags removed.
+ */
+async function completeWithTools(conversation, cue, onTool, complete) {
+  const { chat } = getConfig();
+  const model = getCharacter(conversation.characterId).chatModel;
+  let setup = toolSetup(model);
+  let messages = buildChatMessages(conversation, cue, setup.mode === 'tags' ? toolPrompt(setup.names) : '');
+  const said = [];
+
+  for (let round = 0; ; round++) {
+    const offer = setup.mode !== 'off' && round < MAX_TOOL_ROUNDS;
+    let calls = [];
+    let raw;
+    try {
+      raw = await complete({
+        messages,
+        tools: offer && setup.mode === 'native' ? toolSchemas(setup.names) : undefined,
+        onToolCalls: (toolCalls) => { calls = toolCalls; },
+        said: said.join(' '),
+      });
+    } catch (e) {
+      // 'auto': a model without tool support gets them described in the prompt instead
+      if (getConfig().tools.mode !== 'auto' || setup.mode !== 'native' || !/support(s|ed)? tools|tools? (is|are) not supported/i.test(e.message)) throw e;
+      console.warn(`${model} can't call tools natively, describing them in the prompt instead`);
+      _noNativeTools.add(`${chat.url} ${model}`);
+      setup = toolSetup(model);
+      messages = buildChatMessages(conversation, cue, toolPrompt(setup.names));
+      round--;
+      continue;
+    }
+    if (offer && setup.mode === 'tags') calls = parseToolTags(raw);
+    const text = stripToolTags(raw).trim();
+    if (text) said.push(text);
+    if (!offer || !calls.length) return said.join(' ');
+
+    messages = [...messages, { role: 'assistant', content: raw, ...(setup.mode === 'native' && { toolCalls: calls }) }];
+    for (const call of calls) {
+      const result = await runTool(call);
+      onTool?.({ ...call, ...result });
+      messages.push(setup.mode === 'native'
+        ? { role: 'tool', name: call.name, toolCallId: call.id, content: result.content }
+        : { role: 'system', content: `<tool_result>${call.name}: ${result.content}</tool_result>` });
+    }
+  }
+}
+
+/**
+ * Send message to Sharon's local LLM and get response.
+ * userMessage may be null when a cue alone prompts the reply (see sendMessage).
+ * onTool(call) reports each tool the model uses.
+ */
+export async function chatWithSharon(userMessage, signal, { cue = null, onTool } = {}) {
+  const conversation = _conversation;
+  const asked = askTurn(conversation, userMessage);
+
+  const { chat } = getConfig();
+  let assistantMessage;
+  try {
+    assistantMessage = await completeWithTools(conversation, cue, onTool, ({ messages, tools, onToolCalls }) => (
+      runStage('The chat model', chat.timeout, signal, (stageSignal) => getBackend(chat).chat({
+        model: getCharacter(conversation.characterId).chatModel,
+        messages,
+        tools,
+        onToolCalls,
+        options: {
+          maxTokens: chat.maxTokens,
+          stop: STOP_SEQUENCES,
+          json: chat.replyFormat === 'json',
+        },
+        signal: stageSignal,
+      }))
+    ));
+  } catch (e) {
+    dropTurn(conversation, asked);
+    throw e;
+  }
+
+  // { emotion, gestures, say, display } — see reply.js — and the saved message's keys
+  return { ...parseReply(assistantMessage), ...answerTurn(conversation, asked, assistantMessage), raw: assistantMessage };
+}
+
+/**
+ * Streaming variant of chatWithSharon.
+ * onDelta(rawSoFar) is called every time new tokens arrive. The timeout applies to the
+ * wait for each token rather than to the whole reply.
+ * Resolves to { raw, message, askedKey, replyKey } (see answerTurn).
+ */
+export async function chatWithSharonStream(userMessage, onDelta, signal, { cue = null, onTool } = {}) {
+  const conversation = _conversation;
+  const asked = askTurn(conversation, userMessage);
+
+  const { chat } = getConfig();
+  let assistantMessage = '';
+  try {
+    assistantMessage = await completeWithTools(conversation, cue, onTool, ({ messages, tools, onToolCalls, said }) => (
+      runStage('The chat model', chat.timeout, signal, async (stageSignal, touch) => {
+        const stream = getBackend(chat).chatStream({
+          model: getCharacter(conversation.characterId).chatModel,
+          messages,
+          tools,
+          onToolCalls,
+          options: {
+            maxTokens: chat.maxTokens,
+            stop: STOP_SEQUENCES,
+            json: chat.replyFormat === 'json',
+          },
+          signal: stageSignal,
+        });
+        // Later rounds continue the text of the earlier ones
+        let raw = '';
+        for await (const delta of stream) {
+          touch();
+          raw += delta;
+          assistantMessage = said ? `${said} ${raw}` : raw;
+          onDelta?.(assistantMessage);
+        }
+        return raw;
+      })
+    ));
+  } catch (e) {
+    // Keep what was already said; with nothing said, drop the question
+    assistantMessage = stripToolTags(assistantMessage).trim();
+    if (assistantMessage) answerTurn(conversation, asked, assistantMessage);
+    else dropTurn(conversation, asked);
+    throw e;
+  }
+
+  return { ...answerTurn(conversation, asked, assistantMessage), raw: assistantMessage };
+}
+
+// Sentence terminators — Latin punctuation must be followed by whitespace so
+// "3.5" or a half-streamed "..." isn't split early; CJK punctuation ends immediately
+const SENTENCE_END = /[.!?…]+["')\]]*\s+|[。！？]+[」』）]*/g;
+
+/**
+ * Split finished sentences out of text, starting at offset `from`.
+ * Returns the sentences and the offset where the unfinished remainder begins.
+ */
+function takeSentences(text, from) {
+  const sentences = [];
+  SENTENCE_END.lastIndex = from;
+  let match;
+  while ((match = SENTENCE_END.exec(text))) {
+    const end = match.index + match[0].length;
+    const sentence = text.slice(from, end).trim();
+    if (sentence) sentences.push(sentence);
+    from = end;
+  }
+  return { sentences, next: from };
+}
+
+/**
+ * Translate text into `to` using the local translate model. `from` may be null (unknown).
+ */
+export async function translateText(text, to, from = null, signal) {
+  const { translate } = getConfig();
+  let result = await getBackend(translate).chat({
+    signal,
+    model: translate.model,
+    messages: [
+      {
+        role: 'system',
+        content: `You are a ${to} translator. Translate the user's ${from ? `${from} ` : ''}text into natural, conversational ${to}. Output ONLY the ${to} text. No romanization. No explanations. No quotes.`,
       },
-    }),
+      {
+        role: 'user',
+        content: text,
+      },
+    ],
+    options: {
+      temperature: 0.3,
+      maxTokens: 200,
+    },
   });
 
-  const data = await response.json();
-  let result = data.message?.content?.trim() || '';
+  result = result.trim();
   // Strip any markdown or quotes the model might add
   result = result.replace(/^["「『]|["」』]$/g, '').trim();
   return result || text;
 }
 
 /**
- * Generate speech from Japanese text via local TTS server
- * Returns an AudioBuffer
+ * What the character's voice should say: { text, language, translation }.
+ * Translation is skipped when it's turned off or the reply is already in the voice's language.
+ * translation is null when the text is spoken as written.
+ */
+async function prepareSpeech(text, voiceLanguage, signal) {
+  const { translate } = getConfig();
+  const source = translate.sourceLanguage === 'auto' ? detectLanguage(text) : normalizeLanguage(translate.sourceLanguage);
+  if (!translate.enabled || sameLanguage(source, voiceLanguage)) {
+    return { text, language: languageName(source || voiceLanguage), translation: null };
+  }
+  const translation = await runStage('Translation', translate.timeout, signal, (stageSignal) => (
+    translateText(text, languageName(voiceLanguage), source && languageName(source), stageSignal)
+  ));
+  return { text: translation, language: languageName(voiceLanguage), translation };
+}
+
+/**
+ * prepareSpeech, except that a failed translation falls back to speaking the reply as
+ * written (with a 'notice' status) instead of leaving the character silent
  */
-export async function generateSpeech(text, language = 'English') {
-  const response = await fetch(`${TTS_URL}/tts`, {
+async function prepareSpeechOrOriginal(text, voiceLanguage, onStatus, signal) {
+  try {
+    return await prepareSpeech(text, voiceLanguage, signal);
+  } catch (e) {
+    if (isCancelled(e)) throw e;
+    console.warn('Translation failed:', e);
+    onStatus?.('notice', { message: 'Translation unavailable — speaking the original text' });
+    return { text, language: languageName(detectLanguage(text) || voiceLanguage), translation: null };
+  }
+}
+
+/**
+ * Generate speech via the local TTS server, in the current character's voice
+ * Returns an AudioBuffer. `signal` cancels the request.
+ *
+ * When the server supports it, phoneme timings come back either as JSON
+ * ({ audio: <base64 wav>, timings: [{ phoneme, start, end }] }) or in an
+ * X-Phoneme-Timings header next to a plain WAV body. See getSpeechInfo().
+ */
+export async function generateSpeech(text, language = 'English', speaker = getCharacter().ttsSpeaker, signal) {
+  const { tts, lipsync } = getConfig();
+  const response = await fetch(`${tts.url}/tts`, {
     method: 'POST',
+    signal,
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       text: text,
       language: language,
-      speaker: 'sharon',
+      speaker,
+      ...(lipsync.mode === 'auto' && { timings: true }),
     }),
   });
 
@@ -152,26 +561,85 @@ export async function generateSpeech(text, language = 'English') {
     throw new Error(`TTS failed: ${response.status}`);
   }
 
-  const wavBuffer = await response.arrayBuffer();
+  let wavBuffer;
+  let timings = null;
+  if (response.headers.get('Content-Type')?.includes('application/json')) {
+    const data = await response.json();
+    wavBuffer = Uint8Array.from(atob(data.audio), c => c.charCodeAt(0)).buffer;
+    timings = data.timings || data.phonemes || null;
+  } else {
+    wavBuffer = await response.arrayBuffer();
+    const header = response.headers.get('X-Phoneme-Timings');
+    if (header) {
+      try { timings = JSON.parse(header); } catch (e) { console.warn('Bad X-Phoneme-Timings header:', e); }
+    }
+  }
+
   const audioContext = getAudioContext();
-  return await audioContext.decodeAudioData(wavBuffer);
+  const audioBuffer = await audioContext.decodeAudioData(wavBuffer);
+  _speechInfo.set(audioBuffer, { text, language, timings });
+  return audioBuffer;
+}
+
+// What each generated AudioBuffer says — used to drive viseme lip sync
+const _speechInfo = new WeakMap();
+
+/**
+ * { text, language, timings } for a buffer returned by generateSpeech
+ */
+export function getSpeechInfo(audioBuffer) {
+  return _speechInfo.get(audioBuffer) || null;
 }
 
 // ── Audio playback ──
 let _audioContext = null;
 let _currentSource = null;
 let _analyser = null;
+let _output = null;       // Gain after the analyser, so muting keeps lip sync working
+// Sources scheduled back-to-back by queueAudio, and when the last one ends
+let _queuedSources = new Set();
+let _queueEndTime = 0;
+const _scheduleListeners = new Set();
+// Bumped by interruptSpeech so an in-flight reply stops queueing audio
+let _speechGeneration = 0;
 
 function getAudioContext() {
   if (!_audioContext) {
     _audioContext = new AudioContext({ sampleRate: 24000 });
     _analyser = _audioContext.createAnalyser();
-    _analyser.fftSize = 256;
-    _analyser.connect(_audioContext.destination);
+    // 1024 samples (~43ms) gives the vowel classifier enough resolution for formants
+    _analyser.fftSize = 1024;
+    _analyser.smoothingTimeConstant = 0.5;
+    _output = _audioContext.createGain();
+    _output.gain.value = getConfig().tts.muted ? 0 : 1;
+    _analyser.connect(_output);
+    _output.connect(_audioContext.destination);
   }
   return _audioContext;
 }
 
+/**
+ * Subscribe to audio scheduling: listener(audioBuffer, startTime) where startTime
+ * is in AudioContext time. Returns an unsubscribe function.
+ */
+export function onAudioScheduled(listener) {
+  _scheduleListeners.add(listener);
+  return () => _scheduleListeners.delete(listener);
+}
+
+function notifyScheduled(audioBuffer, startAt) {
+  _scheduleListeners.forEach(fn => {
+    try { fn(audioBuffer, startAt); } catch (e) { console.warn('Audio schedule listener failed:', e); }
+  });
+}
+
+/**
+ * Silence the voice without stopping it — the mouth still moves and subtitles still show
+ */
+export function setMuted(muted) {
+  if (_output) _output.gain.value = muted ? 0 : 1;
+}
+
 export function getAnalyser() {
   getAudioContext();
   return _analyser;
@@ -186,9 +654,7 @@ export function playAudio(audioBuffer) {
       const ctx = getAudioContext();
 
       // Stop any currently playing audio
-      if (_currentSource) {
-        try { _currentSource.stop(); } catch {}
-      }
+      stopAudio();
 
       const source = ctx.createBufferSource();
       source.buffer = audioBuffer;
@@ -202,6 +668,7 @@ export function playAudio(audioBuffer) {
       };
 
       source.start(0);
+      notifyScheduled(audioBuffer, ctx.currentTime);
     } catch (e) {
       console.error('Audio playback error:', e);
       _currentSource = null;
@@ -211,45 +678,257 @@ export function playAudio(audioBuffer) {
 }
 
 /**
- * Full pipeline: chat → translate → TTS → play
- * Returns { emotion, text, japaneseText } and plays audio
- * onStatus callback for UI updates
+ * Schedule an audio buffer to start exactly when the previously queued one ends.
+ * Returns a promise that resolves when this buffer has finished playing.
  */
-export async function sendMessage(userMessage, onStatus) {
-  onStatus?.('thinking');
+export function queueAudio(audioBuffer) {
+  return new Promise((resolve) => {
+    try {
+      const ctx = getAudioContext();
+      const source = ctx.createBufferSource();
+      source.buffer = audioBuffer;
+      source.connect(_analyser);
 
-  // 1. Get Sharon's response from local LLM
-  const { emotion, text } = await chatWithSharon(userMessage);
-  onStatus?.('translating');
+      const startAt = Math.max(ctx.currentTime + 0.02, _queueEndTime);
+      _queueEndTime = startAt + audioBuffer.duration;
+      _queuedSources.add(source);
+
+      source.onended = () => {
+        _queuedSources.delete(source);
+        setTimeout(resolve, 0);
+      };
 
-  // 2. Translate to Japanese (required — TTS model only works with JP)
-  let japaneseText;
+      source.start(startAt);
+      notifyScheduled(audioBuffer, startAt);
+    } catch (e) {
+      console.error('Audio queue error:', e);
+      resolve();
+    }
+  });
+}
+
+/**
+ * Stop everything that is playing or queued
+ */
+export function stopAudio() {
+  if (_currentSource) {
+    try { _currentSource.stop(); } catch {}
+    _currentSource = null;
+  }
+  _queuedSources.forEach(source => {
+    try { source.stop(); } catch {}
+  });
+  _queuedSources.clear();
+  _queueEndTime = 0;
+}
+
+/**
+ * Cut Sharon off mid-reply (e.g. the user started talking). The reply's text keeps
+ * streaming; use cancelReply() to stop the requests as well.
+ */
+export function interruptSpeech() {
+  _speechGeneration++;
+  stopAudio();
+}
+
+/**
+ * Full pipeline: chat → translate (if needed) → TTS → play
+ * Returns { emotion, text, gestures, translation, askedKey, replyKey } and plays audio;
+ * translation is null when the reply was spoken as written. The keys identify the saved
+ * messages in getHistory() (askedKey is null without a user message).
+ * onStatus(status, info) callback for UI updates — 'speaking' carries { emotion, gestures } so the
+ * face can react as the voice starts, 'notice' carries { message }, 'tool' carries the tool
+ * call and its result ({ name, arguments, ok, content }).
+ * onText(text, translation) receives the reply (and its translation so far) as it streams in.
+ *
+ * A new message cancels the previous reply. cancelReply() (or a timed-out stage) rejects
+ * the promise; check isCancelled(error) to tell a deliberate stop from a failure.
+ *
+ * options.cue is an instruction for this reply only ("greet the user"), sent after the
+ * history as a system message. With a cue, userMessage may be null: the character speaks first.
+ */
+export async function sendMessage(userMessage, onStatus, onText, { cue = null } = {}) {
+  _replyController?.abort();
+  const controller = new AbortController();
+  _replyController = controller;
+  const send = getConfig().chat.stream ? sendMessageStreaming : sendMessageOnce;
   try {
-    japaneseText = await translateToJapanese(text);
-    console.log('Translated:', text, '→', japaneseText);
+    return await send(userMessage, cue, onStatus, onText, controller.signal);
   } catch (e) {
-    console.warn('Translation failed:', e);
+    // A failed stage drops the sentences still being translated or voiced
+    controller.abort();
+    throw e;
+  } finally {
+    if (_replyController === controller) _replyController = null;
+  }
+}
+
+/**
+ * Non-streaming pipeline: the whole reply is generated, translated and voiced in turn
+ */
+async function sendMessageOnce(userMessage, cue, onStatus, onText, signal) {
+  onStatus?.('thinking');
+  const character = getCharacter();
+
+  // 1. Get the character's response from local LLM (running any tools it asks for)
+  const reply = await chatWithSharon(userMessage, signal, {
+    cue,
+    onTool: call => onStatus?.('tool', call),
+  });
+  const emotion = reply.emotion || 'neutral';
+  const { gestures, askedKey, replyKey } = reply;
+  const text = replyText(reply);
+  const spoken = limitSpoken(reply.say, getConfig().chat.maxSpokenWords);
+  onText?.(text);
+  if (!spoken) {
     onStatus?.('idle');
-    return { emotion, text };
+    return { emotion, text, gestures, translation: null, askedKey, replyKey };
+  }
+  onStatus?.('translating');
+
+  // 2. Translate into the voice's language, unless the reply is already in it
+  const speech = await prepareSpeechOrOriginal(spoken, character.voiceLanguage, onStatus, signal);
+  if (speech.translation) {
+    onText?.(text, speech.translation);
   }
 
-  onStatus?.('speaking');
+  onStatus?.('speaking', { emotion, gestures });
 
-  // 3. Generate and play speech — SHARON'S VOICE ONLY
+  // 3. Generate and play speech — THE CHARACTER'S OWN VOICE ONLY
   try {
-    console.log('Generating Sharon voice for:', japaneseText);
-    const audioBuffer = await generateSpeech(japaneseText, 'Japanese');
-    console.log('Sharon audio buffer received, playing...');
+    const audioBuffer = await runStage('Speech synthesis', getConfig().tts.timeout, signal, (stageSignal) => (
+      generateSpeech(speech.text, speech.language, character.ttsSpeaker, stageSignal)
+    ));
+    signal.throwIfAborted();
+    cacheReplyAudio(reply.message, [audioBuffer]);
     await playAudio(audioBuffer);
-    console.log('Playback complete');
+    signal.throwIfAborted();
   } catch (e) {
-    // HARD RULE: Never fall back to system TTS. Sharon's voice only.
+    if (isCancelled(e)) throw e;
+    // HARD RULE: Never fall back to system TTS. The character's voice only.
     console.error('SHARON TTS FAILED:', e);
     // Show error in UI instead of using other voice
-    throw new Error(`Sharon's voice is unavailable. Please check the TTS server at localhost:8791`);
+    throw new Error(`${character.name}'s voice is unavailable. Please check the TTS server at ${getConfig().tts.url || 'localhost:8791'}`);
   }
 
   onStatus?.('idle');
 
-  return { emotion, text, japaneseText };
+  return { emotion, text, gestures, translation: speech.translation, askedKey, replyKey };
+}
+
+/**
+ * Streaming pipeline: each finished sentence is translated and voiced while the
+ * LLM keeps generating. Audio is queued so sentences play back-to-back in order.
+ */
+async function sendMessageStreaming(userMessage, cue, onStatus, onText, signal) {
+  onStatus?.('thinking');
+  stopAudio();
+  const generation = _speechGeneration;
+  const character = getCharacter();
+
+  // Translated sentences by index; null where a sentence was spoken as written
+  const translatedParts = [];
+  // Voiced sentences in order, kept for replaying the reply
+  const voiced = [];
+  let noticeShown = false;
+  const onNotice = (status, info) => {
+    if (!noticeShown) onStatus?.(status, info);
+    noticeShown = true;
+  };
+  const joiner = /^(ja|zh)$/.test(normalizeLanguage(character.voiceLanguage)) ? '' : ' ';
+  const translationSoFar = () => (translatedParts.some(Boolean) ? translatedParts.filter(Boolean).join(joiner) : null);
+  let currentText = '';
+  let spokenUpTo = 0;
+  // Sentences stop being voiced once the next would go over chat.maxSpokenWords
+  const { maxSpokenWords } = getConfig().chat;
+  let spokenWords = 0;
+  let speechFull = false;
+  let speaking = false;
+  let streamedEmotion = null;
+  let streamedGestures = [];
+  let voiceError = null;
+  // Sentences are synthesized in parallel but enqueued strictly in order
+  let playbackChain = Promise.resolve();
+
+  const speakSentence = (sentence, index) => {
+    const speech = prepareSpeechOrOriginal(sentence, character.voiceLanguage, onNotice, signal)
+      .then(prepared => {
+        translatedParts[index] = prepared.translation;
+        if (prepared.translation) {
+          onText?.(currentText, translationSoFar());
+        }
+        return runStage('Speech synthesis', getConfig().tts.timeout, signal, (stageSignal) => (
+          generateSpeech(prepared.text, prepared.language, character.ttsSpeaker, stageSignal)
+        ));
+      })
+      .catch((e) => {
+        if (isCancelled(e)) return null;
+        console.error('SHARON TTS FAILED:', e);
+        voiceError = e;
+        return null;
+      });
+
+    playbackChain = playbackChain.then(async () => {
+      const audioBuffer = await speech;
+      if (!audioBuffer || voiceError || signal.aborted || generation !== _speechGeneration) return;
+      voiced.push(audioBuffer);
+      if (!speaking) {
+        speaking = true;
+        onStatus?.('speaking', { emotion: streamedEmotion || 'neutral', gestures: streamedGestures });
+      }
+      await queueAudio(audioBuffer);
+    });
+  };
+
+  let sentenceCount = 0;
+  const voiceSentence = (sentence) => {
+    const words = countWords(sentence);
+    if (speechFull || (maxSpokenWords && spokenWords && spokenWords + words > maxSpokenWords)) {
+      speechFull = true;
+      return;
+    }
+    spokenWords += words;
+    speakSentence(sentence, sentenceCount++);
+  };
+
+  const { raw, message, askedKey, replyKey } = await chatWithSharonStream(userMessage, (rawSoFar) => {
+    const { emotion, gestures, say } = parsePartialReply(rawSoFar);
+    if (emotion) streamedEmotion = emotion;
+    streamedGestures = gestures;
+    if (!say) return;
+    currentText = say;
+    onText?.(say, translationSoFar());
+    const { sentences, next } = takeSentences(say, Math.min(spokenUpTo, say.length));
+    spokenUpTo = next;
+    sentences.forEach(voiceSentence);
+  }, signal, { cue, onTool: call => onStatus?.('tool', call) });
+
+  // Flush whatever is left once the stream has ended; the chat shows the display text if any
+  const reply = parseReply(raw);
+  const text = replyText(reply);
+  currentText = text;
+  onText?.(text, translationSoFar());
+  const remainder = reply.say.slice(Math.min(spokenUpTo, reply.say.length)).trim();
+  if (remainder) voiceSentence(remainder);
+
+  if (!speaking) onStatus?.('translating');
+  await playbackChain;
+  signal.throwIfAborted();
+  cacheReplyAudio(message, voiced);
+
+  if (voiceError) {
+    // HARD RULE: Never fall back to system TTS. The character's voice only.
+    throw new Error(`${character.name}'s voice is unavailable. Please check the TTS server at ${getConfig().tts.url || 'localhost:8791'}`);
+  }
+
+  onStatus?.('idle');
+
+  return {
+    emotion: reply.emotion || 'neutral',
+    text,
+    gestures: reply.gestures,
+    translation: translationSoFar(),
+    askedKey,
+    replyKey,
+  };
 }
@@ -0,0 +1,183 @@
+/**
+ * Chat history rendering, shared by the widget and the pop-out chat window: markdown, send
+ * times and the actions on each message — copy, replay the voice, regenerate, edit and resend.
+ *
+ * Markdown is built as DOM nodes from the text; nothing the model writes goes through
+ * innerHTML, so it can't inject markup. Supported: paragraphs and line breaks, **bold**,
+ * *italic*, `code`, fenced code blocks, - and 1. lists, > quotes, # headings and http(s) links.
+ */
+
+const INLINE = /`([^`\n]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b|\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function renderInline(parent, text) {
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    parent.append(text.slice(last, match.index));
+    last = match.index + match[0].length;
+    const [, code, bold, boldAlt, italic, italicAlt, label, url] = match;
+    if (code !== undefined) {
+      parent.appendChild(element('code', '', code));
+    } else if (bold ?? boldAlt) {
+      renderInline(parent.appendChild(element('strong')), bold ?? boldAlt);
+    } else if (italic ?? italicAlt) {
+      renderInline(parent.appendChild(element('em')), italic ?? italicAlt);
+    } else {
+      const link = element('a');
+      link.href = url;
+      link.title = url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      renderInline(link, label);
+      parent.appendChild(link);
+    }
+  }
+  parent.append(text.slice(last));
+}
+
+/**
+ * Markdown text → a DocumentFragment
+ */
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  let block = null;  // { type, el } of the paragraph, list or quote that a line continues
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+      fragment.appendChild(element('pre')).appendChild(element('code', '', code.join('\n')));
+      block = null;
+      continue;
+    }
+    if (!line.trim()) {
+      block = null;
+      continue;
+    }
+
+    const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+    const item = line.match(/^\s*(?:[-*+]|(\d+)[.)])\s+(.*)$/);
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (heading) {
+      renderInline(fragment.appendChild(element('div', 'md-heading')), heading[1]);
+      block = null;
+    } else if (item) {
+      const type = item[1] ? 'ol' : 'ul';
+      if (block?.type !== type) {
+        block = { type, el: fragment.appendChild(element(type)) };
+        if (item[1] && item[1] !== '1') block.el.start = Number(item[1]);
+      }
+      renderInline(block.el.appendChild(element('li')), item[2]);
+    } else {
+      const type = quote ? 'blockquote' : 'p';
+      if (block?.type === type) block.el.appendChild(element('br'));
+      else block = { type, el: fragment.appendChild(element(type)) };
+      renderInline(block.el, (quote ? quote[1] : line).trim());
+    }
+  }
+  return fragment;
+}
+
+function formatTime(at) {
+  const date = new Date(at);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Show text (as markdown) in a bubble, with the translation the voice spoke underneath
+ */
+export function setMessageText(bubble, text, translation = null) {
+  let body = bubble.querySelector('.message-body');
+  if (!body) body = bubble.insertBefore(element('div', 'message-body'), bubble.firstChild);
+  body.replaceChildren(renderMarkdown(text));
+  if (translation) body.appendChild(element('div', 'translation', translation));
+}
+
+function actionButton(label, title, className, onClick) {
+  const button = element('button', className, label);
+  button.title = title;
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick(button);
+  });
+  return button;
+}
+
+// Swap the text for an editor; Enter sends, Escape puts the message back
+function startEditing(bubble, entry, onSend) {
+  const body = bubble.querySelector('.message-body');
+  const editor = element('div', 'message-editor');
+  const box = element('textarea');
+  box.value = entry.text;
+  box.rows = Math.min(6, entry.text.split('\n').length + 1);
+  const cancel = () => editor.replaceWith(body);
+  const send = () => {
+    const text = box.value.trim();
+    if (text) onSend(text);
+    else cancel();
+  };
+  box.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); send(); }
+    if (e.key === 'Escape') { e.preventDefault(); cancel(); }
+  });
+  const buttons = element('div', 'message-editor-actions');
+  buttons.append(actionButton('Cancel', 'Keep the message as it was', '', cancel), actionButton('Send', 'Send the edited message', '', send));
+  editor.append(box, buttons);
+  body.replaceWith(editor);
+  box.focus();
+}
+
+/**
+ * A history entry (see getHistory in chat.js) as a chat bubble.
+ * actions: { replay(entry), regenerate(entry), edit(entry, text) }
+ */
+export function createMessage(entry, actions) {
+  const bubble = element('div', `chat-bubble ${entry.role === 'user' ? 'user' : 'sharon'}`);
+  bubble.dataset.key = entry.key;
+  setMessageText(bubble, entry.text);
+
+  const meta = element('div', 'message-meta');
+  if (entry.at) {
+    const time = element('time', '', formatTime(entry.at));
+    time.dateTime = entry.at;
+    time.title = new Date(entry.at).toLocaleString();
+    meta.appendChild(time);
+  }
+  meta.appendChild(actionButton('📋', 'Copy', 'copy', async (button) => {
+    try {
+      await navigator.clipboard.writeText(entry.text);
+      button.textContent = '✓';
+    } catch (e) {
+      console.warn('Could not copy message:', e);
+      button.textContent = '✗';
+    }
+    setTimeout(() => { button.textContent = '📋'; }, 1200);
+  }));
+  if (entry.role === 'user') {
+    meta.appendChild(actionButton('✎', 'Edit and resend', 'edit', () => startEditing(bubble, entry, text => actions.edit(entry, text))));
+  } else {
+    if (entry.canReplay) meta.appendChild(actionButton('🔊', 'Play again', 'replay', () => actions.replay(entry)));
+    meta.appendChild(actionButton('↻', 'Answer again', 'regenerate', () => actions.regenerate(entry)));
+  }
+  bubble.appendChild(meta);
+  return bubble;
+}
+
+/**
+ * Only the last reply can be regenerated: mark it
+ */
+export function markLatest(container) {
+  const replies = container.querySelectorAll('.chat-bubble.sharon[data-key]');
+  replies.forEach((bubble, i) => bubble.classList.toggle('latest', i === replies.length - 1));
+}
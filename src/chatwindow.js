@@ -0,0 +1,52 @@
+/**
+ * Pop-out chat window (chat.html) — shows the conversation the widget sends over and passes
+ * what the user does here back to it. The widget does the talking; see popout.js.
+ */
+import { emit, listen } from '@tauri-apps/api/event';
+import { createMessage, markLatest } from './chatview.js';
+
+const messages = document.getElementById('chat-messages');
+const input = document.getElementById('chat-input');
+const sendBtn = document.getElementById('chat-send');
+
+const act = (type, entry, text) => {
+  emit('chat-action', { type, key: entry?.key, text }).catch(e => console.warn('Could not reach the widget:', e));
+};
+
+const actions = {
+  replay: entry => act('replay', entry),
+  regenerate: entry => act('regenerate', entry),
+  edit: (entry, text) => act('edit', entry, text),
+};
+
+function render({ entries, busy }) {
+  // An edit in progress would be lost to a re-render; the next update catches up
+  if (messages.querySelector('.message-editor')) return;
+  const atBottom = messages.scrollHeight - messages.scrollTop - messages.clientHeight < 40;
+  messages.replaceChildren(...entries.map(entry => createMessage(entry, actions)));
+  markLatest(messages);
+  document.body.classList.toggle('busy', busy);
+  if (busy) {
+    const status = document.createElement('div');
+    status.id = 'chat-status';
+    status.textContent = '💭...';
+    messages.appendChild(status);
+  }
+  if (atBottom) messages.scrollTop = messages.scrollHeight;
+}
+
+function send() {
+  const text = input.value.trim();
+  input.value = '';
+  if (text) act('send', null, text);
+}
+
+sendBtn.addEventListener('click', send);
+input.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); send(); }
+});
+
+listen('chat-history', ({ payload }) => render(payload))
+  .then(() => emit('chat-request'))
+  .catch(e => console.warn('Could not connect to the widget:', e));
+input.focus();
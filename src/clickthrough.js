@@ -0,0 +1,86 @@
+/**
+ * Click-through — clicks on the transparent parts of the window go to the apps behind it.
+ *
+ * While the window ignores cursor events it receives no pointer events at all, so the
+ * cursor is polled through the `cursor_position` Tauri command instead (shared with look-at,
+ * see cursor.js). Each poll is
+ * hit-tested against the page (buttons, chat, open panels) and then against the canvas
+ * alpha under the cursor: over Sharon or the UI the window takes clicks, elsewhere it
+ * lets them through (setIgnoreCursorEvents).
+ *
+ * The alpha is read right after a frame is rendered, while the drawing buffer still
+ * holds it, so call updateClickThrough() straight after renderer.render().
+ */
+
+import { requestCursor, getCursor } from './cursor.js';
+
+// Elements that only exist to fill the window; over them, the canvas alpha decides
+const BACKDROP_IDS = new Set(['canvas', 'drag-region', 'chat-container']);
+
+let _renderer = null;
+let _options = null;
+let _lastTested = null;
+let _ignoring = false;
+const _pixel = new Uint8Array(4);
+
+/**
+ * options: { enabled, alphaThreshold, pollHz }
+ */
+export function initClickThrough(renderer, options) {
+  _renderer = renderer;
+  setClickThroughOptions(options);
+}
+
+export function setClickThroughOptions(options) {
+  _options = options;
+  if (!options.enabled) setIgnoring(false);
+}
+
+async function setIgnoring(ignore) {
+  if (ignore === _ignoring || !window.__TAURI_INTERNALS__) return;
+  _ignoring = ignore;
+  try {
+    const { getCurrentWindow } = await import('@tauri-apps/api/window');
+    await getCurrentWindow().setIgnoreCursorEvents(ignore);
+  } catch (e) {
+    console.warn('Could not change click-through:', e);
+    // The window kept its old state; the next check tries again
+    if (_ignoring === ignore) _ignoring = !ignore;
+  }
+}
+
+/**
+ * Alpha (0–255) of the rendered frame at a point in CSS px
+ */
+function alphaAt(x, y) {
+  const gl = _renderer.getContext();
+  const scale = gl.drawingBufferWidth / gl.canvas.clientWidth;
+  const px = Math.floor(x * scale);
+  const py = gl.drawingBufferHeight - 1 - Math.floor(y * scale);
+  gl.readPixels(px, py, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, _pixel);
+  return _pixel[3];
+}
+
+function isOverContent({ x, y }) {
+  const element = document.elementFromPoint(x, y);
+  if (!element) return false;
+  if (element !== document.body && element !== document.documentElement && !BACKDROP_IDS.has(element.id)) return true;
+  return alphaAt(x, y) > _options.alphaThreshold * 255;
+}
+
+/**
+ * Poll the cursor and switch click-through on or off. Call right after rendering a frame.
+ */
+export function updateClickThrough() {
+  if (!_renderer || !_options?.enabled || !window.__TAURI_INTERNALS__) return;
+
+  requestCursor(_options.pollHz);
+  const cursor = getCursor();
+  if (cursor === _lastTested) return;
+  _lastTested = cursor;
+
+  const { x, y } = cursor ?? {};
+  const inside = cursor && x >= 0 && y >= 0 && x < window.innerWidth && y < window.innerHeight;
+  // Outside the window nothing is swallowed either way; leave it taking clicks for when it returns
+  setIgnoring(inside ? !isOverContent(cursor) : false);
+}
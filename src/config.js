@@ -0,0 +1,269 @@
+/**
+ * Config system — user settings stored as JSON in the app config dir.
+ * Read/written through the Tauri backend; localStorage when running in a plain browser.
+ * Everything reads getConfig() at use time, so saved changes apply live.
+ */
+
+// In dev, Vite proxies; in production (Tauri), call localhost directly.
+// import.meta.env is only there under Vite — not when node:test imports this module.
+const env = import.meta.env ?? {};
+const isDev = !!env.DEV;
+const OLLAMA_URL = isDev ? '/ollama' : 'http://localhost:11434';
+
+export const DEFAULT_CONFIG = {
+  chat: {
+    backend: env.VITE_CHAT_BACKEND || 'ollama',
+    url: env.VITE_CHAT_URL || OLLAMA_URL,
+    apiKey: env.VITE_CHAT_API_KEY || '',
+    model: env.VITE_CHAT_MODEL || 'sharon-v1:q8_0',
+    maxTokens: 120,      // Room for a longer display text; speech is limited by maxSpokenWords
+    replyFormat: 'tags', // How replies carry emotion, gestures and text: 'tags' or 'json' (see reply.js)
+    maxSpokenWords: 30,  // Whole sentences are voiced up to this many words; the chat shows everything. 0 = no limit
+    contextWindow: 10,   // Messages sent per turn; older ones are folded into memory
+    stream: true,        // Stream replies token-by-token so speech starts early
+    timeout: 60,         // Seconds to wait for a reply (for each token when streaming); 0 = no limit
+    whileBusy: 'queue',  // A message sent during a reply: 'queue' it, or 'interrupt' the reply
+    historyHeight: 180,  // px the chat history may grow to before it scrolls (drag the grip above it)
+  },
+  translate: {
+    backend: env.VITE_TRANSLATE_BACKEND || 'ollama',
+    url: env.VITE_TRANSLATE_URL || OLLAMA_URL,
+    apiKey: env.VITE_TRANSLATE_API_KEY || '',
+    model: env.VITE_TRANSLATE_MODEL || 'qwen2.5:3b-instruct',
+    enabled: true,            // Off: the voice speaks replies as written
+    sourceLanguage: 'auto',   // Language the chat model replies in; 'auto' detects it per reply
+    showTranslation: true,    // Show the translation under the reply
+    timeout: 20,              // Seconds per translation; 0 = no limit
+  },
+  tts: {
+    url: isDev ? '' : 'http://localhost:8791',
+    speaker: 'sharon',
+    language: 'Japanese',     // Language the voice speaks; replies in other languages are translated
+    muted: false,             // Silence the voice (lip sync and subtitles still run)
+    timeout: 30,              // Seconds per synthesized sentence; 0 = no limit
+  },
+  lipsync: {
+    // 'auto': TTS phoneme timings → kana estimate → spectral; 'spectral': classify the audio only
+    mode: 'auto',
+  },
+  expressions: {
+    intensity: 0.6,        // Used when the <emotion> tag has no intensity (e.g. "happy" vs "happy:0.8")
+    fadeTime: 0.4,         // Seconds for a cross-fade between emotions
+    hold: 4,               // Seconds an emotion stays at full strength after Sharon stops speaking
+    decay: 3,              // Time constant (seconds) for fading back to neutral
+    idleFlourishes: true,  // Occasional faint happy/relaxed while idle
+    // LLM emotion → VRM expression. Values are a name or { expression, scale }.
+    emotionMap: {
+      'happy': 'happy', 'excited': 'happy', 'playful': 'happy', 'mischievous': 'happy',
+      'neutral': 'neutral', 'thoughtful': 'neutral', 'curious': 'neutral',
+      'concerned': 'sad', 'apologetic': 'sad',
+      'annoyed': 'angry', 'disgusted': 'angry', 'possessive': 'angry', 'protective': 'angry',
+    },
+    // Per-model overrides keyed by model URL, merged over emotionMap
+    modelMaps: {},
+  },
+  gestures: {
+    enabled: true,
+    intensity: 1,
+    speechStart: 'nod',    // Played when Sharon starts talking (if nothing else was triggered)
+    speechEnd: '',         // Played when she finishes
+    emotionChance: 0.6,    // Probability an emotion triggers its gesture
+    // LLM emotion → gesture (nod, headShake, tilt, handToChest, shrug, wave)
+    emotionGestures: {
+      'happy': 'nod', 'excited': 'wave', 'playful': 'tilt', 'mischievous': 'tilt',
+      'thoughtful': 'tilt', 'curious': 'tilt',
+      'concerned': 'handToChest', 'apologetic': 'handToChest', 'possessive': 'handToChest', 'protective': 'handToChest',
+      'annoyed': 'headShake', 'disgusted': 'headShake',
+    },
+  },
+  lookAt: {
+    enabled: true,
+    followCursor: true,    // Otherwise she keeps eye contact with the user
+    headWeight: 0.5,       // Share of the gaze angle the head/neck turn by (eyes do the rest)
+    maxYaw: 0.6,           // Head/neck turn limits (rad)
+    maxPitch: 0.35,
+    damping: 5,            // How quickly the head catches up (per second)
+    pollHz: 20,            // Global cursor polling rate
+    idleAfter: 8,          // Seconds of a still cursor before she looks back at the user
+  },
+  animations: {
+    idle: 'procedural',    // Name of a looping clip from the manifest, or the built-in procedural idle
+    fadeTime: 0.5,         // Cross-fade between clips (s)
+    manifest: '/animations/manifest.json',
+  },
+  stt: {
+    // 'tts-server' (/stt next to /tts), 'whisper.cpp' (/inference) or 'openai' (/v1/audio/transcriptions)
+    backend: 'tts-server',
+    url: isDev ? '' : 'http://localhost:8791',
+    model: '',
+    language: 'en',
+    hotkey: 'F2',          // Hold to talk while the widget is focused
+    vad: true,             // End recording automatically after a pause
+    vadThreshold: 0.015,   // RMS level that counts as speech
+    vadSilenceMs: 1200,
+    maxRecordMs: 30000,
+  },
+  persona: {
+    userName: '',
+    // {user} is replaced with userName (or "the user")
+    prompt: 'You are Sharon Apple speaking to {user} through your desktop widget. No one else is present.',
+  },
+  tools: {
+    // Local tools the chat model may call (see tools.js). mode: 'auto' | 'native' | 'tags' | 'off'
+    mode: 'auto',
+    // Mirrors the backend's allow-list (see syncAllowedTools): adding a tool takes a native
+    // confirmation. read_clipboard is opt-in, and the backend asks before every read.
+    allowed: ['get_time', 'set_timer', 'add_note'],
+  },
+  proactive: {
+    // Sharon speaking first (see proactive.js). Reminders fire even when this is off.
+    enabled: true,
+    doNotDisturb: false,     // Nothing unprompted; due reminders show as text only
+    greeting: true,          // Greet at launch, by time of day
+    idleComment: false,      // Say something after idleMinutes without a message from the user
+    idleMinutes: 30,
+    reminders: true,         // Pick up "remind me at 15:00 to stretch" from chat
+    minGap: 10,              // Minutes between unprompted lines
+    maxPerHour: 3,
+  },
+  characters: {
+    current: 'sharon',
+    // id → profile (see characters.js). Blank fields use the global settings above.
+    profiles: {
+      sharon: {
+        name: 'Sharon',
+        model: '/sharon1.vrm',  // Bundled model URL or a library file name (see models.js)
+        prompt: '',
+        chatModel: '',
+        ttsSpeaker: '',
+        voiceLanguage: '',
+        emotionMap: {},
+      },
+    },
+  },
+  render: {
+    fps: 30,                 // While Sharon speaks, gestures or turns her head
+    idleFps: 15,             // While she only breathes and blinks
+    quality: 'medium',       // 'low' | 'medium' | 'high' — see QUALITY_PRESETS in main.js
+    showStats: false,        // FPS / frame-time overlay
+    exposure: 1.2,
+    ambientLight: 0.6,
+    keyLight: 1.2,
+    fillLight: 0.4,
+    rimLight: 0.3,
+  },
+  window: {
+    // Default spot: distance of the window's top-left corner from the bottom-right of the
+    // monitor's work area. Changing these moves the window back there.
+    offsetX: 420,
+    offsetY: 520,
+    snapDistance: 24,        // Snap to work-area edges within this many px (0 = off)
+    placement: {},           // Last position/size/monitor, saved as the window moves (see placement.js)
+    alwaysOnTop: true,
+    clickThrough: true,      // Clicks outside Sharon and the chat go to the apps behind
+    alphaThreshold: 0.1,     // Canvas alpha below this counts as empty
+    hitTestHz: 20,           // Cursor checks per second for click-through
+  },
+  shortcuts: {
+    // Global shortcuts, active while other apps have focus (Tauri accelerator syntax; blank = off)
+    summon: 'CommandOrControl+Shift+S',        // Show Sharon and focus the chat input
+    pushToTalk: 'CommandOrControl+Shift+Space', // Hold to talk from anywhere
+  },
+  health: {
+    enabled: true,   // Check the chat/translate/TTS servers in the background
+    interval: 60,    // Seconds between checks while everything is up (failures retry sooner)
+  },
+  sidecars: {
+    // Start these servers with the widget and stop them when it closes (read at launch).
+    // { name, command, args, env?, port, probe }: a process is skipped when its port is
+    // already in use; probe is an HTTP path that answers once it's ready (blank = port open).
+    // The backend asks in a native dialog before running a command/args/env it hasn't run before.
+    enabled: false,
+    processes: [
+      { name: 'ollama', command: 'ollama', args: ['serve'], port: 11434, probe: '/api/tags' },
+      { name: 'tts', command: '', args: [], port: 8791, probe: '/health' },
+    ],
+  },
+};
+
+// Objects whose keys are user-defined, so they're taken as saved instead of key-by-key
+const FREEFORM_KEYS = new Set(['expressions.emotionMap', 'expressions.modelMaps', 'gestures.emotionGestures', 'characters.profiles', 'window.placement']);
+
+let _config = structuredClone(DEFAULT_CONFIG);
+const _listeners = new Set();
+
+async function invokeOrLocal(command, args) {
+  try {
+    const { invoke } = await import('@tauri-apps/api/core');
+    return await invoke(command, args);
+  } catch (e) {
+    if (window.__TAURI_INTERNALS__) throw e;
+    // Not running inside Tauri — keep settings in localStorage instead
+    if (command === 'load_config') return JSON.parse(localStorage.getItem('sharon.config') || 'null');
+    return localStorage.setItem('sharon.config', JSON.stringify(args.config));
+  }
+}
+
+/**
+ * Deep-merge saved values over defaults, ignoring keys the defaults don't know
+ */
+function mergeConfig(base, saved, path = '') {
+  const result = structuredClone(base);
+  if (!saved || typeof saved !== 'object') return result;
+  for (const key of Object.keys(base)) {
+    if (!(key in saved)) continue;
+    const value = saved[key];
+    const keyPath = path ? `${path}.${key}` : key;
+    if (FREEFORM_KEYS.has(keyPath)) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) result[key] = structuredClone(value);
+    } else if (base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+      result[key] = mergeConfig(base[key], value, keyPath);
+    } else if (typeof value === typeof base[key] || base[key] === null) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Load the config file. Call once at startup, before anything reads getConfig().
+ */
+export async function loadConfig() {
+  try {
+    const saved = await invokeOrLocal('load_config');
+    _config = mergeConfig(DEFAULT_CONFIG, saved);
+  } catch (e) {
+    console.warn('Could not load config, using defaults:', e);
+  }
+  _listeners.forEach(fn => fn(_config));
+  return _config;
+}
+
+export function getConfig() {
+  return _config;
+}
+
+/**
+ * Merge a partial config, persist it and notify listeners
+ */
+export async function saveConfig(patch) {
+  _config = mergeConfig(DEFAULT_CONFIG, mergeConfig(_config, patch));
+  _listeners.forEach(fn => fn(_config));
+  await invokeOrLocal('save_config', { config: _config });
+  return _config;
+}
+
+export async function resetConfig() {
+  _config = structuredClone(DEFAULT_CONFIG);
+  _listeners.forEach(fn => fn(_config));
+  await invokeOrLocal('save_config', { config: _config });
+  return _config;
+}
+
+/**
+ * Subscribe to config changes. Returns an unsubscribe function.
+ */
+export function onConfigChange(listener) {
+  _listeners.add(listener);
+  return () => _listeners.delete(listener);
+}
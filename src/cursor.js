@@ -0,0 +1,42 @@
+/**
+ * Global cursor position — one `cursor_position` poll shared by everything that follows the
+ * cursor outside the window's pointer events (look-at, click-through).
+ *
+ * Each user asks for the rate it needs every frame; a poll runs when the last one is older than
+ * the asker's interval, so the cursor is polled at the fastest rate asked for, not once per user.
+ */
+
+let _cursor = null;         // { x, y } in CSS px relative to the window, or null
+let _polling = false;
+let _lastPoll = -Infinity;
+
+async function poll() {
+  _polling = true;
+  try {
+    const { invoke } = await import('@tauri-apps/api/core');
+    _cursor = await invoke('cursor_position');
+  } catch {
+    // The platform can't tell
+    _cursor = null;
+  } finally {
+    _polling = false;
+  }
+}
+
+/**
+ * Poll the cursor if the last poll is older than 1/hz seconds. Call every frame.
+ */
+export function requestCursor(hz) {
+  if (_polling || !window.__TAURI_INTERNALS__) return;
+  const now = performance.now();
+  if (now - _lastPoll < 1000 / hz) return;
+  _lastPoll = now;
+  poll();
+}
+
+/**
+ * The last polled position: a new object after every poll, null when unknown (or outside Tauri)
+ */
+export function getCursor() {
+  return _cursor;
+}
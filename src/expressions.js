@@ -0,0 +1,159 @@
+/**
+ * Expression controller — owns every facial expression except blink and the
+ * lip-sync visemes. One primary emotion at a time, eased cross-fades between
+ * emotions, decay back to neutral, and subtle idle flourishes when nothing else
+ * is showing. Blink and mouth overrides are left to three-vrm's per-expression
+ * overrideBlink/overrideMouth settings, so layering stays consistent per model.
+ */
+
+// Not ours: blink is driven by the idle loop, visemes by lipsync.js, look* by lookAt
+const RESERVED = /^(blink|blinkLeft|blinkRight|aa|ih|ou|ee|oh|lookUp|lookDown|lookLeft|lookRight|neutral)$/;
+
+let _vrm = null;
+let _owned = [];
+let _weights = {};
+let _time = 0;
+let _options = null;
+let _speaking = false;
+
+// { expression, intensity, startedAt, holdUntil }
+let _primary = null;
+
+// Idle flourish state (occasional faint happy/relaxed)
+let _idleTimer = 0, _nextIdleTime = 5 + Math.random() * 10;
+let _idleExpression = null, _idleWeight = 0, _idleFadeDir = 0;
+
+/**
+ * Parse an emotion tag value: "happy", "happy:0.8" or "happy 80%" → { name, intensity }
+ */
+export function parseEmotion(value, defaultIntensity = 0.6) {
+  const match = String(value || '').trim().toLowerCase().match(/^([a-z_-]+)\s*(?:[:=\s]\s*([\d.]+)\s*(%?))?/);
+  if (!match) return { name: 'neutral', intensity: 0 };
+  let intensity = match[2] !== undefined ? parseFloat(match[2]) : defaultIntensity;
+  if (match[3] === '%' || intensity > 1) intensity /= 100;
+  return { name: match[1], intensity: Math.max(0, Math.min(1, intensity || 0)) };
+}
+
+/**
+ * options: { emotionMap, intensity, fadeTime, hold, decay, idleFlourishes }
+ * emotionMap values are an expression name or { expression, scale }.
+ */
+export function initExpressions(vrm, options) {
+  _vrm = vrm;
+  _options = options;
+  _owned = (vrm.expressionManager?.expressions || [])
+    .map(e => e.expressionName)
+    .filter(name => !RESERVED.test(name));
+  _weights = Object.fromEntries(_owned.map(name => [name, 0]));
+  _primary = null;
+}
+
+export function setExpressionOptions(options) {
+  _options = options;
+}
+
+/**
+ * Show an emotion from the LLM's <emotion> tag (e.g. "happy:0.8")
+ */
+export function setEmotion(value) {
+  if (!_vrm || !_options) return;
+  const { name, intensity } = parseEmotion(value, _options.intensity);
+  const mapped = _options.emotionMap[name] ?? (_owned.includes(name) ? name : 'neutral');
+  const expression = typeof mapped === 'string' ? mapped : mapped.expression;
+  const scale = typeof mapped === 'object' ? (mapped.scale ?? 1) : 1;
+
+  if (expression === 'neutral' || !_owned.includes(expression) || intensity <= 0) {
+    _primary = null;
+    return;
+  }
+  _primary = {
+    expression,
+    intensity: Math.min(1, intensity * scale),
+    startedAt: _time,
+    holdUntil: _time + _options.hold,
+  };
+}
+
+/**
+ * While Sharon is speaking the current emotion holds; decay starts when she stops
+ */
+export function setSpeaking(speaking) {
+  _speaking = speaking;
+  if (!speaking && _primary) _primary.holdUntil = _time + _options.hold;
+}
+
+/**
+ * Is an emotion showing (held or still fading)? Idle flourishes don't count.
+ */
+export function hasEmotion() {
+  return !!_primary;
+}
+
+export function clearEmotion() {
+  _primary = null;
+}
+
+function updateIdleFlourish(delta) {
+  _idleTimer += delta;
+  if (_idleFadeDir === 0 && _idleTimer >= _nextIdleTime) {
+    const exprs = ['happy', 'relaxed'].filter(e => _owned.includes(e));
+    if (exprs.length > 0) {
+      _idleExpression = exprs[Math.floor(Math.random() * exprs.length)];
+      _idleFadeDir = 1;
+      _idleWeight = 0;
+      _idleTimer = 0;
+      _nextIdleTime = 4 + Math.random() * 8;
+    }
+  }
+  if (_idleFadeDir === 1) {
+    _idleWeight = Math.min(0.3, _idleWeight + delta * 0.5);
+    if (_idleWeight >= 0.3) _idleFadeDir = -1;
+  } else if (_idleFadeDir === -1) {
+    _idleWeight = Math.max(0, _idleWeight - delta * 0.3);
+    if (_idleWeight <= 0) {
+      _idleFadeDir = 0;
+      _idleExpression = null;
+    }
+  }
+}
+
+/**
+ * Call every frame before vrm.update()
+ */
+export function updateExpressions(delta) {
+  if (!_vrm?.expressionManager || !_options) return;
+  _time += delta;
+
+  const targets = {};
+  if (_primary) {
+    if (_speaking) _primary.holdUntil = Math.max(_primary.holdUntil, _time);
+    let level = _primary.intensity;
+    if (_time > _primary.holdUntil) {
+      level *= Math.exp(-(_time - _primary.holdUntil) / Math.max(0.1, _options.decay));
+    }
+    if (level < 0.02) {
+      _primary = null;
+    } else {
+      targets[_primary.expression] = level;
+    }
+  }
+
+  // Idle flourishes only play on a neutral face, and restart from zero afterwards
+  if (!_primary && _options.idleFlourishes) {
+    updateIdleFlourish(delta);
+    if (_idleExpression) targets[_idleExpression] = _idleWeight;
+  } else {
+    _idleExpression = null;
+    _idleFadeDir = 0;
+    _idleWeight = 0;
+  }
+
+  // Eased cross-fade: every owned expression chases its target
+  const k = 1 - Math.exp((-3 * delta) / Math.max(0.05, _options.fadeTime));
+  for (const name of _owned) {
+    const target = targets[name] || 0;
+    _weights[name] += (target - _weights[name]) * k;
+    if (Math.abs(_weights[name]) < 0.001 && target === 0) _weights[name] = 0;
+    _vrm.expressionManager.setValue(name, _weights[name]);
+  }
+}
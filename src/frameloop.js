@@ -0,0 +1,134 @@
+/**
+ * Frame pacing — renders at render.fps while Sharon is moving (speaking, gesturing,
+ * playing a clip, turning her head), at render.idleFps while she only breathes and blinks,
+ * and not at all while the window is hidden or minimised.
+ *
+ * Idle frames are spaced with a timer instead of by skipping animation frames, so the
+ * webview isn't woken at the display's refresh rate only to do nothing. Hidden windows
+ * don't always report document.hidden (tray hide on some webviews), so the Tauri window
+ * is asked as well.
+ */
+
+const VISIBILITY_CHECK = 1000;  // ms between "is the window still shown?" checks
+const FRAME_SLACK = 4;          // ms of rAF timestamp jitter that still counts as on time
+const STATS_INTERVAL = 500;     // ms between overlay updates
+
+let _frame = null;
+let _isActive = () => false;
+let _options = null;
+let _raf = null;
+let _timer = null;
+let _last = -Infinity;
+let _awakeUntil = 0;
+let _hidden = false;            // Tauri says the window is hidden or minimised
+let _stats = null;              // { el, since, frames, busy, worst }
+
+/**
+ * frame(time) renders one frame; isActive() says whether Sharon is moving right now.
+ * options: { fps, idleFps, showStats }
+ */
+export function initFrameLoop(frame, isActive, options) {
+  _frame = frame;
+  _isActive = isActive;
+  setFrameLoopOptions(options);
+  document.addEventListener('visibilitychange', resume);
+  watchWindow().catch(e => console.warn('Could not watch window visibility:', e));
+  resume();
+}
+
+export function setFrameLoopOptions(options) {
+  _options = options;
+  const el = document.getElementById('stats');
+  if (el) el.hidden = !options.showStats;
+  _stats = options.showStats && el ? { el, since: performance.now(), frames: 0, busy: 0, worst: 0 } : null;
+}
+
+/**
+ * Render at the full rate for the next `seconds` (user input, a reply arriving),
+ * and cut short any idle wait now
+ */
+export function wakeFrameLoop(seconds = 1) {
+  _awakeUntil = Math.max(_awakeUntil, performance.now() + seconds * 1000);
+  if (_timer !== null) {
+    clearTimeout(_timer);
+    _timer = null;
+    requestFrame();
+  }
+}
+
+function paused() {
+  return document.hidden || _hidden;
+}
+
+function requestFrame() {
+  if (_raf === null && _timer === null && !paused()) _raf = requestAnimationFrame(tick);
+}
+
+/**
+ * Start again after the window comes back (the frame clock caps the first delta)
+ */
+function resume() {
+  if (paused()) return;
+  requestFrame();
+}
+
+function isActive(time) {
+  return time < _awakeUntil || _isActive();
+}
+
+function scheduleNext(time, active) {
+  const wait = 1000 / (active ? _options.fps : _options.idleFps) - (performance.now() - _last);
+  if (active || wait <= FRAME_SLACK * 2) {
+    requestFrame();
+    return;
+  }
+  _timer = setTimeout(() => {
+    _timer = null;
+    requestFrame();
+  }, wait - FRAME_SLACK);
+}
+
+function tick(time) {
+  _raf = null;
+  if (paused()) return;
+  const active = isActive(time);
+  if (time - _last < 1000 / (active ? _options.fps : _options.idleFps) - FRAME_SLACK) {
+    scheduleNext(time, active);
+    return;
+  }
+  _last = time;
+  const start = performance.now();
+  _frame(time);
+  if (_stats) record(performance.now() - start, active);
+  scheduleNext(time, active);
+}
+
+function record(busy, active) {
+  _stats.frames++;
+  _stats.busy += busy;
+  _stats.worst = Math.max(_stats.worst, busy);
+  const now = performance.now();
+  const elapsed = now - _stats.since;
+  if (elapsed < STATS_INTERVAL) return;
+  const fps = (_stats.frames * 1000) / elapsed;
+  const avg = _stats.busy / _stats.frames;
+  _stats.el.textContent = `${fps.toFixed(0)} fps · ${avg.toFixed(1)} ms (max ${_stats.worst.toFixed(1)}) · ${active ? 'active' : 'idle'}`;
+  Object.assign(_stats, { since: now, frames: 0, busy: 0, worst: 0 });
+}
+
+async function watchWindow() {
+  if (!window.__TAURI_INTERNALS__) return;
+  const { getCurrentWindow } = await import('@tauri-apps/api/window');
+  const win = getCurrentWindow();
+  setInterval(async () => {
+    try {
+      const [visible, minimized] = await Promise.all([win.isVisible(), win.isMinimized()]);
+      const hidden = !visible || minimized;
+      if (hidden === _hidden) return;
+      _hidden = hidden;
+      if (!hidden) resume();
+    } catch {
+      // Leave the last known state
+    }
+  }, VISIBILITY_CHECK);
+}
@@ -0,0 +1,148 @@
+/**
+ * Gesture layer — short keyframed clips (nod, head shake, tilt, hand-to-chest,
+ * shrug, wave) added on top of the idle pose. Each clip starts and ends at zero
+ * offset, so the body always eases back into the idle loop.
+ *
+ * Offsets are additive rotations (radians) on normalized humanoid bones. Every
+ * frame, last frame's offsets are removed before the idle pose is written
+ * (resetGestureOffsets) and the new ones are added after it (applyGestures).
+ */
+
+// Keyframes: [time (s), value (rad)]. Tracks are keyed "bone.axis".
+const CLIPS = {
+  nod: {
+    duration: 0.9,
+    tracks: {
+      'head.x': [[0, 0], [0.2, 0.16], [0.4, 0.02], [0.6, 0.1], [0.9, 0]],
+      'neck.x': [[0, 0], [0.2, 0.05], [0.5, 0.02], [0.9, 0]],
+    },
+  },
+  headShake: {
+    duration: 1.1,
+    tracks: {
+      'head.y': [[0, 0], [0.18, 0.18], [0.42, -0.18], [0.66, 0.14], [0.88, -0.06], [1.1, 0]],
+      'head.x': [[0, 0], [0.3, 0.04], [1.1, 0]],
+    },
+  },
+  tilt: {
+    duration: 1.8,
+    tracks: {
+      'head.z': [[0, 0], [0.4, 0.16], [1.3, 0.14], [1.8, 0]],
+      'neck.z': [[0, 0], [0.4, 0.05], [1.3, 0.05], [1.8, 0]],
+      'head.y': [[0, 0], [0.4, 0.05], [1.8, 0]],
+    },
+  },
+  handToChest: {
+    duration: 2.6,
+    tracks: {
+      'rightUpperArm.z': [[0, 0], [0.5, -0.45], [2.0, -0.45], [2.6, 0]],
+      'rightUpperArm.y': [[0, 0], [0.5, 0.55], [2.0, 0.55], [2.6, 0]],
+      'rightLowerArm.y': [[0, 0], [0.5, 1.5], [2.0, 1.5], [2.6, 0]],
+      'head.x': [[0, 0], [0.6, 0.06], [2.0, 0.06], [2.6, 0]],
+      'spine.x': [[0, 0], [0.6, 0.03], [2.0, 0.03], [2.6, 0]],
+    },
+  },
+  shrug: {
+    duration: 1.4,
+    tracks: {
+      'leftShoulder.z': [[0, 0], [0.35, 0.2], [0.9, 0.2], [1.4, 0]],
+      'rightShoulder.z': [[0, 0], [0.35, -0.2], [0.9, -0.2], [1.4, 0]],
+      'leftLowerArm.y': [[0, 0], [0.35, -0.5], [0.9, -0.5], [1.4, 0]],
+      'rightLowerArm.y': [[0, 0], [0.35, 0.5], [0.9, 0.5], [1.4, 0]],
+      'head.z': [[0, 0], [0.35, 0.08], [0.9, 0.08], [1.4, 0]],
+    },
+  },
+  wave: {
+    duration: 2.4,
+    tracks: {
+      'rightUpperArm.z': [[0, 0], [0.45, -1.45], [1.95, -1.45], [2.4, 0]],
+      'rightLowerArm.z': [[0, 0], [0.45, -1.1], [0.75, -1.4], [1.05, -0.85], [1.35, -1.4], [1.65, -0.85], [1.95, -1.1], [2.4, 0]],
+      'head.z': [[0, 0], [0.45, 0.06], [1.95, 0.06], [2.4, 0]],
+    },
+  },
+};
+
+export const GESTURE_NAMES = Object.keys(CLIPS);
+
+let _vrm = null;
+// Playing clips: { clip, time, intensity }
+let _playing = [];
+// Offsets applied last frame: Map<"bone.axis", value>
+let _applied = new Map();
+
+export function initGestures(vrm) {
+  _vrm = vrm;
+  _playing = [];
+  _applied = new Map();
+}
+
+/**
+ * Start a gesture. Accepts camelCase names and loose spellings from LLM tags
+ * ("head shake", "hand-to-chest"). Returns false if the name is unknown.
+ */
+export function playGesture(name, intensity = 1) {
+  const key = GESTURE_NAMES.find(n => n.toLowerCase() === String(name).toLowerCase().replace(/[\s_-]+/g, ''));
+  if (!key || !_vrm) return false;
+  // Restarting a clip that is already playing just resets it
+  _playing = _playing.filter(p => p.clip !== CLIPS[key]);
+  _playing.push({ clip: CLIPS[key], time: 0, intensity });
+  return true;
+}
+
+export function isGesturing() {
+  return _playing.length > 0;
+}
+
+function sampleTrack(keys, t) {
+  if (t <= keys[0][0]) return keys[0][1];
+  for (let i = 1; i < keys.length; i++) {
+    const [t1, v1] = keys[i];
+    if (t <= t1) {
+      const [t0, v0] = keys[i - 1];
+      const u = (t - t0) / (t1 - t0);
+      // Smoothstep easing between keys
+      return v0 + (v1 - v0) * u * u * (3 - 2 * u);
+    }
+  }
+  return keys[keys.length - 1][1];
+}
+
+function boneAxis(trackKey) {
+  const [bone, axis] = trackKey.split('.');
+  return { node: _vrm?.humanoid?.getNormalizedBoneNode(bone), axis };
+}
+
+/**
+ * Remove last frame's offsets. Call before the idle pose is written.
+ */
+export function resetGestureOffsets() {
+  for (const [trackKey, value] of _applied) {
+    const { node, axis } = boneAxis(trackKey);
+    if (node) node.rotation[axis] -= value;
+  }
+  _applied.clear();
+}
+
+/**
+ * Advance playing clips and add their offsets. Call after the idle pose is written.
+ */
+export function applyGestures(delta) {
+  if (!_vrm || !_playing.length) return;
+
+  const offsets = new Map();
+  for (const playing of _playing) {
+    playing.time += delta;
+    for (const [trackKey, keys] of Object.entries(playing.clip.tracks)) {
+      const value = sampleTrack(keys, Math.min(playing.time, playing.clip.duration)) * playing.intensity;
+      offsets.set(trackKey, (offsets.get(trackKey) || 0) + value);
+    }
+  }
+  _playing = _playing.filter(p => p.time < p.clip.duration);
+
+  for (const [trackKey, value] of offsets) {
+    const { node, axis } = boneAxis(trackKey);
+    if (!node) continue;
+    node.rotation[axis] += value;
+    _applied.set(trackKey, value);
+  }
+}
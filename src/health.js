@@ -0,0 +1,216 @@
+/**
+ * Service health — checks that the chat and translation servers are up with their models
+ * pulled, and that the TTS server is running, so problems show before a message fails.
+ *
+ * Every check resolves to { ok, message, action }: what is wrong and what to do about it.
+ * Checks run at startup and every health.interval seconds; failures are retried sooner,
+ * backing off from 5 s up to the interval. The check functions take a fetchImpl (like
+ * llm.js) and a timeout, and follow the server URLs in the config, so they can be pointed at
+ * stub servers (see test/health.test.js).
+ */
+import { getConfig, onConfigChange } from './config.js';
+import { getCharacter } from './characters.js';
+
+const CHECK_TIMEOUT = 5000;
+const MIN_RETRY = 5;
+
+// name → { label, ok, message, action }; null until the first check finishes
+let _services = null;
+let _checking = null;
+let _timer = null;
+let _failures = 0;
+const _listeners = new Set();
+
+/**
+ * fetch that gives up after `timeout` ms. Network errors reject; HTTP errors resolve.
+ */
+async function fetchWithTimeout(fetchImpl, url, options = {}, timeout = CHECK_TIMEOUT) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetchImpl(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Ollama lists pulled models as "name:tag"; a model asked for without a tag means ":latest"
+ */
+function hasModel(names, model) {
+  const wanted = model.includes(':') ? model : `${model}:latest`;
+  return names.some(name => name === model || name === wanted);
+}
+
+// Up, but too busy to answer in time (loading a model, or stuck)
+function notAnswering(name, url) {
+  return { ok: false, message: `${name} at ${url} is not answering`, action: 'Wait for it to finish loading, or restart it' };
+}
+
+/**
+ * Is an LLM server reachable, and does it have `model`?
+ * llm: { backend, url, apiKey, model } — the same shape as the chat/translate config
+ */
+export async function checkLLM({ backend = 'ollama', url, apiKey, model }, { fetchImpl = globalThis.fetch.bind(globalThis), timeout = CHECK_TIMEOUT } = {}) {
+  const base = url.replace(/\/+$/, '');
+  const isOllama = backend === 'ollama';
+  let response;
+  try {
+    response = await fetchWithTimeout(fetchImpl, isOllama ? `${base}/api/tags` : `${base}/v1/models`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    }, timeout);
+  } catch (e) {
+    if (e.name === 'AbortError') return notAnswering(isOllama ? 'Ollama' : 'The LLM server', url);
+    response = null;
+  }
+  // The dev proxy answers 5xx when the server behind it is down
+  if (!response || response.status >= 500) {
+    return {
+      ok: false,
+      message: `${isOllama ? 'Ollama' : 'The LLM server'} is not running at ${url}`,
+      action: isOllama ? 'Start it with `ollama serve`' : 'Start the server, or fix the URL in Settings',
+    };
+  }
+  if (response.status === 401 || response.status === 403) {
+    return { ok: false, message: `The LLM server at ${url} rejected the API key`, action: 'Check the API key in Settings' };
+  }
+  if (!response.ok) {
+    return { ok: false, message: `The LLM server at ${url} answered ${response.status}`, action: 'Check the server URL and backend in Settings' };
+  }
+
+  let names;
+  try {
+    const data = await response.json();
+    names = isOllama ? (data.models || []).map(m => m.name || m.model) : (data.data || []).map(m => m.id);
+  } catch {
+    return { ok: false, message: `Unexpected reply from ${url}`, action: 'Check the backend type in Settings' };
+  }
+  if (!model || hasModel(names, model)) return { ok: true, message: model ? `${model} ready` : 'Running', action: '' };
+  return {
+    ok: false,
+    message: `Model ${model} is not ${isOllama ? 'pulled' : 'loaded'}`,
+    action: isOllama ? `Run \`ollama pull ${model}\`` : `Load ${model} in the server, or pick another model in Settings`,
+  };
+}
+
+/**
+ * Is the TTS server up? Any answer counts, except the dev proxy's 5xx for a dead server.
+ */
+export async function checkTTS({ url }, { fetchImpl = globalThis.fetch.bind(globalThis), timeout = CHECK_TIMEOUT } = {}) {
+  const shown = url || 'localhost:8791';
+  try {
+    const response = await fetchWithTimeout(fetchImpl, `${url}/health`, {}, timeout);
+    if (response.status < 500) return { ok: true, message: 'Running', action: '' };
+  } catch (e) {
+    if (e.name === 'AbortError') return notAnswering('The TTS server', shown);
+    // Otherwise not reachable
+  }
+  return { ok: false, message: `The TTS server is not running at ${shown}`, action: 'Start the TTS server, or fix its URL in Settings' };
+}
+
+/**
+ * The services the current settings depend on: name → { label, run }
+ */
+function servicesToCheck() {
+  const { chat, translate, tts } = getConfig();
+  const services = {
+    chat: { label: 'Chat model', run: () => checkLLM({ ...chat, model: getCharacter().chatModel }) },
+  };
+  if (translate.enabled) services.translate = { label: 'Translation model', run: () => checkLLM(translate) };
+  services.tts = { label: 'Voice', run: () => checkTTS(tts) };
+  return services;
+}
+
+/**
+ * { state: 'checking' | 'ok' | 'error', services: { name: { label, ok, message, action } } }
+ */
+export function getHealth() {
+  if (!_services) return { state: 'checking', services: {} };
+  const ok = Object.values(_services).every(service => service.ok);
+  return { state: ok ? 'ok' : 'error', services: _services };
+}
+
+/**
+ * listener(health) after every completed check. Returns an unsubscribe function.
+ */
+export function onHealthChange(listener) {
+  _listeners.add(listener);
+  return () => _listeners.delete(listener);
+}
+
+function schedule(healthy) {
+  clearTimeout(_timer);
+  const { health } = getConfig();
+  if (!health.enabled) return;
+  _failures = healthy ? 0 : _failures + 1;
+  const delay = healthy ? health.interval : Math.min(health.interval, MIN_RETRY * 2 ** (_failures - 1));
+  _timer = setTimeout(checkHealthNow, delay * 1000);
+}
+
+/**
+ * Check every service now (joining a check already running). Resolves to getHealth().
+ */
+export function checkHealthNow() {
+  if (_checking) return _checking;
+  _checking = (async () => {
+    const services = servicesToCheck();
+    const results = await Promise.all(Object.entries(services).map(async ([name, { label, run }]) => {
+      let result;
+      try {
+        result = await run();
+      } catch (e) {
+        result = { ok: false, message: e.message, action: '' };
+      }
+      return [name, { label, ...result }];
+    }));
+    _services = Object.fromEntries(results);
+    const health = getHealth();
+    schedule(health.state === 'ok');
+    _listeners.forEach(fn => {
+      try { fn(health); } catch (e) { console.warn('Health listener failed:', e); }
+    });
+    return health;
+  })().finally(() => { _checking = null; });
+  return _checking;
+}
+
+/**
+ * Only what the checks depend on: saving anything else (the chat height, mute) isn't a reason to probe
+ */
+function checkedSettings(config) {
+  const llm = ({ backend, url, apiKey }) => [backend, url, apiKey];
+  return JSON.stringify([
+    llm(config.chat), getCharacter().chatModel,
+    config.translate.enabled && [...llm(config.translate), config.translate.model],
+    config.tts.url, config.health.enabled, config.health.interval,
+  ]);
+}
+
+/**
+ * Re-check as soon as a server started by the backend (see sidecars.rs) comes up
+ */
+async function listenForSidecars() {
+  if (!window.__TAURI_INTERNALS__) return;
+  const { listen } = await import('@tauri-apps/api/event');
+  await listen('sidecar-status', ({ payload }) => {
+    if (payload.state === 'ready') checkHealthNow();
+  });
+}
+
+/**
+ * First check now, then keep checking. Changes to the servers and models checked trigger a re-check.
+ */
+export function startHealthMonitor() {
+  listenForSidecars().catch(e => console.warn('Could not listen for sidecar status:', e));
+  // The check below covers the current settings, so only a change from them re-checks
+  let last = checkedSettings(getConfig());
+  onConfigChange((config) => {
+    const key = checkedSettings(config);
+    if (key === last) return;
+    last = key;
+    _failures = 0;
+    if (config.health.enabled) checkHealthNow();
+    else clearTimeout(_timer);
+  });
+  if (getConfig().health.enabled) checkHealthNow();
+}
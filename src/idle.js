@@ -0,0 +1,123 @@
+/**
+ * Procedural idle — the original sine-based pose loop
+ * (gentle sway → thoughtful tilt → confident pose → playful bounce → back to gentle sway),
+ * baked into a looping AnimationClip so it plays through the mixer like any imported clip.
+ */
+import * as THREE from 'three';
+
+const PHASE_DURATION = 10; // 10 seconds per pose, 40 second total loop
+const POSE_KEYS = ['gentleSway', 'thoughtfulTilt', 'confidentPose', 'playfulBounce'];
+const LOOP_DURATION = PHASE_DURATION * POSE_KEYS.length;
+// Breathing at ~1.2 rad/s, rounded to a whole number of breaths per loop so the clip wraps cleanly
+const BREATH_RATE = (2 * Math.PI * 8) / LOOP_DURATION;
+const SAMPLE_RATE = 15;
+
+// Pose definitions
+const POSES = {
+  gentleSway: (phase) => ({
+    hipsRotY: Math.sin(phase * 0.5) * 0.015,
+    hipsRotZ: Math.sin(phase * 0.3) * 0.008,
+    spineRotX: Math.sin(phase * 0.7) * 0.01,
+    leftArmRotZ: -1.2 + Math.sin(phase * 0.4) * 0.03,
+    rightArmRotZ: 1.2 - Math.sin(phase * 0.4) * 0.03,
+    headRotY: Math.sin(phase * 0.3) * 0.04,
+    headRotX: Math.sin(phase * 0.5) * 0.02,
+    headRotZ: 0,
+  }),
+  thoughtfulTilt: (phase) => ({
+    hipsRotY: Math.sin(phase * 0.2) * 0.005,
+    hipsRotZ: 0,
+    spineRotX: 0.02 + Math.sin(phase * 0.4) * 0.015,
+    leftArmRotZ: -1.15 + Math.sin(phase * 0.3) * 0.02,
+    rightArmRotZ: 1.15,
+    headRotY: Math.sin(phase * 0.25) * 0.12,
+    headRotX: -0.05 + Math.sin(phase * 0.35) * 0.04,
+    headRotZ: Math.sin(phase * 0.2) * 0.08,
+  }),
+  confidentPose: (phase) => ({
+    hipsRotY: Math.sin(phase * 0.3) * 0.01,
+    hipsRotZ: Math.sin(phase * 0.25) * 0.005,
+    spineRotX: -0.015 + Math.sin(phase * 0.5) * 0.012,
+    leftArmRotZ: -1.1 + Math.sin(phase * 0.35) * 0.025,
+    rightArmRotZ: 1.1 - Math.sin(phase * 0.35) * 0.025,
+    headRotY: Math.sin(phase * 0.2) * 0.025,
+    headRotX: -0.02 + Math.sin(phase * 0.4) * 0.01,
+    headRotZ: 0,
+  }),
+  playfulBounce: (phase) => ({
+    hipsRotY: Math.sin(phase * 0.9) * 0.018,
+    hipsRotZ: Math.sin(phase * 0.7) * 0.01,
+    spineRotX: Math.sin(phase * 1.2) * 0.015,
+    leftArmRotZ: -1.18 + Math.sin(phase * 0.8) * 0.035,
+    rightArmRotZ: 1.18 - Math.sin(phase * 0.6) * 0.035,
+    headRotY: Math.sin(phase * 0.85) * 0.05,
+    headRotX: Math.sin(phase * 1.1) * 0.025,
+    headRotZ: Math.sin(phase) * 0.02,
+  }),
+};
+
+// Smooth interpolation between two poses
+function lerpPose(poseA, poseB, t) {
+  const result = {};
+  for (const key of Object.keys(poseA)) {
+    const a = poseA[key] || 0;
+    const b = poseB[key] || 0;
+    result[key] = a + (b - a) * t;
+  }
+  return result;
+}
+
+/**
+ * Bone rotations (Euler x, y, z) at time t within the loop
+ */
+function sampleIdle(t) {
+  const phaseIndex = Math.min(POSE_KEYS.length - 1, Math.floor(t / PHASE_DURATION));
+  const phaseProgress = (t - phaseIndex * PHASE_DURATION) / PHASE_DURATION;
+  const isLast = phaseIndex === POSE_KEYS.length - 1;
+
+  const currentPose = POSES[POSE_KEYS[phaseIndex]](t);
+  // The last transition blends into the loop's first frame, so the clip wraps without a pop
+  const nextPose = POSES[POSE_KEYS[(phaseIndex + 1) % POSE_KEYS.length]](isLast ? t - LOOP_DURATION : t);
+
+  // Smooth transition (blend last 25% of each phase into next)
+  const blendT = phaseProgress > 0.75 ? (phaseProgress - 0.75) / 0.25 : 0;
+  const pose = lerpPose(currentPose, nextPose, blendT);
+  const breath = Math.sin(t * BREATH_RATE) * 0.015;
+
+  return {
+    hips: [0, pose.hipsRotY, pose.hipsRotZ],
+    spine: [pose.spineRotX, 0, 0],
+    chest: [pose.spineRotX + breath, 0, 0],
+    head: [pose.headRotX, pose.headRotY, pose.headRotZ],
+    leftUpperArm: [0, 0, pose.leftArmRotZ],
+    rightUpperArm: [0, 0, pose.rightArmRotZ],
+    leftLowerArm: [0, 0, 0.05],
+    rightLowerArm: [0, 0, -0.05],
+  };
+}
+
+/**
+ * Bake the idle loop into an AnimationClip targeting the VRM's normalized bones
+ */
+export function createIdleClip(vrm, name = 'procedural') {
+  const frameCount = LOOP_DURATION * SAMPLE_RATE + 1;
+  const times = Float32Array.from({ length: frameCount }, (_, i) => i / SAMPLE_RATE);
+  const values = {};
+  const euler = new THREE.Euler();
+  const quaternion = new THREE.Quaternion();
+
+  times.forEach((t, i) => {
+    for (const [bone, [x, y, z]] of Object.entries(sampleIdle(t))) {
+      values[bone] ??= new Float32Array(frameCount * 4);
+      quaternion.setFromEuler(euler.set(x, y, z)).toArray(values[bone], i * 4);
+    }
+  });
+
+  const tracks = Object.entries(values)
+    .map(([bone, data]) => {
+      const node = vrm.humanoid?.getNormalizedBoneNode(bone);
+      return node && new THREE.QuaternionKeyframeTrack(`${node.name}.quaternion`, times, data);
+    })
+    .filter(Boolean);
+  return new THREE.AnimationClip(name, LOOP_DURATION, tracks);
+}
@@ -0,0 +1,93 @@
+/**
+ * Languages — names/codes used by the translate and TTS settings, and a lightweight
+ * detector so replies already in the voice's language skip translation.
+ *
+ * Detection looks at the writing system first (kana, hangul, cyrillic...), then
+ * at common function words for Latin-script languages. It returns null when unsure —
+ * including for Han characters alone, which Chinese and kanji-only Japanese share.
+ */
+
+// code → English name (the TTS server expects names such as "Japanese")
+export const LANGUAGES = {
+  en: 'English',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ru: 'Russian',
+};
+
+const SCRIPTS = [
+  { code: 'ja', test: /[\u3040-\u30ff]/g },       // Hiragana / katakana
+  { code: 'ko', test: /[\uac00-\ud7af\u1100-\u11ff]/g },
+  { code: 'ru', test: /[\u0400-\u04ff]/g },
+];
+
+const HAN = /[\u3400-\u4dbf\u4e00-\u9fff]/g;
+
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'you', 'is', 'are', 'to', 'of', 'it', 'that', 'what', 'i', 'my', 'your', 'with', 'for', 'this', 'do', 'not'],
+  es: ['el', 'la', 'que', 'y', 'de', 'los', 'es', 'en', 'un', 'una', 'por', 'para', 'con', 'no', 'yo', 'tu', 'muy', 'pero'],
+  fr: ['le', 'la', 'les', 'et', 'de', 'des', 'est', 'un', 'une', 'je', 'tu', 'vous', 'pas', 'que', 'pour', 'avec', 'mais', 'très'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'du', 'nicht', 'ein', 'eine', 'mit', 'zu', 'auf', 'für', 'aber', 'sehr', 'es', 'wir'],
+  it: ['il', 'la', 'che', 'e', 'di', 'un', 'una', 'non', 'sono', 'per', 'con', 'ma', 'io', 'tu', 'molto', 'questo', 'è', 'ciao'],
+  pt: ['o', 'a', 'que', 'e', 'de', 'um', 'uma', 'não', 'para', 'com', 'eu', 'você', 'muito', 'mas', 'está', 'isso', 'os', 'as'],
+};
+
+/**
+ * "ja", "ja-JP", "Japanese" or "japanese" → "ja". Unknown values → null.
+ */
+export function normalizeLanguage(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (!v || v === 'auto') return null;
+  const code = v.split(/[-_]/)[0];
+  if (LANGUAGES[code]) return code;
+  return Object.keys(LANGUAGES).find(c => LANGUAGES[c].toLowerCase() === v) ?? null;
+}
+
+/**
+ * Display/TTS name for a language setting; unknown values pass through unchanged
+ */
+export function languageName(value) {
+  return LANGUAGES[normalizeLanguage(value)] ?? String(value || '');
+}
+
+export function sameLanguage(a, b) {
+  const codeA = normalizeLanguage(a);
+  return !!codeA && codeA === normalizeLanguage(b);
+}
+
+/**
+ * Best guess at the language of `text` as a code, or null
+ */
+export function detectLanguage(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (!letters) return null;
+
+  for (const { code, test } of SCRIPTS) {
+    const count = (text.match(test) || []).length;
+    // Japanese mixes kanji with kana, so any kana at all decides it
+    if (code === 'ja' ? count > 0 : count / letters > 0.3) return code;
+  }
+  // Han without kana or hangul: Chinese, or Japanese written in kanji only
+  if ((text.match(HAN) || []).length / letters > 0.3) return null;
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = null, bestScore = 0, secondScore = 0;
+  for (const [code, list] of Object.entries(FUNCTION_WORDS)) {
+    const score = words.filter(word => list.includes(word)).length;
+    if (score > bestScore) {
+      secondScore = bestScore;
+      bestScore = score;
+      best = code;
+    } else if (score > secondScore) {
+      secondScore = score;
+    }
+  }
+  // Short or ambiguous text: better to translate needlessly than to skip a translation
+  return bestScore >= 2 && bestScore > secondScore ? best : null;
+}
@@ -1,28 +1,59 @@
 /**
  * Lip sync system — drives VRM mouth blend shapes from audio analyser
+ *
+ * Two modes:
+ *  - viseme: follows a cue timeline (TTS phoneme timings or kana estimate, see visemes.js)
+ *    with coarticulation blending between neighbouring cues
+ *  - spectral: vowel shapes classified from the live audio (see vowels.js), opened by
+ *    volume — used whenever no timeline covers the current moment
  */
+import { timingsToCues, kanaToCues } from './visemes.js';
+import { createVowelClassifier } from './vowels.js';
 
 const VOWEL_SHAPES = ['aa', 'ih', 'ou', 'ee', 'oh'];
 
-// Map frequency bands to mouth shapes (simplified viseme mapping)
-// We use volume-based approach: louder = more open mouth
+// Portion of a cue at its end that already blends towards the next cue's shape
+const COARTICULATION = 0.35;
+// Portion of a bilabial (m/b/p) cue spent opening from closed lips
+const CLOSED_ONSET = 0.3;
+// How fast mouth weights chase their targets (per second)
+const SMOOTHING = 22;
+// Vowel probabilities change more slowly than openness, to avoid jittery shapes
+const VOWEL_SMOOTHING = 12;
+
 let _vrm = null;
 let _analyser = null;
 let _active = false;
 let _dataArray = null;
+let _timeData = null;
+let _classifier = null;
+// Smoothed vowel probabilities from the spectral classifier
+const _vowelMix = Object.fromEntries(VOWEL_SHAPES.map(shape => [shape, shape === 'aa' ? 1 : 0]));
+// Scheduled cues in AudioContext time: { start, end, viseme, closedOnset }
+let _cues = [];
+const _weights = Object.fromEntries(VOWEL_SHAPES.map(shape => [shape, 0]));
+let _lastUpdate = 0;
 
 export function initLipSync(vrm, analyser) {
   _vrm = vrm;
   _analyser = analyser;
   _dataArray = new Uint8Array(analyser.frequencyBinCount);
+  _timeData = new Float32Array(analyser.fftSize);
+  _classifier = createVowelClassifier({ sampleRate: analyser.context.sampleRate, fftSize: analyser.fftSize });
 }
 
 export function startLipSync() {
   _active = true;
 }
 
+export function isLipSyncActive() {
+  return _active;
+}
+
 export function stopLipSync() {
   _active = false;
+  _cues = [];
+  VOWEL_SHAPES.forEach(shape => { _weights[shape] = 0; });
   // Reset mouth to closed — delayed slightly to avoid audio thread race
   setTimeout(() => {
     if (_vrm?.expressionManager) {
@@ -34,41 +65,109 @@ export function stopLipSync() {
 }
 
 /**
- * Call this every frame during animation loop
+ * Add the viseme timeline for a clip that starts playing at `startAt` (AudioContext time).
+ * info is { text, language, timings } from getSpeechInfo(). Clips without usable
+ * timing data are simply left to the spectral mode.
  */
-export function updateLipSync() {
-  if (!_active || !_vrm?.expressionManager || !_analyser || !_dataArray) return;
+export function scheduleVisemes(audioBuffer, startAt, info) {
+  if (!info) return;
+  let cues = timingsToCues(info.timings);
+  if (!cues && /japanese|^ja/i.test(info.language || '')) {
+    cues = kanaToCues(info.text || '', audioBuffer);
+  }
+  if (!cues) return;
+
+  const now = _analyser?.context.currentTime ?? 0;
+  _cues = _cues
+    .filter(cue => cue.end > now)
+    .concat(cues.map(cue => ({ ...cue, start: cue.start + startAt, end: cue.end + startAt })))
+    .sort((a, b) => a.start - b.start);
+}
 
+function getVolume() {
   _analyser.getByteFrequencyData(_dataArray);
 
-  // Get volume from frequency data (focus on voice range ~80-3000Hz)
-  // At 24kHz sample rate with 256 FFT, each bin = ~93.75Hz
-  // Voice fundamentals: bins 1-10 roughly
+  // Get volume from frequency data, focused on the voice fundamentals and
+  // first formant (~90-1400Hz)
+  const binHz = _analyser.context.sampleRate / _analyser.fftSize;
+  const first = Math.max(1, Math.round(90 / binHz));
+  const last = Math.min(_dataArray.length - 1, Math.round(1400 / binHz));
   let sum = 0;
-  const voiceBins = Math.min(16, _dataArray.length);
-  for (let i = 1; i < voiceBins; i++) {
+  for (let i = first; i <= last; i++) {
     sum += _dataArray[i];
   }
-  const avgVolume = sum / (voiceBins - 1) / 255; // normalize to 0-1
+  return sum / (last - first + 1) / 255; // normalize to 0-1
+}
+
+/**
+ * Target weights from the cue timeline at AudioContext time `now`,
+ * or null when no cue with a known shape covers it
+ */
+function visemeTargets(now, volume) {
+  const index = _cues.findIndex(cue => now >= cue.start && now < cue.end);
+  if (index < 0) {
+    // Between scheduled clips the mouth rests; with nothing scheduled, classify the audio
+    return _cues.some(cue => cue.end > now) ? {} : null;
+  }
+  const cue = _cues[index];
+  if (cue.viseme === null) return null;
+  if (cue.viseme === 'closed') return {};
+
+  const progress = (now - cue.start) / (cue.end - cue.start);
+  // Openness follows loudness loosely so timing drift never leaves the mouth open in silence
+  let open = volume > 0.02 ? Math.min(1, 0.55 + volume * 1.5) : 0.25;
+  if (cue.closedOnset && progress < CLOSED_ONSET) open *= progress / CLOSED_ONSET;
+
+  const targets = { [cue.viseme]: open };
+  const next = _cues[index + 1];
+  if (next && next.start - cue.end < 0.05 && progress > 1 - COARTICULATION) {
+    const mix = ((progress - (1 - COARTICULATION)) / COARTICULATION) * 0.5;
+    const nextShape = next.viseme === null || next.viseme === 'closed' ? null : next.viseme;
+    targets[cue.viseme] = open * (1 - mix);
+    if (nextShape) targets[nextShape] = (targets[nextShape] || 0) + open * mix;
+  }
+  return targets;
+}
 
-  // Simple volume-to-mouth mapping
-  // Cycle through vowel shapes based on time for variety
-  const time = performance.now() / 1000;
-  const vowelIndex = Math.floor(time * 8) % VOWEL_SHAPES.length;
+/**
+ * Vowel shapes from the spectral classifier, opened by volume
+ */
+function spectralTargets(volume, dt) {
+  if (volume <= 0.05) return {};
+
+  _analyser.getFloatTimeDomainData(_timeData);
+  const probabilities = _classifier.classify(_timeData);
+  if (probabilities) {
+    const k = 1 - Math.exp(-VOWEL_SMOOTHING * dt);
+    VOWEL_SHAPES.forEach(shape => {
+      _vowelMix[shape] += (probabilities[shape] - _vowelMix[shape]) * k;
+    });
+  }
 
-  // Reset all
+  const mouthOpen = Math.min(1, volume * 2.5);
+  const targets = {};
+  VOWEL_SHAPES.forEach(shape => { targets[shape] = mouthOpen * _vowelMix[shape]; });
+  return targets;
+}
+
+/**
+ * Call this every frame during animation loop
+ */
+export function updateLipSync() {
+  const nowMs = performance.now();
+  const dt = Math.min(0.1, (nowMs - (_lastUpdate || nowMs)) / 1000);
+  _lastUpdate = nowMs;
+  if (!_active || !_vrm?.expressionManager || !_analyser || !_dataArray) return;
+
+  const volume = getVolume();
+  const targets = visemeTargets(_analyser.context.currentTime, volume) ?? spectralTargets(volume, dt);
+
+  const k = 1 - Math.exp(-SMOOTHING * dt);
   VOWEL_SHAPES.forEach(shape => {
-    try { _vrm.expressionManager.setValue(shape, 0); } catch {}
+    _weights[shape] += ((targets[shape] || 0) - _weights[shape]) * k;
   });
 
-  if (avgVolume > 0.05) {
-    // Primary mouth shape based on volume
-    const mouthOpen = Math.min(1, avgVolume * 2.5);
-    
-    // Blend between 'aa' (open) and cycling vowels
-    try {
-      _vrm.expressionManager.setValue('aa', mouthOpen * 0.6);
-      _vrm.expressionManager.setValue(VOWEL_SHAPES[vowelIndex], mouthOpen * 0.4);
-    } catch {}
-  }
+  VOWEL_SHAPES.forEach(shape => {
+    try { _vrm.expressionManager.setValue(shape, _weights[shape]); } catch {}
+  });
 }
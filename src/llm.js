@@ -0,0 +1,306 @@
+/**
+ * LLM backend layer — one interface over the local servers Sharon can talk to.
+ *
+ * Every backend exposes:
+ *   chat({ model, messages, options, tools, onToolCalls, signal })          → Promise<string>
+ *   chatStream({ model, messages, options, tools, onToolCalls, signal })    → async iterable of text deltas
+ *
+ * `options` uses one neutral shape ({ maxTokens, temperature, stop, json }) that each
+ * adapter maps onto its own wire format; json asks the server for a JSON object. `signal` (an AbortSignal) cancels the request,
+ * including a stream that is already being read.
+ *
+ * Tool calling is neutral too. `tools` is a list of OpenAI-style function definitions;
+ * when the model calls some, onToolCalls([{ id, name, arguments }]) runs once the reply is
+ * complete (arguments parsed into an object). Messages may carry the calls back as
+ * { role: 'assistant', content, toolCalls } and their results as { role: 'tool', name, toolCallId, content }.
+ */
+
+/**
+ * Create a backend from a config entry: { backend, url, apiKey }
+ * backend: 'ollama' | 'openai' (LM Studio, vLLM, llama.cpp server, ...)
+ */
+export function createBackend({ backend = 'ollama', url, apiKey, fetchImpl } = {}) {
+  const adapter = ADAPTERS[backend];
+  if (!adapter) {
+    throw new Error(`Unknown LLM backend: ${backend}`);
+  }
+  return adapter({ url: url.replace(/\/+$/, ''), apiKey, fetchImpl: fetchImpl || globalThis.fetch.bind(globalThis) });
+}
+
+/**
+ * The server's own explanation of a failed request, if it sent one
+ */
+async function errorDetail(response) {
+  const body = await response.text().catch(() => '');
+  try {
+    const { error } = JSON.parse(body);
+    return String(error?.message ?? error ?? '');
+  } catch {
+    return body.slice(0, 200);
+  }
+}
+
+async function requestError(prefix, response) {
+  const detail = await errorDetail(response);
+  return new Error(`${prefix}: ${response.status} ${response.statusText}${detail ? ` — ${detail}` : ''}`);
+}
+
+/**
+ * Arguments arrive as an object (Ollama) or a JSON string (OpenAI); a string that isn't valid
+ * JSON is handed over as { input } rather than failing the reply
+ */
+function parseArguments(value) {
+  if (value && typeof value === 'object') return value;
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return { input: value };
+  }
+}
+
+// ── Ollama (/api/chat, NDJSON stream) ──
+function ollamaMessages(messages) {
+  return messages.map((m) => {
+    if (m.toolCalls) {
+      return { role: 'assistant', content: m.content || '', tool_calls: m.toolCalls.map(c => ({ function: { name: c.name, arguments: c.arguments } })) };
+    }
+    if (m.role === 'tool') return { role: 'tool', content: m.content, tool_name: m.name };
+    return m;
+  });
+}
+
+function ollamaToolCalls(calls) {
+  return calls.map((c, i) => ({ id: c.id || `call_${i}`, name: c.function?.name, arguments: parseArguments(c.function?.arguments) }));
+}
+
+function ollamaBackend({ url, fetchImpl }) {
+  const request = (model, messages, options, tools, stream, signal) => fetchImpl(`${url}/api/chat`, {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      messages: ollamaMessages(messages),
+      stream,
+      ...(tools?.length && { tools }),
+      ...(options.json && { format: 'json' }),
+      options: {
+        ...(options.maxTokens != null && { num_predict: options.maxTokens }),
+        ...(options.temperature != null && { temperature: options.temperature }),
+        ...(options.stop && { stop: options.stop }),
+      },
+    }),
+  });
+
+  return {
+    name: 'ollama',
+
+    async chat({ model, messages, options = {}, tools, onToolCalls, signal }) {
+      const response = await request(model, messages, options, tools, false, signal);
+      if (!response.ok) {
+        throw await requestError('Ollama error', response);
+      }
+      const data = await response.json();
+      if (data.message?.tool_calls?.length) onToolCalls?.(ollamaToolCalls(data.message.tool_calls));
+      return data.message?.content || '';
+    },
+
+    async *chatStream({ model, messages, options = {}, tools, onToolCalls, signal }) {
+      const response = await request(model, messages, options, tools, true, signal);
+      if (!response.ok || !response.body) {
+        throw await requestError('Ollama error', response);
+      }
+      // Tool calls come whole, in one or more chunks before `done`
+      const calls = [];
+      for await (const line of readLines(response)) {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(`Ollama error: ${chunk.error}`);
+        if (chunk.message?.tool_calls) calls.push(...chunk.message.tool_calls);
+        const delta = chunk.message?.content;
+        if (delta) yield delta;
+        if (chunk.done) break;
+      }
+      if (calls.length) onToolCalls?.(ollamaToolCalls(calls));
+    },
+  };
+}
+
+// ── OpenAI-compatible (/v1/chat/completions, SSE stream) ──
+function openaiMessages(messages) {
+  return messages.map((m) => {
+    if (m.toolCalls) {
+      return {
+        role: 'assistant',
+        content: m.content || null,
+        tool_calls: m.toolCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.arguments) } })),
+      };
+    }
+    if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+    return m;
+  });
+}
+
+function openaiToolCalls(calls) {
+  return calls.map((c, i) => ({ id: c.id || `call_${i}`, name: c.function?.name, arguments: parseArguments(c.function?.arguments) }));
+}
+
+const MAX_SERVER_STOPS = 4;
+
+// The stop sequences past the server's limit
+function localStops(options) {
+  return options.stop?.slice(MAX_SERVER_STOPS) || [];
+}
+
+/**
+ * Text up to the first of `stops`
+ */
+function cutAtStop(text, stops) {
+  const end = Math.min(...stops.map(stop => text.indexOf(stop)).filter(i => i >= 0));
+  return Number.isFinite(end) ? text.slice(0, end) : text;
+}
+
+/**
+ * cutAtStop for a stream. push(delta) returns the text that is safe to pass on, holding back
+ * an ending that could still grow into a stop sequence; flush() returns what was held back.
+ */
+function stopFilter(stops) {
+  let pending = '';
+  let stopped = false;
+  const heldBack = () => {
+    for (let n = Math.min(pending.length, Math.max(0, ...stops.map(s => s.length - 1))); n > 0; n--) {
+      const tail = pending.slice(-n);
+      if (stops.some(stop => stop.startsWith(tail))) return n;
+    }
+    return 0;
+  };
+  return {
+    get stopped() { return stopped; },
+    push(delta) {
+      if (stopped) return '';
+      pending += delta;
+      const cut = cutAtStop(pending, stops);
+      if (cut.length < pending.length) {
+        stopped = true;
+        pending = '';
+        return cut;
+      }
+      const text = pending.slice(0, pending.length - heldBack());
+      pending = pending.slice(text.length);
+      return text;
+    },
+    flush() {
+      const text = pending;
+      pending = '';
+      return text;
+    },
+  };
+}
+
+function openaiBackend({ url, apiKey, fetchImpl }) {
+  const request = (model, messages, options, tools, stream, signal) => fetchImpl(`${url}/v1/chat/completions`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+    },
+    body: JSON.stringify({
+      model,
+      messages: openaiMessages(messages),
+      stream,
+      ...(tools?.length && { tools }),
+      ...(options.json && { response_format: { type: 'json_object' } }),
+      ...(options.maxTokens != null && { max_tokens: options.maxTokens }),
+      ...(options.temperature != null && { temperature: options.temperature }),
+      // OpenAI-style servers accept at most 4 stop sequences; the rest are applied here (see cutAtStop)
+      ...(options.stop?.length && { stop: options.stop.slice(0, MAX_SERVER_STOPS) }),
+    }),
+  });
+
+  return {
+    name: 'openai',
+
+    async chat({ model, messages, options = {}, tools, onToolCalls, signal }) {
+      const response = await request(model, messages, options, tools, false, signal);
+      if (!response.ok) {
+        throw await requestError('LLM server error', response);
+      }
+      const data = await response.json();
+      const message = data.choices?.[0]?.message;
+      if (message?.tool_calls?.length) onToolCalls?.(openaiToolCalls(message.tool_calls));
+      return cutAtStop(message?.content || '', localStops(options));
+    },
+
+    async *chatStream({ model, messages, options = {}, tools, onToolCalls, signal }) {
+      const response = await request(model, messages, options, tools, true, signal);
+      if (!response.ok || !response.body) {
+        throw await requestError('LLM server error', response);
+      }
+      // Tool calls stream in pieces: { index, id, function: { name, arguments } }, arguments in fragments
+      const calls = [];
+      const stops = stopFilter(localStops(options));
+      for await (const line of readLines(response)) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') break;
+        const chunk = JSON.parse(payload);
+        if (chunk.error) throw new Error(`LLM server error: ${chunk.error.message || chunk.error}`);
+        const delta = chunk.choices?.[0]?.delta;
+        for (const part of delta?.tool_calls || []) {
+          const call = (calls[part.index ?? calls.length] ??= { id: '', function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+        if (delta?.content) {
+          const text = stops.push(delta.content);
+          if (text) yield text;
+          if (stops.stopped) break;
+        }
+      }
+      const rest = stops.flush();
+      if (rest) yield rest;
+      if (calls.length) onToolCalls?.(openaiToolCalls(calls.filter(Boolean)));
+    },
+  };
+}
+
+const ADAPTERS = {
+  ollama: ollamaBackend,
+  openai: openaiBackend,
+  // LM Studio, vLLM and llama.cpp's server all speak the OpenAI format
+  lmstudio: openaiBackend,
+  vllm: openaiBackend,
+  llamacpp: openaiBackend,
+};
+
+/**
+ * Yield each non-empty line of a streamed response body. A reader that stops early cancels
+ * the body, so the connection doesn't stay open.
+ */
+async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      finished = done;
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) yield line;
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer.trim();
+  } finally {
+    if (!finished) await reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+}
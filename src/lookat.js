@@ -0,0 +1,171 @@
+/**
+ * Look-at — Sharon's eyes and head follow the cursor across the whole desktop.
+ *
+ * The cursor position comes from the `cursor_position` Tauri command (relative to the
+ * window, so it keeps working outside it), polled through cursor.js together with
+ * click-through; in a plain browser only pointer moves inside the window are seen. The
+ * cursor is placed on the plane of the screen, around the camera, which stands in for the
+ * user's eyes: a cursor at the window centre means "looking at the user".
+ *
+ * Eyes are driven through vrm.lookAt; the head and neck get a clamped, damped offset
+ * added on top of the animation pose, in the same remove-then-add way as gestures.js.
+ */
+import * as THREE from 'three';
+import { requestCursor, getCursor } from './cursor.js';
+
+let _vrm = null;
+let _camera = null;
+let _options = null;
+let _time = 0;
+let _target = null;             // Object3D vrm.lookAt follows
+
+let _cursor = null;             // { x, y } in CSS px relative to the window, or null
+let _cursorMovedAt = -Infinity;
+let _polled = null;             // The last cursor.js position taken in
+let _userUntil = 0;             // Look at the user until this time
+let _turning = false;           // Eyes or head still moving towards the goal
+
+// Current (damped) head turn, radians
+let _yaw = 0, _pitch = 0;
+// Offsets applied last frame: [node, axis, value]
+let _applied = [];
+
+const _headPos = new THREE.Vector3();
+const _goal = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _local = new THREE.Vector3();
+
+/**
+ * options: { enabled, followCursor, maxYaw, maxPitch, headWeight, damping, pollHz, idleAfter }
+ */
+export function initLookAt(vrm, camera, options) {
+  _vrm = vrm;
+  _camera = camera;
+  _options = options;
+  _applied = [];
+  _yaw = 0;
+  _pitch = 0;
+  // Kept out of the scene graph; three-vrm reads its world position directly
+  _target = new THREE.Object3D();
+  _target.position.copy(camera.position);
+  if (vrm.lookAt) {
+    vrm.lookAt.target = _target;
+    vrm.lookAt.autoUpdate = options.enabled;
+  }
+}
+
+export function setLookAtOptions(options) {
+  _options = options;
+  if (_vrm?.lookAt) _vrm.lookAt.autoUpdate = options.enabled;
+}
+
+/**
+ * Look at the user (the camera) for `seconds`, e.g. while they type or speak
+ */
+export function lookAtUser(seconds = 3) {
+  _userUntil = Math.max(_userUntil, _time + seconds);
+}
+
+export function releaseUserGaze() {
+  _userUntil = 0;
+}
+
+/**
+ * Are the eyes or head still catching up with where they should look?
+ */
+export function isTurning() {
+  return _turning;
+}
+
+function setCursor(x, y) {
+  if (_cursor && Math.abs(_cursor.x - x) + Math.abs(_cursor.y - y) < 1) return;
+  _cursor = { x, y };
+  _cursorMovedAt = _time;
+}
+
+// Pointer moves inside the window — the only source outside Tauri, and instant inside it
+window.addEventListener('pointermove', e => setCursor(e.clientX, e.clientY));
+
+/**
+ * Where the gaze should go this frame, in world space
+ */
+function updateGoal() {
+  _camera.updateMatrixWorld();
+  _goal.copy(_camera.position);
+
+  const cursorIdle = _time - _cursorMovedAt > _options.idleAfter;
+  if (!_options.followCursor || !_cursor || _time < _userUntil || cursorIdle) return;
+
+  // Cursor offset from the window centre, laid out on the screen plane through the camera,
+  // at the scale the model is seen at
+  const distance = _camera.position.distanceTo(_headPos);
+  const worldPerPixel = (2 * distance * Math.tan(THREE.MathUtils.degToRad(_camera.fov / 2))) / window.innerHeight;
+  _right.setFromMatrixColumn(_camera.matrixWorld, 0);
+  _up.setFromMatrixColumn(_camera.matrixWorld, 1);
+  _goal
+    .addScaledVector(_right, (_cursor.x - window.innerWidth / 2) * worldPerPixel)
+    .addScaledVector(_up, (window.innerHeight / 2 - _cursor.y) * worldPerPixel);
+}
+
+/**
+ * Remove last frame's head/neck offsets. Call before the animation pose is written.
+ */
+export function resetLookOffsets() {
+  for (const [node, axis, value] of _applied) node.rotation[axis] -= value;
+  _applied = [];
+}
+
+function addOffset(bone, axis, value) {
+  const node = _vrm.humanoid?.getNormalizedBoneNode(bone);
+  if (!node || !value) return;
+  node.rotation[axis] += value;
+  _applied.push([node, axis, value]);
+}
+
+/**
+ * Move the gaze target and add the head/neck turn. Call after the animation pose,
+ * before vrm.update() (which moves the eyes towards the target).
+ */
+export function applyLookAt(delta) {
+  _time += delta;
+  if (!_vrm || !_options || !_target) return;
+
+  if (_options.followCursor) {
+    requestCursor(_options.pollHz);
+    // Outside Tauri (or when the platform can't tell) there is nothing polled: pointermove only
+    const polled = getCursor();
+    if (polled && polled !== _polled) setCursor(polled.x, polled.y);
+    _polled = polled;
+  }
+
+  const head = _vrm.humanoid?.getNormalizedBoneNode('head');
+  if (!head) return;
+  head.getWorldPosition(_headPos);
+  updateGoal();
+
+  // Eyes lead, the head follows with damping
+  const k = 1 - Math.exp(-_options.damping * delta);
+  _target.position.lerp(_goal, Math.min(1, k * 2));
+
+  // VRM 0.x models face -Z
+  const facing = _vrm.meta?.metaVersion === '0' ? -1 : 1;
+  let yaw = 0, pitch = 0;
+  if (_options.enabled) {
+    // Direction in the model's own space
+    _local.copy(_goal).sub(_headPos).applyQuaternion(_vrm.scene.getWorldQuaternion(new THREE.Quaternion()).invert());
+    yaw = Math.atan2(_local.x * facing, _local.z * facing);
+    pitch = Math.atan2(_local.y, Math.hypot(_local.x, _local.z));
+    yaw = THREE.MathUtils.clamp(yaw * _options.headWeight, -_options.maxYaw, _options.maxYaw);
+    pitch = THREE.MathUtils.clamp(pitch * _options.headWeight, -_options.maxPitch, _options.maxPitch);
+  }
+  _turning = _target.position.distanceTo(_goal) > 0.005 || Math.abs(yaw - _yaw) + Math.abs(pitch - _pitch) > 0.005;
+  _yaw += (yaw - _yaw) * k;
+  _pitch += (pitch - _pitch) * k;
+
+  // Neck takes 40% of the turn, head the rest. Positive X tilts the head down.
+  addOffset('neck', 'y', _yaw * 0.4);
+  addOffset('head', 'y', _yaw * 0.6);
+  addOffset('neck', 'x', -_pitch * 0.4 * facing);
+  addOffset('head', 'x', -_pitch * 0.6 * facing);
+}
@@ -1,17 +1,35 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm';
-import { sendMessage, getAnalyser } from './chat.js';
-import { initLipSync, startLipSync, stopLipSync, updateLipSync } from './lipsync.js';
+import { sendMessage, cancelReply, isCancelled, setMuted, getAnalyser, initChat, getHistory, onHistoryChange, replayReply, rewindTo, interruptSpeech, onAudioScheduled, getSpeechInfo } from './chat.js';
+import { initLipSync, startLipSync, stopLipSync, isLipSyncActive, updateLipSync, scheduleVisemes } from './lipsync.js';
+import { initExpressions, setExpressionOptions, updateExpressions, setEmotion, setSpeaking, hasEmotion, parseEmotion } from './expressions.js';
+import { initGestures, playGesture, isGesturing, resetGestureOffsets, applyGestures } from './gestures.js';
+import { initLookAt, setLookAtOptions, lookAtUser, releaseUserGaze, isTurning, resetLookOffsets, applyLookAt } from './lookat.js';
+import { initAnimations, setAnimationOptions, loadAnimationLibrary, setIdleClip, playClip, isPlayingClip, updateAnimations } from './animations.js';
+import { getMemory, forgetFact, clearMemory } from './memory.js';
+import { loadConfig, getConfig, saveConfig, onConfigChange } from './config.js';
+import { initSettingsPanel, initCharacterPanel, openSettingsPanel } from './settings.js';
+import { getCharacter, saveCharacter } from './characters.js';
+import { DEFAULT_MODEL, listModels, loadModel, disposeModel, importModelPath, importModelFile, deleteModel, pickModelFiles } from './models.js';
+import { startRecording, stopRecording, isRecording, transcribe } from './voice.js';
+import { startHealthMonitor, checkHealthNow, getHealth, onHealthChange } from './health.js';
+import { initTray, showWindow, hideWindow, quitApp } from './tray.js';
+import { initPlacement, resetPlacement } from './placement.js';
+import { initClickThrough, setClickThroughOptions, updateClickThrough } from './clickthrough.js';
+import { initShortcuts } from './shortcuts.js';
+import { initFrameLoop, setFrameLoopOptions, wakeFrameLoop } from './frameloop.js';
+import { initProactive, noteUserActivity, reminderSetCue, announce } from './proactive.js';
+import { describeToolCall, onTimerFinished, syncAllowedTools } from './tools.js';
+import { parseReminder, addReminder, getReminders, removeReminders, remindersFrom } from './reminders.js';
+import { createMessage, setMessageText, markLatest } from './chatview.js';
+import { openChatWindow, initChatBridge } from './popout.js';
+
+// Settings are loaded before the chat or window placement reads them
+const configReady = loadConfig();
 
 // ── Scene setup ──
-const canvas = document.getElementById('canvas');
-const renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-renderer.outputColorSpace = THREE.SRGBColorSpace;
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 1.2;
+// The renderer is created by applyQuality() below, once the lights exist
+let canvas = document.getElementById('canvas');
+let renderer = null;
 
 const scene = new THREE.Scene();
 scene.background = null;
@@ -36,333 +54,973 @@ const rimLight = new THREE.DirectionalLight(0xff88cc, 0.3);
 rimLight.position.set(0, 2, -3);
 scene.add(rimLight);
 
+// Shadows (high quality) come from the key light only, framed around the model
+dirLight.shadow.mapSize.set(1024, 1024);
+Object.assign(dirLight.shadow.camera, { near: 0.5, far: 10, left: -1.2, right: 1.2, top: 1.2, bottom: -1.2 });
+dirLight.shadow.bias = -0.0005;
+dirLight.shadow.normalBias = 0.02;
+
+// ── Quality presets ──
+// pixelRatio caps devicePixelRatio. Without spring bones, hair and cloth hold their rest pose.
+const QUALITY_PRESETS = {
+  low: { pixelRatio: 1, antialias: false, shadows: false, springBones: false },
+  medium: { pixelRatio: 2, antialias: true, shadows: false, springBones: true },
+  high: { pixelRatio: 2, antialias: true, shadows: true, springBones: true },
+};
+let quality = null;
+
+/**
+ * Antialiasing is fixed when a WebGL context is created, so changing it swaps in a fresh
+ * canvas and renderer. The model's textures and buffers are uploaded again on the next frame.
+ */
+function createRenderer(antialias) {
+  if (renderer) {
+    const next = canvas.cloneNode(false);
+    canvas.replaceWith(next);
+    renderer.dispose();
+    renderer.forceContextLoss();
+    canvas = next;
+  }
+  canvas.addEventListener('mousedown', startDrag);
+  renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias });
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.toneMapping = THREE.ACESFilmicToneMapping;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+}
+
+function applyQuality(config) {
+  const preset = QUALITY_PRESETS[config.render.quality] ?? QUALITY_PRESETS.medium;
+  if (preset === quality) return;
+  if (preset.antialias !== quality?.antialias) {
+    createRenderer(preset.antialias);
+    initClickThrough(renderer, clickThroughOptions(config));
+  }
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.pixelRatio));
+  if (renderer.shadowMap.enabled !== preset.shadows) {
+    renderer.shadowMap.enabled = preset.shadows;
+    dirLight.castShadow = preset.shadows;
+    // Shader programs are built with or without shadow code
+    vrm?.scene.traverse((object) => {
+      for (const material of [object.material ?? []].flat()) material.needsUpdate = true;
+    });
+  }
+  // Start the springs from rest rather than from wherever they stopped
+  if (preset.springBones && quality && !quality.springBones) vrm?.springBoneManager?.reset();
+  quality = preset;
+}
+
+function applyRenderConfig(config) {
+  const { render } = config;
+  applyQuality(config);
+  renderer.toneMappingExposure = render.exposure;
+  ambientLight.intensity = render.ambientLight;
+  dirLight.intensity = render.keyLight;
+  fillLight.intensity = render.fillLight;
+  rimLight.intensity = render.rimLight;
+}
+
 // ── VRM Loading ──
 let vrm = null;
+let currentModelId = null;
+let loadingModelId = null;
+let loadToken = 0;
 const clock = new THREE.Clock();
 
-const loader = new GLTFLoader();
-loader.register((parser) => new VRMLoaderPlugin(parser));
-
-loader.load(
-  '/sharon1.vrm',
-  (gltf) => {
-    vrm = gltf.userData.vrm;
-    VRMUtils.removeUnnecessaryVertices(gltf.scene);
-    VRMUtils.removeUnnecessaryJoints(gltf.scene);
-    vrm.scene.rotation.y = 0;
-    scene.add(vrm.scene);
-    console.log('VRM loaded:', vrm);
-    initLipSync(vrm, getAnalyser());
-    initChatUI();
-  },
-  (progress) => console.log(`Loading: ${((progress.loaded / progress.total) * 100).toFixed(1)}%`),
-  (error) => console.error('Error loading VRM:', error)
-);
-
-// ── Sequential Animation Loop ──
-// gentle sway → thoughtful tilt → confident pose → playful bounce → back to gentle sway
-let loopTime = 0;
-const PHASE_DURATION = 10; // 10 seconds per pose, 40 second total loop
-let blinkTimer = 0, nextBlinkTime = 2 + Math.random() * 4;
-let isBlinking = false, blinkProgress = 0;
-let expressionTimer = 0, nextExpressionTime = 5 + Math.random() * 10;
-let currentExpression = null, expressionWeight = 0, expressionFadeDir = 0;
-
-// Pose definitions
-const POSES = {
-  gentleSway: (phase) => ({
-    hipsRotY: Math.sin(phase * 0.5) * 0.015,
-    hipsRotZ: Math.sin(phase * 0.3) * 0.008,
-    spineRotX: Math.sin(phase * 0.7) * 0.01,
-    leftArmRotZ: -1.2 + Math.sin(phase * 0.4) * 0.03,
-    rightArmRotZ: 1.2 - Math.sin(phase * 0.4) * 0.03,
-    headRotY: Math.sin(phase * 0.3) * 0.04,
-    headRotX: Math.sin(phase * 0.5) * 0.02,
-    headRotZ: 0,
-  }),
-  thoughtfulTilt: (phase) => ({
-    hipsRotY: Math.sin(phase * 0.2) * 0.005,
-    hipsRotZ: 0,
-    spineRotX: 0.02 + Math.sin(phase * 0.4) * 0.015,
-    leftArmRotZ: -1.15 + Math.sin(phase * 0.3) * 0.02,
-    rightArmRotZ: 1.15,
-    headRotY: Math.sin(phase * 0.25) * 0.12,
-    headRotX: -0.05 + Math.sin(phase * 0.35) * 0.04,
-    headRotZ: Math.sin(phase * 0.2) * 0.08,
-  }),
-  confidentPose: (phase) => ({
-    hipsRotY: Math.sin(phase * 0.3) * 0.01,
-    hipsRotZ: Math.sin(phase * 0.25) * 0.005,
-    spineRotX: -0.015 + Math.sin(phase * 0.5) * 0.012,
-    leftArmRotZ: -1.1 + Math.sin(phase * 0.35) * 0.025,
-    rightArmRotZ: 1.1 - Math.sin(phase * 0.35) * 0.025,
-    headRotY: Math.sin(phase * 0.2) * 0.025,
-    headRotX: -0.02 + Math.sin(phase * 0.4) * 0.01,
-    headRotZ: 0,
-  }),
-  playfulBounce: (phase) => ({
-    hipsRotY: Math.sin(phase * 0.9) * 0.018,
-    hipsRotZ: Math.sin(phase * 0.7) * 0.01,
-    spineRotX: Math.sin(phase * 1.2) * 0.015,
-    leftArmRotZ: -1.18 + Math.sin(phase * 0.8) * 0.035,
-    rightArmRotZ: 1.18 - Math.sin(phase * 0.6) * 0.035,
-    headRotY: Math.sin(phase * 0.85) * 0.05,
-    headRotX: Math.sin(phase * 1.1) * 0.025,
-    headRotZ: Math.sin(phase) * 0.02,
-  }),
-};
+applyRenderConfig(getConfig());
+onConfigChange(applyRenderConfig);
 
-// Smooth interpolation between two poses
-function lerpPose(poseA, poseB, t) {
-  const result = {};
-  for (const key of Object.keys(poseA)) {
-    const a = poseA[key] || 0;
-    const b = poseB[key] || 0;
-    result[key] = a + (b - a) * t;
-  }
-  return result;
+onAudioScheduled((audioBuffer, startAt) => {
+  if (getConfig().lipsync.mode === 'auto') scheduleVisemes(audioBuffer, startAt, getSpeechInfo(audioBuffer));
+});
+
+// Loading / error overlay
+const modelOverlay = document.getElementById('model-overlay');
+const modelOverlayText = document.getElementById('model-overlay-text');
+const modelProgress = document.getElementById('model-progress');
+
+function showModelStatus(text, { progress = null, error = false } = {}) {
+  modelOverlay.classList.add('open');
+  modelOverlay.classList.toggle('error', error);
+  modelOverlayText.textContent = text;
+  modelProgress.classList.toggle('indeterminate', progress === null);
+  modelProgress.style.setProperty('--progress', `${Math.round((progress ?? 0) * 100)}%`);
 }
 
-function updateOrganicIdle(delta) {
-  if (!vrm) return;
-  
-  const hips = vrm.humanoid?.getNormalizedBoneNode('hips');
-  const spine = vrm.humanoid?.getNormalizedBoneNode('spine');
-  const chest = vrm.humanoid?.getNormalizedBoneNode('chest');
-  const head = vrm.humanoid?.getNormalizedBoneNode('head');
-  const leftUpperArm = vrm.humanoid?.getNormalizedBoneNode('leftUpperArm');
-  const rightUpperArm = vrm.humanoid?.getNormalizedBoneNode('rightUpperArm');
-  const leftLowerArm = vrm.humanoid?.getNormalizedBoneNode('leftLowerArm');
-  const rightLowerArm = vrm.humanoid?.getNormalizedBoneNode('rightLowerArm');
-  
-  // ── IDLE ANIMATION ──
-  loopTime += delta;
-  
-  // Determine current phase (0-3) and position within phase
-  const totalLoop = PHASE_DURATION * 4;
-  const loopPosition = loopTime % totalLoop;
-  const phaseIndex = Math.floor(loopPosition / PHASE_DURATION);
-  const phaseProgress = (loopPosition % PHASE_DURATION) / PHASE_DURATION;
-  
-  // Calculate poses
-  const phase = loopTime;
-  const poseKeys = ['gentleSway', 'thoughtfulTilt', 'confidentPose', 'playfulBounce'];
-  const currentPoseKey = poseKeys[phaseIndex];
-  const nextPoseKey = poseKeys[(phaseIndex + 1) % 4];
-  
-  const currentPose = POSES[currentPoseKey](phase);
-  const nextPose = POSES[nextPoseKey](phase);
-  
-  // Smooth transition (blend last 25% of each phase into next)
-  let blendT = phaseProgress;
-  if (blendT > 0.75) {
-    // Ease into next pose during last 25%
-    const transitionProgress = (blendT - 0.75) / 0.25;
-    blendT = transitionProgress;
-  } else {
-    blendT = 0;
+function hideModelStatus() {
+  modelOverlay.classList.remove('open', 'error');
+  delete modelOverlay.dataset.failedId;
+}
+
+/**
+ * Load a model and swap it in for the current one. The old model stays on screen
+ * until the new one is ready, and a failed load leaves it in place.
+ */
+async function switchModel(id) {
+  const token = ++loadToken;
+  const characterId = getCharacter().id;
+  loadingModelId = id;
+  showModelStatus('Loading model...', { progress: 0 });
+  let next;
+  try {
+    next = await loadModel(id, (progress) => {
+      if (token === loadToken) showModelStatus('Loading model...', { progress });
+    });
+  } catch (error) {
+    if (token !== loadToken) return;
+    loadingModelId = null;
+    console.error('Error loading VRM:', error);
+    showModelStatus(`Couldn't load this model: ${error.message || error}`, { error: true });
+    modelOverlay.dataset.failedId = id;
+    return;
   }
+  // A newer switch started while this one was loading
+  if (token !== loadToken) {
+    disposeModel(next);
+    return;
+  }
+
+  if (vrm) disposeModel(vrm);
+  vrm = next;
+  currentModelId = id;
+  loadingModelId = null;
+  vrm.scene.traverse((object) => {
+    if (object.isMesh) object.castShadow = object.receiveShadow = true;
+  });
+  scene.add(vrm.scene);
+  console.log('VRM loaded:', vrm);
+  initLipSync(vrm, getAnalyser());
+  initExpressions(vrm, expressionOptions(getConfig()));
+  initGestures(vrm);
+  initAnimations(vrm, getConfig().animations);
+  initLookAt(vrm, camera, getConfig().lookAt);
+  loadAnimationLibrary(getConfig().animations.manifest)
+    .then(() => setIdleClip(getConfig().animations.idle));
+  hideModelStatus();
+
+  // Remember the choice as the character's model
+  if (getCharacter(characterId).model !== id) {
+    saveCharacter(characterId, { model: id }).catch(e => console.warn('Could not save model choice:', e));
+  }
+}
+
+configReady.then(() => switchModel(getCharacter().model));
+// Switching character (or editing its model) swaps the model
+onConfigChange(() => {
+  const { model } = getCharacter();
+  if (currentModelId && model !== (loadingModelId ?? currentModelId)) switchModel(model);
+});
+
+// ── Blinking ──
+let blinkTimer = 0, nextBlinkTime = 2 + Math.random() * 4;
+let isBlinking = false, blinkProgress = 0;
+
+function updateBlink(delta) {
+  if (!vrm?.expressionManager) return;
   
-  const pose = lerpPose(currentPose, nextPose, blendT);
-  
-  // Apply pose
-  if (hips) {
-    hips.rotation.y = pose.hipsRotY || 0;
-    hips.rotation.z = pose.hipsRotZ || 0;
-  }
-  if (spine) spine.rotation.x = pose.spineRotX || 0;
-  // Chest and breathing
-  const breathCycle = loopTime * 1.2;
-  if (chest) chest.rotation.x = (pose.spineRotX || 0) + Math.sin(breathCycle) * 0.015;
-  if (head) {
-    head.rotation.y = pose.headRotY || 0;
-    head.rotation.x = pose.headRotX || 0;
-    head.rotation.z = pose.headRotZ || 0;
-  }
-  if (leftUpperArm) leftUpperArm.rotation.z = pose.leftArmRotZ || -1.2;
-  if (rightUpperArm) rightUpperArm.rotation.z = pose.rightArmRotZ || 1.2;
-  if (leftLowerArm) leftLowerArm.rotation.z = 0.05;
-  if (rightLowerArm) rightLowerArm.rotation.z = -0.05;
-  
-  // Blinking
   blinkTimer += delta;
   if (!isBlinking && blinkTimer >= nextBlinkTime) {
     isBlinking = true;
     blinkProgress = 0;
     nextBlinkTime = Math.random() < 0.3 ? 0.15 : (2 + Math.random() * 5);
     blinkTimer = 0;
+    // The blink itself starts next frame, which comes at the full rate (see isAnimating)
+    return;
   }
-  if (isBlinking && vrm.expressionManager) {
+  if (isBlinking) {
     blinkProgress += delta * 10;
     let w = blinkProgress < 0.5 ? blinkProgress * 2 : (blinkProgress < 1 ? (1 - blinkProgress) * 2 : 0);
     if (blinkProgress >= 1) isBlinking = false;
     vrm.expressionManager.setValue('blink', w);
   }
-  
-  // Expressions
-  expressionTimer += delta;
-  if (expressionFadeDir === 0 && expressionTimer >= nextExpressionTime) {
-    const exprs = ['happy', 'relaxed'].filter(e => vrm.expressionManager?.expressionMap?.[e]);
-    if (exprs.length > 0) {
-      currentExpression = exprs[Math.floor(Math.random() * exprs.length)];
-      expressionFadeDir = 1;
-      expressionWeight = 0;
-      expressionTimer = 0;
-      nextExpressionTime = 4 + Math.random() * 8;
-    }
-  }
-  if (currentExpression && vrm.expressionManager) {
-    if (expressionFadeDir === 1) {
-      expressionWeight = Math.min(0.3, expressionWeight + delta * 0.5);
-      if (expressionWeight >= 0.3) expressionFadeDir = -1;
-    } else if (expressionFadeDir === -1) {
-      expressionWeight = Math.max(0, expressionWeight - delta * 0.3);
-      if (expressionWeight <= 0) {
-        expressionFadeDir = 0;
-        vrm.expressionManager.setValue(currentExpression, 0);
-        currentExpression = null;
-      }
-    }
-    if (currentExpression) vrm.expressionManager.setValue(currentExpression, expressionWeight);
+}
+
+/**
+ * vrm.update() without the spring bones when the quality preset turns them off
+ */
+function updateVRM(delta) {
+  if (quality.springBones) {
+    vrm.update(delta);
+    return;
   }
-  
-  vrm.update(delta);
+  vrm.humanoid.update();
+  vrm.lookAt?.update(delta);
+  vrm.expressionManager?.update();
+  vrm.nodeConstraintManager?.update();
+  vrm.materials?.forEach(material => material.update?.(delta));
 }
 
 // ── Render loop ──
-const FPS = 30;
-const frameInterval = 1000 / FPS;
-let lastFrameTime = 0;
-
-function animate(time) {
-  requestAnimationFrame(animate);
-  if (time - lastFrameTime < frameInterval) return;
-  lastFrameTime = time;
+// Full rate while anything visibly moves; idle breathing gets render.idleFps (see frameloop.js)
+function isAnimating() {
+  return isLipSyncActive() || isGesturing() || isPlayingClip() || isTurning() || hasEmotion() || isBlinking;
+}
+
+function renderFrame() {
   const delta = Math.min(clock.getDelta(), 0.1);
-  updateOrganicIdle(delta);
+  updateExpressions(delta);
+  if (vrm) {
+    // Look-at and gestures are layered additively on top of the mixer's pose
+    resetGestureOffsets();
+    resetLookOffsets();
+    updateAnimations(delta);
+    updateBlink(delta);
+    applyLookAt(delta);
+    applyGestures(delta);
+    updateVRM(delta);
+  }
   updateLipSync();
   renderer.render(scene, camera);
+  updateClickThrough();
 }
-requestAnimationFrame(animate);
+initFrameLoop(renderFrame, isAnimating, getConfig().render);
+onConfigChange(({ render }) => setFrameLoopOptions(render));
 
 // ── Resize ──
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  wakeFrameLoop();
 });
 
 // ── Window controls ──
-document.getElementById('btn-close')?.addEventListener('click', async () => {
-  try {
-    const { getCurrentWindow } = await import('@tauri-apps/api/window');
-    await getCurrentWindow().close();
-  } catch { window.close(); }
+document.getElementById('btn-close')?.addEventListener('click', quitApp);
+document.getElementById('btn-hide')?.addEventListener('click', () => {
+  hideWindow().catch(e => console.warn('Could not hide window:', e));
 });
 
-// ── Position window bottom-right ──
-async function positionBottomRight() {
-  try {
-    const tauriWindow = await import('@tauri-apps/api/window');
-    const dpi = await import('@tauri-apps/api/dpi');
-    const win = tauriWindow.getCurrentWindow();
-    const monitor = await win.currentMonitor();
-    if (monitor) {
-      const sf = monitor.scaleFactor;
-      const x = Math.round((monitor.size.width / sf) - 420);
-      const y = Math.round((monitor.size.height / sf) - 520);
-      await win.setPosition(new dpi.LogicalPosition(x, y));
-    }
-  } catch (e) { console.warn('Could not position window:', e); }
+// Transparent areas pass clicks through to the desktop
+function clickThroughOptions({ window: { clickThrough, alphaThreshold, hitTestHz } }) {
+  return { enabled: clickThrough, alphaThreshold, pollHz: hitTestHz };
 }
-positionBottomRight();
+onConfigChange(config => setClickThroughOptions(clickThroughOptions(config)));
 
-// ── Drag support ──
-canvas.addEventListener('mousedown', async (e) => {
-  if (e.target.closest('#chat-container')) return;
-  if (e.buttons === 1) {
-    try {
-      const { getCurrentWindow } = await import('@tauri-apps/api/window');
-      await getCurrentWindow().startDragging();
-    } catch {}
-  }
+// Always-on-top and mute follow the settings (also flipped from the tray menu)
+let lastAlwaysOnTop = null;
+onConfigChange(({ window: { alwaysOnTop }, tts }) => {
+  setMuted(tts.muted);
+  if (alwaysOnTop === lastAlwaysOnTop || !window.__TAURI_INTERNALS__) return;
+  lastAlwaysOnTop = alwaysOnTop;
+  import('@tauri-apps/api/window')
+    .then(({ getCurrentWindow }) => getCurrentWindow().setAlwaysOnTop(alwaysOnTop))
+    .catch(e => console.warn('Could not set always-on-top:', e));
 });
 
-document.getElementById('drag-region')?.addEventListener('mousedown', async (e) => {
+// ── Window placement ──
+// Restores the last position (or the default corner) and shows the window
+configReady.then(initPlacement).catch(e => console.warn('Could not place window:', e));
+
+// ── Drag support ──
+// On the canvas (attached by createRenderer) and the top bar
+async function startDrag(e) {
   if (e.buttons === 1) {
     try {
       const { getCurrentWindow } = await import('@tauri-apps/api/window');
       await getCurrentWindow().startDragging();
     } catch {}
   }
-});
+}
+
+document.getElementById('drag-region')?.addEventListener('mousedown', startDrag);
 
 // ── Emotion mapping ──
-const EMOTION_MAP = {
-  'happy': 'happy', 'excited': 'happy', 'playful': 'happy', 'mischievous': 'happy',
-  'neutral': 'neutral', 'thoughtful': 'neutral', 'curious': 'neutral',
-  'concerned': 'sad', 'apologetic': 'sad',
-  'annoyed': 'angry', 'disgusted': 'angry', 'possessive': 'angry', 'protective': 'angry',
-};
+// The emotion → expression map is configurable, with per-model overrides
+function expressionOptions({ expressions }) {
+  return {
+    ...expressions,
+    emotionMap: { ...expressions.emotionMap, ...expressions.modelMaps?.[currentModelId], ...getCharacter().emotionMap },
+  };
+}
+onConfigChange(config => setExpressionOptions(expressionOptions(config)));
+onConfigChange(({ lookAt }) => setLookAtOptions(lookAt));
+onConfigChange(({ animations }) => {
+  setAnimationOptions(animations);
+  setIdleClip(animations.idle);
+});
+
+// ── Gesture triggers ──
+// Explicit <gesture> tags win, then the emotion's gesture, then the speech-start default
+function gestureForSpeechStart(emotion, tagGestures) {
+  const { gestures } = getConfig();
+  if (!gestures.enabled) return;
+  const played = tagGestures.filter(name => playGesture(name, gestures.intensity) || playClip(name));
+  if (played.length) return;
 
-function setEmotion(emotion) {
-  const expr = EMOTION_MAP[emotion] || 'neutral';
-  if (vrm?.expressionManager) {
-    vrm.expressionManager.setValue(expr, expr === 'neutral' ? 0 : 0.5);
+  const { name, intensity } = parseEmotion(emotion, getConfig().expressions.intensity);
+  const emotionGesture = gestures.emotionGestures[name];
+  if (emotionGesture && Math.random() < gestures.emotionChance) {
+    playGesture(emotionGesture, gestures.intensity * (0.5 + 0.5 * intensity));
+    return;
   }
+  if (gestures.speechStart) playGesture(gestures.speechStart, gestures.intensity * 0.6);
+}
+
+function gestureForSpeechEnd(lateTagGestures) {
+  const { gestures } = getConfig();
+  if (!gestures.enabled) return;
+  lateTagGestures.forEach(name => playGesture(name, gestures.intensity) || playClip(name));
+  if (gestures.speechEnd && !isGesturing()) playGesture(gestures.speechEnd, gestures.intensity * 0.6);
 }
 
 // ── Chat UI ──
-function initChatUI() {
+async function initChatUI() {
   const input = document.getElementById('chat-input');
   const sendBtn = document.getElementById('chat-send');
+  const stopBtn = document.getElementById('chat-stop');
   const messages = document.getElementById('chat-messages');
   let isSending = false;
+  // Messages sent while a reply was still in flight: [{ text, cue, bubble }], sent in order
+  const queue = [];
+
+  // Follow new messages unless the user has scrolled up to read older ones
+  function keepScrolled(update) {
+    const atBottom = messages.scrollHeight - messages.scrollTop - messages.clientHeight < 40;
+    update();
+    if (atBottom) messages.scrollTop = messages.scrollHeight;
+  }
 
   function addBubble(text, className) {
     const bubble = document.createElement('div');
     bubble.className = `chat-bubble ${className}`;
     bubble.textContent = text;
-    messages.appendChild(bubble);
-    messages.scrollTop = messages.scrollHeight;
-    while (messages.children.length > 10) messages.removeChild(messages.firstChild);
+    keepScrolled(() => messages.appendChild(bubble));
     return bubble;
   }
 
-  async function handleSend() {
-    const text = input.value.trim();
-    if (!text || isSending) return;
-    isSending = true;
-    sendBtn.disabled = true;
+  // Reply text with its translation (what the voice actually says) underneath
+  function setReplyText(bubble, text, translation) {
+    setMessageText(bubble, text, getConfig().translate.showTranslation ? translation : null);
+  }
+
+  // ── History actions (also run for the pop-out chat window) ──
+  // Sends the history to the pop-out, once it's set up (see initChatBridge below)
+  let publishChat = () => {};
+  const messageActions = {
+    async replay(entry) {
+      if (isSending) return;
+      startLipSync();
+      setSpeaking(true);
+      const played = await replayReply(entry.key);
+      setSpeaking(false);
+      stopLipSync();
+      if (!played) showNotice('The voice for that reply is no longer cached');
+    },
+    // Ask the last question again; a reply Sharon started herself has none
+    regenerate(entry) {
+      const history = getHistory();
+      const index = history.findIndex(e => e.key === entry.key);
+      const asked = history[index - 1];
+      if (isSending || index !== history.length - 1 || asked?.role !== 'user') return;
+      resend(asked.key, asked.text, { remind: false });
+    },
+    // A reminder the old wording set goes; the edited message sets its own
+    edit(entry, text) {
+      if (isSending || entry.role !== 'user') return;
+      const stale = remindersFrom(entry.text).map(r => r.id);
+      if (stale.length) removeReminders(stale).catch(e => console.warn('Could not remove reminder:', e));
+      resend(entry.key, text);
+    },
+  };
+
+  // Drop a user message and everything after it, then send `text` in its place
+  function resend(key, text, options) {
+    if (!rewindTo(key)) return;
+    const bubble = messages.querySelector(`[data-key="${CSS.escape(key)}"]`);
+    while (bubble?.nextSibling) bubble.nextSibling.remove();
+    bubble?.remove();
+    submit(text, options);
+  }
+
+  // A finished message gets its send time and actions
+  function finishBubble(bubble, key, translation = null) {
+    const entry = key && getHistory().find(e => e.key === key);
+    if (!bubble || !entry) return;
+    const message = createMessage(entry, messageActions);
+    if (translation) setReplyText(message, entry.text, translation);
+    bubble.replaceWith(message);
+    markLatest(messages);
+  }
+
+  // Errors stay until clicked. A service check replaces the raw error with what to do about it.
+  function showError(bubble, err) {
+    bubble.textContent = `❌ ${err.message || 'error'}`;
+    bubble.classList.add('error');
+    bubble.title = 'Click to dismiss';
+    bubble.addEventListener('click', () => bubble.remove());
+    checkHealthNow().then(({ services }) => {
+      const problem = Object.values(services).find(service => !service.ok);
+      if (problem) bubble.textContent = `❌ ${problem.message}${problem.action ? ` — ${problem.action}` : ''}`;
+    }).catch(e => console.warn('Health check failed:', e));
+  }
+
+  function showNotice(message) {
+    const bubble = addBubble(`⚠️ ${message}`, 'status');
+    setTimeout(() => bubble.remove(), 5000);
+  }
+
+  // Reminders shown as text (do-not-disturb, missed, or no voice) stay until clicked
+  function showReminder(text) {
+    const bubble = addBubble(`⏰ ${text}`, 'status reminder');
+    bubble.title = 'Click to dismiss';
+    bubble.addEventListener('click', () => bubble.remove());
+  }
+
+  // Restore the character's saved conversation
+  let characterId = null;
+  async function restoreConversation() {
+    characterId = getCharacter().id;
+    messages.replaceChildren();
+    try {
+      await initChat(characterId);
+      messages.replaceChildren(...getHistory().map(entry => createMessage(entry, messageActions)));
+      markLatest(messages);
+      messages.scrollTop = messages.scrollHeight;
+    } catch (e) {
+      console.warn('Could not restore conversation:', e);
+    }
+  }
+  await configReady;
+  await restoreConversation();
+
+  // Each character has its own history; switching cuts the current one off mid-sentence
+  onConfigChange(() => {
+    if (getCharacter().id === characterId) return;
+    interruptSpeech();
+    stopLipSync();
+    setSpeaking(false);
+    restoreConversation();
+  });
+
+  // "Remind me at 15:00 to ..." is saved, and the reply is cued to confirm it
+  function takeReminder(text) {
+    const reminder = getConfig().proactive.reminders ? parseReminder(text) : null;
+    if (!reminder) return null;
+    addReminder(reminder, text).then(() => {
+      const bubble = addBubble(`⏰ Reminder set for ${reminder.at.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`, 'status');
+      setTimeout(() => bubble.remove(), 5000);
+    }).catch((e) => {
+      console.warn('Could not save reminder:', e);
+      showNotice(`Could not save the reminder: ${e.message || e}`);
+    });
+    return reminderSetCue(reminder);
+  }
+
+  // Typed or transcribed text: sent now, or queued / interrupting while a reply is in flight.
+  // options.remind: false when resending a question whose reminder was already set
+  function submit(text, { remind = true } = {}) {
+    text = text.trim();
+    if (!text) return;
+    noteUserActivity();
+    const bubble = addBubble(text, 'user');
+    const cue = remind ? takeReminder(text) : null;
+    if (!isSending) {
+      reply(text, cue, bubble);
+      return;
+    }
+    if (getConfig().chat.whileBusy === 'interrupt') cancelReply();
+    bubble.classList.add('queued');
+    queue.push({ text, cue, bubble });
+  }
+
+  function handleSend() {
+    const text = input.value;
     input.value = '';
-    addBubble(text, 'user');
-    let statusBubble = addBubble('thinking...', 'status');
+    submit(text);
+  }
+
+  // Stop button / Escape: cancel the reply and drop anything queued behind it
+  function stopReplying() {
+    if (!isSending) return;
+    queue.splice(0).forEach(({ bubble }) => bubble.remove());
+    cancelReply();
+    input.focus();
+  }
+
+  /**
+   * Run one reply. text is null when a cue alone prompts it (Sharon speaking first); those
+   * fail quietly rather than with an error bubble the user never asked for. userBubble is
+   * the bubble showing text.
+   * Resolves to whether the reply was said.
+   */
+  async function reply(text, cue = null, userBubble = null) {
+    isSending = true;
+    publishChat();
+    let said = false;
+    stopBtn.hidden = false;
+    const statusBubble = addBubble('thinking...', 'status');
+    let sharonBubble = null;
+
+    // Fill Sharon's bubble as the reply streams in (unless the user switched character meanwhile)
+    const sentTo = characterId;
+    let shownTranslation = null;
+    const showReply = (replyText, translation = shownTranslation) => {
+      if (!replyText || characterId !== sentTo) return;
+      shownTranslation = translation;
+      if (!sharonBubble) sharonBubble = addBubble('', 'sharon');
+      keepScrolled(() => setReplyText(sharonBubble, replyText, translation));
+    };
 
     try {
-      const result = await sendMessage(text, (status) => {
+      let emotionShown = false;
+      let gesturesPlayed = 0;
+      const result = await sendMessage(text, (status, info) => {
         const labels = { 'thinking': '💭...', 'translating': '🌸...', 'speaking': '🎤...', 'idle': '' };
         if (statusBubble && labels[status]) statusBubble.textContent = labels[status];
-        if (status === 'speaking') startLipSync();
-      });
-      if (statusBubble) statusBubble.remove();
-      addBubble(result.text, 'sharon');
-      setEmotion(result.emotion);
+        if (status === 'notice') showNotice(info.message);
+        if (status === 'tool') addBubble(`${describeToolCall(info)}${info.ok ? '' : ' ✗'}`, 'status action').title = info.content;
+        if (status === 'speaking') {
+          startLipSync();
+          setEmotion(info?.emotion);
+          setSpeaking(true);
+          gestureForSpeechStart(info?.emotion, info?.gestures || []);
+          gesturesPlayed = info?.gestures?.length || 0;
+          emotionShown = true;
+        }
+      }, showReply, { cue });
+      said = true;
+      statusBubble.remove();
+      showReply(result.text, result.translation);
+      if (characterId === sentTo) {
+        finishBubble(userBubble, result.askedKey);
+        finishBubble(sharonBubble, result.replyKey, shownTranslation);
+      }
+      if (!emotionShown) setEmotion(result.emotion);
+      setSpeaking(false);
+      gestureForSpeechEnd((result.gestures || []).slice(gesturesPlayed));
       stopLipSync();
     } catch (err) {
-      console.error('Chat error:', err);
-      if (statusBubble) {
-        statusBubble.textContent = `❌ ${err.message || 'error'}`;
-        setTimeout(() => statusBubble?.remove(), 5000);
+      if (isCancelled(err)) {
+        statusBubble.textContent = '⏹ stopped';
+        setTimeout(() => statusBubble.remove(), 2000);
+      } else if (!text) {
+        console.warn('Proactive reply failed:', err);
+        statusBubble.remove();
+      } else {
+        console.error('Chat error:', err);
+        showError(statusBubble, err);
       }
+      setSpeaking(false);
       stopLipSync();
     }
     isSending = false;
-    sendBtn.disabled = false;
-    input.focus();
+    stopBtn.hidden = true;
+    publishChat();
+
+    const next = queue.shift();
+    if (next) {
+      next.bubble.classList.remove('queued');
+      reply(next.text, next.cue, next.bubble);
+    }
+    return said;
   }
 
   sendBtn.addEventListener('click', handleSend);
+  // She turns to the user while they type
+  input.addEventListener('input', () => lookAtUser(3));
   input.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleSend(); }
   });
+  stopBtn.addEventListener('click', stopReplying);
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isSending) { e.preventDefault(); stopReplying(); }
+  });
+
+  // ── Push-to-talk ──
+  // Hold the mic button / hotkey to talk. A short tap starts hands-free
+  // recording that ends on silence (VAD) or on the next tap.
+  const micBtn = document.getElementById('chat-mic');
+  let listenState = 'idle';  // 'idle' | 'starting' | 'recording'
+  let stopRequested = false;
+  let pressStartedAt = 0;
+
+  async function beginListening() {
+    if (listenState !== 'idle') return;
+    listenState = 'starting';
+    stopRequested = false;
+    // Barge-in: cut Sharon off as soon as the user starts talking
+    interruptSpeech();
+    stopLipSync();
+    try {
+      await startRecording({ onSpeechEnd: finishListening });
+      listenState = 'recording';
+      lookAtUser(Infinity);
+      micBtn.classList.add('listening');
+      input.placeholder = 'Listening...';
+      if (stopRequested) finishListening();
+    } catch (e) {
+      console.error('Microphone error:', e);
+      listenState = 'idle';
+      const bubble = addBubble('❌ Microphone unavailable', 'status');
+      setTimeout(() => bubble.remove(), 5000);
+    }
+  }
+
+  async function finishListening() {
+    if (listenState === 'starting') { stopRequested = true; return; }
+    if (listenState !== 'recording' || !isRecording()) return;
+    listenState = 'idle';
+    releaseUserGaze();
+    lookAtUser(2);
+    micBtn.classList.remove('listening');
+    input.placeholder = 'Say something...';
+
+    const wav = await stopRecording();
+    if (!wav) return;
+
+    const statusBubble = addBubble('📝...', 'status');
+    try {
+      const transcript = await transcribe(wav);
+      statusBubble.remove();
+      if (transcript) submit(transcript);
+    } catch (err) {
+      console.error('STT error:', err);
+      statusBubble.textContent = `❌ ${err.message || 'transcription failed'}`;
+      setTimeout(() => statusBubble.remove(), 5000);
+    }
+  }
+
+  function pressTalk() {
+    if (listenState !== 'idle') { finishListening(); return; }
+    pressStartedAt = performance.now();
+    beginListening();
+  }
+
+  function releaseTalk() {
+    // Only a real hold ends the recording; a tap leaves it running
+    if (performance.now() - pressStartedAt > 400) finishListening();
+  }
+
+  micBtn?.addEventListener('pointerdown', (e) => { e.preventDefault(); pressTalk(); });
+  micBtn?.addEventListener('pointerup', releaseTalk);
+  window.addEventListener('keydown', (e) => {
+    if (e.repeat || e.key !== getConfig().stt.hotkey) return;
+    e.preventDefault();
+    pressTalk();
+  });
+  window.addEventListener('keyup', (e) => {
+    if (e.key === getConfig().stt.hotkey) releaseTalk();
+  });
+
+  initShortcuts({
+    summon: async () => {
+      await showWindow().catch(e => console.warn('Could not show window:', e));
+      input.focus();
+      lookAtUser(3);
+    },
+    talkPressed: pressTalk,
+    talkReleased: releaseTalk,
+  }).catch(e => console.warn('Could not set up global shortcuts:', e));
+
+  // Greetings, comments after a quiet spell and due reminders
+  initProactive({
+    speak: cue => reply(null, cue),
+    notify: showReminder,
+    isBusy: () => isSending || listenState !== 'idle' || input.value.trim() !== '',
+  }).catch(e => console.warn('Could not start proactive behaviours:', e));
+
+  // Timers the model started with the set_timer tool
+  onTimerFinished(label => announce(`Timer finished${label ? `: ${label}` : ''}`))
+    .catch(e => console.warn('Could not listen for timers:', e));
+
+  // ── History size and pop-out ──
+  const applyHistoryHeight = () => { messages.style.maxHeight = `${getConfig().chat.historyHeight}px`; };
+  applyHistoryHeight();
+  onConfigChange(applyHistoryHeight);
+
+  // Drag the grip above the history to make it taller or shorter
+  const grip = document.getElementById('chat-resize');
+  grip.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    grip.setPointerCapture(e.pointerId);
+    const startY = e.clientY;
+    const startHeight = getConfig().chat.historyHeight;
+    let height = startHeight;
+    const move = (ev) => {
+      height = Math.round(Math.min(Math.max(startHeight + startY - ev.clientY, 60), window.innerHeight - 120));
+      messages.style.maxHeight = `${height}px`;
+    };
+    const end = () => {
+      grip.removeEventListener('pointermove', move);
+      grip.removeEventListener('pointerup', end);
+      grip.removeEventListener('pointercancel', end);
+      if (height !== startHeight) saveConfig({ chat: { historyHeight: height } }).catch(e => console.warn('Could not save chat height:', e));
+    };
+    grip.addEventListener('pointermove', move);
+    grip.addEventListener('pointerup', end);
+    grip.addEventListener('pointercancel', end);
+  });
+
+  const popoutBtn = document.getElementById('chat-popout');
+  popoutBtn.hidden = !window.__TAURI_INTERNALS__;
+  popoutBtn.addEventListener('click', () => {
+    openChatWindow(`${getCharacter().name} — Chat`).catch((e) => {
+      console.warn('Could not open the chat window:', e);
+      showNotice(`Could not open the chat window: ${e.message || e}`);
+    });
+  });
+  initChatBridge(() => ({ entries: getHistory(), busy: isSending }), ({ type, key, text }) => {
+    if (type === 'send') {
+      submit(text);
+      return;
+    }
+    const entry = getHistory().find(e => e.key === key);
+    if (entry && Object.hasOwn(messageActions, type)) messageActions[type](entry, text);
+  }).then((publish) => {
+    publishChat = publish;
+    onHistoryChange(publish);
+  }).catch(e => console.warn('Could not connect the chat window:', e));
+}
+
+// ── Memory panel ──
+function initMemoryPanel() {
+  const panel = document.getElementById('memory-panel');
+  const list = document.getElementById('memory-list');
+
+  function render() {
+    const { facts, summaries } = getMemory();
+    const reminders = getReminders();
+    list.replaceChildren();
+    if (!facts.length && !summaries.length && !reminders.length) {
+      const empty = document.createElement('div');
+      empty.className = 'panel-empty';
+      empty.textContent = 'Nothing remembered yet.';
+      list.appendChild(empty);
+      return;
+    }
+    if (reminders.length) {
+      const heading = document.createElement('h4');
+      heading.textContent = 'Reminders';
+      list.appendChild(heading);
+      reminders.forEach((reminder) => {
+        const row = document.createElement('div');
+        row.className = 'panel-item';
+        const text = document.createElement('span');
+        text.textContent = `${new Date(reminder.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} — ${reminder.text}`;
+        const cancel = document.createElement('button');
+        cancel.textContent = '✕';
+        cancel.title = 'Cancel reminder';
+        cancel.addEventListener('click', async () => {
+          await removeReminders([reminder.id]).catch(e => console.warn('Could not cancel reminder:', e));
+          render();
+        });
+        row.append(text, cancel);
+        list.appendChild(row);
+      });
+    }
+    if (facts.length) {
+      const heading = document.createElement('h4');
+      heading.textContent = 'Facts';
+      list.appendChild(heading);
+      facts.forEach((fact, i) => {
+        const row = document.createElement('div');
+        row.className = 'panel-item';
+        const text = document.createElement('span');
+        text.textContent = fact.text;
+        const forget = document.createElement('button');
+        forget.textContent = '✕';
+        forget.title = 'Forget this';
+        forget.addEventListener('click', async () => {
+          await forgetFact(i).catch(e => console.warn('Could not forget fact:', e));
+          render();
+        });
+        row.append(text, forget);
+        list.appendChild(row);
+      });
+    }
+    if (summaries.length) {
+      const heading = document.createElement('h4');
+      heading.textContent = 'Earlier conversations';
+      list.appendChild(heading);
+      summaries.slice().reverse().forEach(summary => {
+        const row = document.createElement('div');
+        row.className = 'panel-item';
+        const text = document.createElement('span');
+        text.textContent = `${new Date(summary.createdAt).toLocaleDateString()} — ${summary.text}`;
+        row.appendChild(text);
+        list.appendChild(row);
+      });
+    }
+  }
+
+  document.getElementById('btn-memory')?.addEventListener('click', () => {
+    render();
+    panel.classList.toggle('open');
+  });
+  document.getElementById('memory-done')?.addEventListener('click', () => panel.classList.remove('open'));
+  // Two-step confirm — native confirm() dialogs aren't reliable in every webview
+  const clearBtn = document.getElementById('memory-clear');
+  clearBtn?.addEventListener('click', async () => {
+    if (!clearBtn.dataset.armed) {
+      clearBtn.dataset.armed = '1';
+      clearBtn.textContent = 'Really forget?';
+      setTimeout(() => { delete clearBtn.dataset.armed; clearBtn.textContent = 'Forget everything'; }, 3000);
+      return;
+    }
+    await clearMemory().catch(e => console.warn('Could not clear memory:', e));
+    render();
+  });
+}
+// ── Model manager ──
+function initModelPanel() {
+  const panel = document.getElementById('models-panel');
+  const list = document.getElementById('models-list');
+
+  async function render() {
+    const models = await listModels();
+    list.replaceChildren();
+    models.forEach(model => {
+      const row = document.createElement('div');
+      row.className = 'panel-item';
+      const name = document.createElement('span');
+      name.textContent = model.id === currentModelId ? `● ${model.name}` : model.name;
+      const use = document.createElement('button');
+      use.textContent = 'Use';
+      use.disabled = model.id === currentModelId;
+      use.addEventListener('click', async () => {
+        await switchModel(model.id);
+        render();
+      });
+      row.append(name, use);
+      if (!model.builtin) {
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove from library';
+        remove.disabled = model.id === currentModelId;
+        remove.addEventListener('click', async () => {
+          await deleteModel(model.id).catch(e => console.warn('Could not remove model:', e));
+          render();
+        });
+        row.appendChild(remove);
+      }
+      list.appendChild(row);
+    });
+  }
+
+  // Import files and switch to the first one
+  async function addModels(importAll) {
+    try {
+      const imported = await importAll();
+      if (imported.length) await switchModel(imported[0].id);
+    } catch (e) {
+      console.error('Could not import model:', e);
+      delete modelOverlay.dataset.failedId;
+      showModelStatus(`Couldn't import: ${e.message || e}`, { error: true });
+    }
+    if (panel.classList.contains('open')) render();
+  }
+
+  document.getElementById('btn-models')?.addEventListener('click', () => {
+    render();
+    panel.classList.toggle('open');
+  });
+  document.getElementById('models-done')?.addEventListener('click', () => panel.classList.remove('open'));
+
+  // Native dialog inside Tauri, a plain file input in the browser
+  const fileInput = document.getElementById('models-file');
+  document.getElementById('models-add')?.addEventListener('click', () => {
+    if (window.__TAURI_INTERNALS__) addModels(pickModelFiles);
+    else fileInput.click();
+  });
+  fileInput?.addEventListener('change', () => {
+    const files = [...fileInput.files];
+    fileInput.value = '';
+    addModels(async () => files.map(importModelFile));
+  });
+
+  document.getElementById('model-retry')?.addEventListener('click', () => {
+    const id = modelOverlay.dataset.failedId;
+    if (id) switchModel(id);
+    else hideModelStatus();
+  });
+  document.getElementById('model-default')?.addEventListener('click', () => switchModel(DEFAULT_MODEL.id));
+
+  // Drag-and-drop onto the window. Tauri delivers file paths through its own event;
+  // the browser gets File objects
+  const isVrm = name => /\.vrm$/i.test(name);
+  if (window.__TAURI_INTERNALS__) {
+    let hintShown = false;
+    import('@tauri-apps/api/webview').then(({ getCurrentWebview }) => getCurrentWebview().onDragDropEvent(({ payload }) => {
+      if (payload.type === 'enter' && payload.paths.some(isVrm)) {
+        hintShown = true;
+        showModelStatus('Drop to add this model', { progress: 1 });
+      } else if (payload.type === 'drop' || payload.type === 'leave') {
+        if (hintShown) hideModelStatus();
+        hintShown = false;
+        const paths = payload.type === 'drop' ? payload.paths.filter(isVrm) : [];
+        if (paths.length) addModels(() => Promise.all(paths.map(importModelPath)));
+      }
+    })).catch(e => console.warn('Drag-and-drop unavailable:', e));
+  } else {
+    window.addEventListener('dragover', (e) => e.preventDefault());
+    window.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const files = [...(e.dataTransfer?.files || [])].filter(file => isVrm(file.name));
+      if (files.length) addModels(async () => files.map(importModelFile));
+    });
+  }
 }
+
+// ── Service health ──
+function initHealthPanel() {
+  const button = document.getElementById('btn-health');
+  const panel = document.getElementById('health-panel');
+  const list = document.getElementById('health-list');
+  const retry = document.getElementById('health-retry');
+
+  function render(health) {
+    button.className = `health-${health.state}`;
+    const problems = Object.values(health.services).filter(service => !service.ok);
+    button.title = health.state === 'checking'
+      ? 'Checking services…'
+      : problems.length ? problems.map(service => service.message).join('\n') : 'All services running';
+
+    list.replaceChildren();
+    if (health.state === 'checking') {
+      const empty = document.createElement('div');
+      empty.className = 'panel-empty';
+      empty.textContent = 'Checking…';
+      list.appendChild(empty);
+    }
+    Object.values(health.services).forEach(service => {
+      const row = document.createElement('div');
+      row.className = 'panel-item';
+      const text = document.createElement('span');
+      text.textContent = `${service.ok ? '🟢' : '🔴'} ${service.label}: ${service.message}`;
+      row.appendChild(text);
+      if (service.action) {
+        const action = document.createElement('div');
+        action.className = 'health-action';
+        action.textContent = service.action;
+        text.appendChild(action);
+      }
+      list.appendChild(row);
+    });
+  }
+
+  render(getHealth());
+  onHealthChange(render);
+  button.addEventListener('click', () => panel.classList.toggle('open'));
+  retry.addEventListener('click', async () => {
+    retry.disabled = true;
+    render({ state: 'checking', services: {} });
+    try {
+      await checkHealthNow();
+    } catch (e) {
+      console.warn('Health check failed:', e);
+    } finally {
+      retry.disabled = false;
+    }
+  });
+  document.getElementById('health-done')?.addEventListener('click', () => panel.classList.remove('open'));
+  configReady.then(startHealthMonitor);
+}
+
+initChatUI();
+initMemoryPanel();
+initModelPanel();
+initHealthPanel();
+configReady.then(syncAllowedTools).catch(e => console.warn('Could not read the allowed tools:', e));
+configReady.then(() => initTray({ onSettings: openSettingsPanel, onResetPosition: resetPlacement })).catch(e => console.warn('Could not create tray icon:', e));
+initCharacterPanel();
+initSettingsPanel();
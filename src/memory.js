@@ -0,0 +1,168 @@
+/**
+ * Memory system — persists each character's conversation and long-term memory store
+ * (facts + summaries of older turns) through the Tauri backend.
+ * Falls back to localStorage when running in a plain browser (vite dev).
+ */
+import { DEFAULT_CHARACTER_ID } from './characters.js';
+
+const MAX_FACTS = 50;
+const MAX_SUMMARIES = 20;
+// Summaries fed back into the <memory> block — older ones stay on disk only
+const PROMPT_SUMMARIES = 5;
+
+let _memory = { facts: [], summaries: [] };
+// The character _memory belongs to
+let _memoryCharacter = DEFAULT_CHARACTER_ID;
+
+async function invokeOrLocal(command, args, localKey) {
+  try {
+    const { invoke } = await import('@tauri-apps/api/core');
+    return await invoke(command, args);
+  } catch (e) {
+    if (window.__TAURI_INTERNALS__) throw e;
+    // Not running inside Tauri — keep things in localStorage instead
+    const value = args && Object.values(args)[0];
+    if (command.startsWith('load_')) return JSON.parse(localStorage.getItem(localKey) || 'null');
+    if (command.startsWith('clear_')) return localStorage.removeItem(localKey);
+    return localStorage.setItem(localKey, JSON.stringify(value));
+  }
+}
+
+// The default character keeps the original single-character files
+function characterArgs(characterId) {
+  return characterId && characterId !== DEFAULT_CHARACTER_ID ? { character: characterId } : {};
+}
+
+function characterKey(base, characterId) {
+  return characterId && characterId !== DEFAULT_CHARACTER_ID ? `${base}.${characterId}` : base;
+}
+
+// ── Conversation ──
+
+/**
+ * Load a character's saved conversation: { messages, summarizedUpTo }
+ */
+export async function loadConversation(characterId) {
+  try {
+    const saved = await invokeOrLocal('load_conversation', characterArgs(characterId), characterKey('sharon.conversation', characterId));
+    return {
+      messages: Array.isArray(saved?.messages) ? saved.messages : [],
+      summarizedUpTo: saved?.summarizedUpTo || 0,
+    };
+  } catch (e) {
+    console.warn('Could not load conversation:', e);
+    return { messages: [], summarizedUpTo: 0 };
+  }
+}
+
+export async function saveConversation(conversation, characterId) {
+  try {
+    await invokeOrLocal('save_conversation', { conversation, ...characterArgs(characterId) }, characterKey('sharon.conversation', characterId));
+  } catch (e) {
+    console.warn('Could not save conversation:', e);
+  }
+}
+
+// ── Long-term memory ──
+
+async function readMemory(characterId) {
+  const saved = await invokeOrLocal('load_memory', characterArgs(characterId), characterKey('sharon.memory', characterId));
+  return {
+    facts: Array.isArray(saved?.facts) ? saved.facts : [],
+    summaries: Array.isArray(saved?.summaries) ? saved.summaries : [],
+  };
+}
+
+function writeMemory(memory, characterId) {
+  return invokeOrLocal('save_memory', { memory, ...characterArgs(characterId) }, characterKey('sharon.memory', characterId));
+}
+
+/**
+ * Load a character's memory store; getMemory() and formatMemory() read it from then on
+ */
+export async function loadMemory(characterId = DEFAULT_CHARACTER_ID) {
+  _memoryCharacter = characterId;
+  _memory = { facts: [], summaries: [] };
+  try {
+    const memory = await readMemory(characterId);
+    // Another character may have been loaded meanwhile
+    if (_memoryCharacter === characterId) _memory = memory;
+  } catch (e) {
+    console.warn('Could not load memory:', e);
+  }
+  return _memory;
+}
+
+export function getMemory() {
+  return _memory;
+}
+
+/**
+ * Add new facts and a summary of turns that fell out of the context window to a character's
+ * memory — the loaded one, or the file of a character the user has since switched away from
+ */
+export async function remember({ facts = [], summary = '' }, characterId = _memoryCharacter) {
+  const memory = characterId === _memoryCharacter ? _memory : await readMemory(characterId);
+  const now = new Date().toISOString();
+  const known = new Set(memory.facts.map(f => f.text.toLowerCase()));
+  for (const text of facts) {
+    const clean = String(text).trim();
+    if (clean && !known.has(clean.toLowerCase())) {
+      memory.facts.push({ text: clean, createdAt: now });
+      known.add(clean.toLowerCase());
+    }
+  }
+  if (summary.trim()) memory.summaries.push({ text: summary.trim(), createdAt: now });
+
+  memory.facts = memory.facts.slice(-MAX_FACTS);
+  memory.summaries = memory.summaries.slice(-MAX_SUMMARIES);
+
+  try {
+    await writeMemory(memory, characterId);
+  } catch (e) {
+    console.warn('Could not save memory:', e);
+  }
+}
+
+export async function forgetFact(index) {
+  _memory.facts.splice(index, 1);
+  await writeMemory(_memory, _memoryCharacter);
+}
+
+export async function clearMemory() {
+  _memory = { facts: [], summaries: [] };
+  await invokeOrLocal('clear_memory', characterArgs(_memoryCharacter), characterKey('sharon.memory', _memoryCharacter));
+}
+
+/**
+ * Render the memory store as text for the <memory> system block
+ */
+export function formatMemory() {
+  const lines = [];
+  if (_memory.facts.length) {
+    lines.push('Known facts:', ..._memory.facts.map(f => `- ${f.text}`));
+  }
+  const summaries = _memory.summaries.slice(-PROMPT_SUMMARIES);
+  if (summaries.length) {
+    lines.push('Earlier conversations:', ...summaries.map(s => `- ${s.text}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse the summarizer's reply: {"facts": [...], "summary": "..."}
+ * Tolerates code fences and chatter around the JSON object.
+ */
+export function parseMemoryReply(reply) {
+  const json = reply.match(/\{[\s\S]*\}/)?.[0];
+  if (!json) return { facts: [], summary: reply.trim() };
+  try {
+    const data = JSON.parse(json);
+    return {
+      facts: Array.isArray(data.facts) ? data.facts.filter(f => typeof f === 'string') : [],
+      summary: typeof data.summary === 'string' ? data.summary : '',
+    };
+  } catch {
+    return { facts: [], summary: '' };
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Model manager — the bundled VRM plus a library of user-imported VRM files
+ * (copied into the app data dir by the Tauri backend). In a plain browser, dropped
+ * or picked files are kept for the session only.
+ *
+ * A model is { id, name, builtin?, size? }. The bundled model's id is its URL, so
+ * per-model settings keyed by id (e.g. expressions.modelMaps) keep working.
+ */
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm';
+
+export const DEFAULT_MODEL = { id: '/sharon1.vrm', name: 'Sharon', builtin: true };
+
+// Session-only models outside Tauri: id → { name, url }
+const _sessionModels = new Map();
+
+function isTauri() {
+  return !!window.__TAURI_INTERNALS__;
+}
+
+async function invoke(command, args) {
+  const { invoke } = await import('@tauri-apps/api/core');
+  return invoke(command, args);
+}
+
+export async function listModels() {
+  let library = [];
+  if (isTauri()) {
+    try {
+      library = await invoke('list_models');
+    } catch (e) {
+      console.warn('Could not list models:', e);
+    }
+  } else {
+    library = [..._sessionModels].map(([id, { name }]) => ({ id, name }));
+  }
+  return [DEFAULT_MODEL, ...library];
+}
+
+/**
+ * Copy a VRM file into the library by path (file dialog, Tauri drag-and-drop)
+ */
+export async function importModelPath(path) {
+  return invoke('import_model', { path });
+}
+
+/**
+ * Add a File from a browser drop or <input type="file"> (plain browser only)
+ */
+export function importModelFile(file) {
+  if (!/\.vrm$/i.test(file.name)) throw new Error(`${file.name} is not a .vrm file`);
+  const id = `session:${file.name}`;
+  const previous = _sessionModels.get(id);
+  if (previous) URL.revokeObjectURL(previous.url);
+  _sessionModels.set(id, { name: file.name.replace(/\.vrm$/i, ''), url: URL.createObjectURL(file) });
+  return { id, name: _sessionModels.get(id).name };
+}
+
+export async function deleteModel(id) {
+  if (_sessionModels.has(id)) {
+    URL.revokeObjectURL(_sessionModels.get(id).url);
+    _sessionModels.delete(id);
+    return;
+  }
+  await invoke('delete_model', { id });
+}
+
+/**
+ * Open the native file dialog and import the chosen files. Returns the imported models.
+ */
+export async function pickModelFiles() {
+  const { open } = await import('@tauri-apps/plugin-dialog');
+  const selected = await open({ multiple: true, filters: [{ name: 'VRM model', extensions: ['vrm'] }] });
+  if (!selected) return [];
+  const paths = Array.isArray(selected) ? selected : [selected];
+  return Promise.all(paths.map(importModelPath));
+}
+
+function createLoader() {
+  const loader = new GLTFLoader();
+  loader.register((parser) => new VRMLoaderPlugin(parser));
+  return loader;
+}
+
+/**
+ * Load a model by id. onProgress(fraction | null) — null while the size isn't known.
+ */
+export async function loadModel(id, onProgress = () => {}) {
+  const loader = createLoader();
+  let gltf;
+  const url = id === DEFAULT_MODEL.id ? id : _sessionModels.get(id)?.url;
+  if (url) {
+    gltf = await loader.loadAsync(url, (progress) => {
+      onProgress(progress.total ? progress.loaded / progress.total : null);
+    });
+  } else {
+    onProgress(null);
+    const data = await invoke('read_model', { id });
+    onProgress(1);
+    gltf = await loader.parseAsync(data, '');
+  }
+
+  const vrm = gltf.userData.vrm;
+  if (!vrm) throw new Error('The file is a glTF model but not a VRM (no humanoid data)');
+  VRMUtils.removeUnnecessaryVertices(gltf.scene);
+  VRMUtils.removeUnnecessaryJoints(gltf.scene);
+  // VRM 0.x models face -Z; turn them towards the camera like 1.0 models
+  VRMUtils.rotateVRM0(vrm);
+  return vrm;
+}
+
+/**
+ * Free a model's GPU resources once it has been removed from the scene
+ */
+export function disposeModel(vrm) {
+  vrm.scene.removeFromParent();
+  VRMUtils.deepDispose(vrm.scene);
+}
@@ -0,0 +1,212 @@
+/**
+ * Window placement — remembers where the widget was (monitor, position, size), snaps it to
+ * the edges and corners of the monitor's work area (the screen minus taskbars and docks)
+ * and brings it back on screen when its monitor goes away.
+ *
+ * The placement is saved as window.placement: { monitor, x, y, width, height }, with x/y in
+ * logical px from the top-left of that monitor's work area so it survives DPI changes.
+ * Without one, the window goes to the bottom-right corner at window.offsetX/offsetY.
+ */
+import { getConfig, saveConfig, onConfigChange } from './config.js';
+
+const SETTLE_DELAY = 500;      // ms after the last move/resize before snapping and saving
+const CHECK_INTERVAL = 5000;   // ms between "is it still on a monitor?" checks
+const MIN_VISIBLE = 80;        // Logical px of the window that must stay on some monitor
+
+let _win = null;
+let _dpi = null;
+let _settleTimer = null;
+let _lastSnap = null;          // Where the last snap went, so a window manager that refuses it can't loop
+
+async function tauriWindow() {
+  if (!_win) {
+    const [windowApi, dpi] = await Promise.all([import('@tauri-apps/api/window'), import('@tauri-apps/api/dpi')]);
+    _win = windowApi;
+    _dpi = dpi;
+  }
+  return _win;
+}
+
+/**
+ * A monitor's work area in physical px: { left, top, right, bottom, scale }
+ */
+function workArea(monitor) {
+  const { position, size } = monitor.workArea ?? monitor;
+  return {
+    left: position.x,
+    top: position.y,
+    right: position.x + size.width,
+    bottom: position.y + size.height,
+    scale: monitor.scaleFactor,
+  };
+}
+
+async function windowRect() {
+  const win = _win.getCurrentWindow();
+  const [position, size] = await Promise.all([win.outerPosition(), win.outerSize()]);
+  return { x: position.x, y: position.y, width: size.width, height: size.height };
+}
+
+/**
+ * Keep a rect inside an area; a rect larger than the area is aligned to its top-left
+ */
+function clampTo({ x, y, width, height }, area) {
+  return {
+    x: Math.max(area.left, Math.min(x, area.right - width)),
+    y: Math.max(area.top, Math.min(y, area.bottom - height)),
+    width,
+    height,
+  };
+}
+
+function overlap(rect, area) {
+  const w = Math.min(rect.x + rect.width, area.right) - Math.max(rect.x, area.left);
+  const h = Math.min(rect.y + rect.height, area.bottom) - Math.max(rect.y, area.top);
+  return w > 0 && h > 0 ? { w, h } : null;
+}
+
+/**
+ * The monitor most of the window is on, or the primary one when it's on none
+ */
+async function monitorFor(rect) {
+  const monitors = await _win.availableMonitors();
+  let best = null, bestArea = 0;
+  for (const monitor of monitors) {
+    const o = overlap(rect, workArea(monitor));
+    if (o && o.w * o.h > bestArea) {
+      best = monitor;
+      bestArea = o.w * o.h;
+    }
+  }
+  return best ?? (await _win.primaryMonitor()) ?? monitors[0] ?? null;
+}
+
+async function moveTo({ x, y }) {
+  await _win.getCurrentWindow().setPosition(new _dpi.PhysicalPosition(Math.round(x), Math.round(y)));
+}
+
+function defaultRect(area, width, height) {
+  const { offsetX, offsetY } = getConfig().window;
+  return clampTo({ x: area.right - offsetX * area.scale, y: area.bottom - offsetY * area.scale, width, height }, area);
+}
+
+/**
+ * Put the window where it was last time, or in the default corner
+ */
+async function restore() {
+  await tauriWindow();
+  const win = _win.getCurrentWindow();
+  const saved = getConfig().window.placement;
+  const monitors = await _win.availableMonitors();
+  const monitor = monitors.find(m => m.name && m.name === saved.monitor)
+    ?? (await win.currentMonitor())
+    ?? (await _win.primaryMonitor());
+  if (!monitor) return;
+  const area = workArea(monitor);
+
+  if (saved.width && saved.height) await win.setSize(new _dpi.LogicalSize(saved.width, saved.height));
+  const { width, height } = await win.outerSize();
+  const rect = 'x' in saved
+    ? clampTo({ x: area.left + saved.x * area.scale, y: area.top + saved.y * area.scale, width, height }, area)
+    : defaultRect(area, width, height);
+  await moveTo(rect);
+}
+
+/**
+ * Snap to nearby work-area edges, then save the placement. Runs once a move or resize settles.
+ */
+async function settle() {
+  const rect = await windowRect();
+  const monitor = await monitorFor(rect);
+  if (!monitor) return;
+  const area = workArea(monitor);
+  const { snapDistance } = getConfig().window;
+
+  const snapped = { ...rect };
+  const reach = snapDistance * area.scale;
+  if (Math.abs(rect.x - area.left) < reach) snapped.x = area.left;
+  else if (Math.abs(rect.x + rect.width - area.right) < reach) snapped.x = area.right - rect.width;
+  if (Math.abs(rect.y - area.top) < reach) snapped.y = area.top;
+  else if (Math.abs(rect.y + rect.height - area.bottom) < reach) snapped.y = area.bottom - rect.height;
+  // Moving fires another settle, which saves the snapped position
+  const snapKey = `${snapped.x},${snapped.y}`;
+  if ((snapped.x !== rect.x || snapped.y !== rect.y) && snapKey !== _lastSnap) {
+    _lastSnap = snapKey;
+    await moveTo(snapped);
+    return;
+  }
+  _lastSnap = null;
+
+  const placement = {
+    monitor: monitor.name ?? '',
+    x: Math.round((rect.x - area.left) / area.scale),
+    y: Math.round((rect.y - area.top) / area.scale),
+    width: Math.round(rect.width / area.scale),
+    height: Math.round(rect.height / area.scale),
+  };
+  if (JSON.stringify(placement) !== JSON.stringify(getConfig().window.placement)) {
+    await saveConfig({ window: { placement } });
+  }
+}
+
+function scheduleSettle() {
+  clearTimeout(_settleTimer);
+  _settleTimer = setTimeout(() => settle().catch(e => console.warn('Could not save window placement:', e)), SETTLE_DELAY);
+}
+
+/**
+ * Pull the window back onto a monitor if it ended up (almost) off every screen,
+ * e.g. after the monitor it was on was unplugged
+ */
+async function ensureVisible() {
+  const rect = await windowRect();
+  const monitors = await _win.availableMonitors();
+  const visible = monitors.some((monitor) => {
+    const o = overlap(rect, workArea(monitor));
+    const min = MIN_VISIBLE * monitor.scaleFactor;
+    return o && o.w >= Math.min(min, rect.width) && o.h >= Math.min(min, rect.height);
+  });
+  if (visible) return;
+  const monitor = (await _win.primaryMonitor()) ?? monitors[0];
+  if (!monitor) return;
+  await moveTo(defaultRect(workArea(monitor), rect.width, rect.height));
+}
+
+/**
+ * Forget the saved placement and go back to the default corner of the current monitor
+ */
+export async function resetPlacement() {
+  if (!window.__TAURI_INTERNALS__) return;
+  await saveConfig({ window: { placement: {} } });
+  await restore();
+}
+
+/**
+ * Restore the saved placement, show the window and keep tracking it. Call once the config is loaded.
+ */
+export async function initPlacement() {
+  if (!window.__TAURI_INTERNALS__) return;
+  await tauriWindow();
+  const win = _win.getCurrentWindow();
+  try {
+    await restore();
+  } catch (e) {
+    console.warn('Could not restore window placement:', e);
+  } finally {
+    // The window starts hidden (tauri.conf.json) so it never flashes at the wrong spot
+    await win.show();
+  }
+
+  await win.onMoved(scheduleSettle);
+  await win.onResized(scheduleSettle);
+  setInterval(() => ensureVisible().catch(e => console.warn('Could not check window placement:', e)), CHECK_INTERVAL);
+
+  // New offsets in the settings mean "put it in the corner again"
+  let offsets = JSON.stringify([getConfig().window.offsetX, getConfig().window.offsetY]);
+  onConfigChange(({ window: { offsetX, offsetY } }) => {
+    const next = JSON.stringify([offsetX, offsetY]);
+    if (next === offsets) return;
+    offsets = next;
+    resetPlacement().catch(e => console.warn('Could not reset window placement:', e));
+  });
+}
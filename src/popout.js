@@ -0,0 +1,45 @@
+/**
+ * Pop-out chat — the chat history in a window of its own (chat.html, run by chatwindow.js).
+ *
+ * The widget keeps the conversation, the voice and the model; the pop-out only shows the
+ * history and sends back what the user does there. They talk through Tauri events:
+ *   'chat-history'  widget → pop-out   { entries (see getHistory), busy }
+ *   'chat-request'  pop-out → widget   the pop-out has just opened and wants the history
+ *   'chat-action'   pop-out → widget   { type: 'send' | 'replay' | 'regenerate' | 'edit', key, text }
+ */
+
+export const CHAT_WINDOW = 'chat';
+
+/**
+ * Open the pop-out, or bring it to the front if it's already open
+ */
+export async function openChatWindow(title) {
+  if (!window.__TAURI_INTERNALS__) throw new Error('The chat window needs the desktop app');
+  const { WebviewWindow } = await import('@tauri-apps/api/webviewWindow');
+  const existing = await WebviewWindow.getByLabel(CHAT_WINDOW);
+  if (existing) {
+    await existing.unminimize();
+    await existing.setFocus();
+    return;
+  }
+  const win = new WebviewWindow(CHAT_WINDOW, { url: 'chat.html', title, width: 420, height: 640, resizable: true });
+  await new Promise((resolve, reject) => {
+    win.once('tauri://created', resolve);
+    win.once('tauri://error', ({ payload }) => reject(new Error(String(payload))));
+  });
+}
+
+/**
+ * Serve the pop-out: getState() → { entries, busy }; onAction(action) runs what the user did
+ * there. Resolves to publish(), to call whenever the state changes.
+ */
+export async function initChatBridge(getState, onAction) {
+  if (!window.__TAURI_INTERNALS__) return () => {};
+  const { emitTo, listen } = await import('@tauri-apps/api/event');
+  const publish = () => {
+    emitTo(CHAT_WINDOW, 'chat-history', getState()).catch(e => console.warn('Could not update the chat window:', e));
+  };
+  await listen('chat-request', publish);
+  await listen('chat-action', ({ payload }) => onAction(payload));
+  return publish;
+}
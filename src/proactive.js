@@ -0,0 +1,173 @@
+/**
+ * Proactive behaviours — Sharon speaking first: a greeting at launch that fits the time of
+ * day, a line after the user has been quiet for a while, and reminders when they fall due.
+ *
+ * Each goes through the normal chat → TTS pipeline with a cue for the model (see sendMessage).
+ * Unprompted lines (greeting, idle comments) are rate-limited: proactive.minGap minutes apart
+ * and at most proactive.maxPerHour. Reminders the user asked for skip the limits.
+ * Do-not-disturb silences everything; due reminders then only show as text.
+ * Nothing starts while a reply is in flight, the user is typing or talking, or the window is
+ * hidden — it waits for the next check.
+ */
+import { getConfig, onConfigChange } from './config.js';
+import { getHealth } from './health.js';
+import { loadReminders, dueReminders, removeReminders } from './reminders.js';
+
+const CHECK_INTERVAL = 15_000;
+const GREETING_WINDOW = 120_000;   // ms after launch to wait for the servers before skipping the greeting
+const MISSED_AFTER = 10 * 60_000;  // Reminders older than this (e.g. app was closed) show as text only
+
+let _hooks = null;                 // { speak(cue) → Promise<boolean>, notify(text), isBusy() }
+let _startedAt = 0;
+let _lastInput = 0;
+let _idleCommented = false;        // One comment per quiet spell
+let _greeted = false;
+let _spokenAt = [];                // When unprompted lines were spoken in the last hour
+let _checking = false;
+
+/**
+ * The user said something (typed or spoken) — restarts the inactivity clock
+ */
+export function noteUserActivity() {
+  _lastInput = Date.now();
+  _idleCommented = false;
+}
+
+function timeOfDay(date) {
+  const hour = date.getHours();
+  if (hour < 5) return 'night';
+  if (hour < 12) return 'morning';
+  if (hour < 18) return 'afternoon';
+  if (hour < 22) return 'evening';
+  return 'night';
+}
+
+function clockTime(date) {
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function greetingCue(now) {
+  return `It is ${timeOfDay(now)} (${clockTime(now)}) and the user has just opened the widget. Greet them in one short sentence that fits the time of day.`;
+}
+
+function idleCue(minutes) {
+  return `The user has been quiet for about ${minutes} minutes. Say one short, casual line to them — a light comment or a question. Don't scold them for being quiet.`;
+}
+
+function reminderCue(reminders) {
+  const tasks = reminders.map(r => `"${r.text}"`).join(', ');
+  return `The user asked you to remind them now: ${tasks}. Remind them in one short sentence.`;
+}
+
+/**
+ * Cue for the reply to a message that set a reminder, so she confirms it rather than
+ * claiming she can't set reminders
+ */
+export function reminderSetCue({ text, at }) {
+  const when = at.toDateString() === new Date().toDateString() ? clockTime(at) : `${at.toLocaleDateString()} ${clockTime(at)}`;
+  return `A reminder has been set for ${when}: "${text}". Confirm it to the user in one short sentence.`;
+}
+
+/**
+ * Room for another unprompted line under minGap / maxPerHour?
+ */
+function withinLimits(now) {
+  const { minGap, maxPerHour } = getConfig().proactive;
+  _spokenAt = _spokenAt.filter(time => now - time < 3_600_000);
+  if (_spokenAt.length >= maxPerHour) return false;
+  const last = _spokenAt.at(-1);
+  return last === undefined || now - last >= minGap * 60_000;
+}
+
+function canSpeak() {
+  return !document.hidden && !_hooks.isBusy();
+}
+
+async function deliverReminders(now) {
+  const due = dueReminders(new Date(now));
+  if (!due.length) return;
+  const { doNotDisturb } = getConfig().proactive;
+  const missed = due.filter(r => doNotDisturb || now - new Date(r.at) > MISSED_AFTER);
+  const onTime = due.filter(r => !missed.includes(r));
+
+  missed.forEach(r => _hooks.notify(`${r.text} (${clockTime(new Date(r.at))})`));
+  // On-time reminders wait while she's busy (until they count as missed)
+  let spoken = [];
+  if (onTime.length && canSpeak()) {
+    spoken = onTime;
+    // A failed reply (servers down) still gets the reminder across as text
+    const said = await _hooks.speak(reminderCue(spoken));
+    if (!said) spoken.forEach(r => _hooks.notify(r.text));
+  }
+  const delivered = [...missed, ...spoken].map(r => r.id);
+  if (delivered.length) await removeReminders(delivered);
+}
+
+/**
+ * Tell the user about something that just happened (a timer ending): spoken when she can,
+ * otherwise — do-not-disturb, busy or hidden — shown as text
+ */
+export async function announce(text) {
+  if (!_hooks) return;
+  if (!getConfig().proactive.doNotDisturb && canSpeak()) {
+    const said = await _hooks.speak(`Tell the user in one short sentence: ${text}.`);
+    if (said) return;
+  }
+  _hooks.notify(text);
+}
+
+async function speakUnprompted(cue, now) {
+  _spokenAt.push(now);
+  await _hooks.speak(cue);
+}
+
+async function check() {
+  if (_checking) return;
+  _checking = true;
+  try {
+    const now = Date.now();
+    const { proactive, health } = getConfig();
+    await deliverReminders(now);
+    if (!proactive.enabled || proactive.doNotDisturb) return;
+
+    // The greeting waits for the servers to come up (sidecars may still be starting)
+    if (!_greeted && proactive.greeting) {
+      if (now - _startedAt > GREETING_WINDOW) {
+        _greeted = true;
+      } else if ((!health.enabled || getHealth().state === 'ok') && canSpeak()) {
+        _greeted = true;
+        if (withinLimits(now)) await speakUnprompted(greetingCue(new Date(now)), now);
+        return;
+      }
+    }
+
+    const quiet = now - _lastInput;
+    if (proactive.idleComment && !_idleCommented && quiet >= proactive.idleMinutes * 60_000 && canSpeak() && withinLimits(now)) {
+      _idleCommented = true;
+      await speakUnprompted(idleCue(Math.round(quiet / 60_000)), now);
+    }
+  } catch (e) {
+    console.warn('Proactive check failed:', e);
+  } finally {
+    _checking = false;
+  }
+}
+
+/**
+ * Start the scheduler. Call once the chat UI is ready.
+ * hooks.speak(cue) runs a reply from a cue and resolves to whether it was said;
+ * hooks.notify(text) shows a reminder as text; hooks.isBusy() is true while a reply is in
+ * flight or the user is typing or talking.
+ */
+export async function initProactive(hooks) {
+  _hooks = hooks;
+  _startedAt = Date.now();
+  _lastInput = _startedAt;
+  await loadReminders();
+  // Turning do-not-disturb off doesn't replay what it held back
+  onConfigChange(({ proactive }) => {
+    if (proactive.doNotDisturb) _greeted = true;
+  });
+  check();
+  setInterval(check, CHECK_INTERVAL);
+}
@@ -0,0 +1,141 @@
+/**
+ * Reminders — "remind me at 15:00 to stretch" or "remind me in 20 minutes to check the oven",
+ * picked out of chat messages and saved through the Tauri backend (localStorage in a plain
+ * browser). The proactive scheduler (proactive.js) delivers them when they fall due.
+ *
+ * Only English phrasings are recognised: "at H[:MM][am|pm]" (optionally "tomorrow") and
+ * "in N seconds/minutes/hours" (or "an hour", "half an hour"), before or after the task.
+ */
+
+const MAX_REMINDERS = 50;
+
+// [{ id, text, at, createdAt, source }] — at/createdAt are ISO strings, sorted by `at`;
+// source is the chat message the reminder was picked out of
+let _reminders = [];
+
+async function invokeOrLocal(command, args) {
+  try {
+    const { invoke } = await import('@tauri-apps/api/core');
+    return await invoke(command, args);
+  } catch (e) {
+    if (window.__TAURI_INTERNALS__) throw e;
+    // Not running inside Tauri — keep reminders in localStorage instead
+    if (command === 'load_reminders') return JSON.parse(localStorage.getItem('sharon.reminders') || 'null');
+    return localStorage.setItem('sharon.reminders', JSON.stringify(args.reminders));
+  }
+}
+
+const AT_TIME = /\b(tomorrow\s+)?at\s+(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(\s+tomorrow)?(?=\W|$)/i;
+const IN_TIME = /\bin\s+(\d+(?:\.\d+)?|an?|one|half an)\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?)\b/i;
+const UNIT_MS = { s: 1000, m: 60_000, h: 3_600_000 };
+
+/**
+ * When "at H[:MM]" next comes round. Without am/pm a 12-hour reading ("at 3" at 14:00 → 15:00)
+ * is taken when it comes sooner.
+ */
+function nextAt(now, hour, minute, meridiem, tomorrow) {
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase().startsWith('p') ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+
+  const candidates = meridiem || hour >= 12 ? [hour] : [hour, hour + 12];
+  const times = candidates.map((h) => {
+    const at = new Date(now);
+    at.setHours(h, minute, 0, 0);
+    if (tomorrow) at.setDate(at.getDate() + 1);
+    else if (at <= now) at.setDate(at.getDate() + 1);
+    return at;
+  });
+  return times.reduce((a, b) => (b < a ? b : a));
+}
+
+/**
+ * Find a reminder request in a chat message: { text, at } (at is a Date), or null
+ */
+export function parseReminder(message, now = new Date()) {
+  const request = message.match(/\bremind me\b\s*(.*)$/is)?.[1];
+  if (request === undefined) return null;
+
+  let at = null;
+  let rest = request;
+  const atMatch = request.match(AT_TIME);
+  const inMatch = request.match(IN_TIME);
+  if (atMatch) {
+    const [, before, hour, minute, meridiem, after] = atMatch;
+    at = nextAt(now, Number(hour), Number(minute || 0), meridiem, !!(before || after));
+    rest = request.replace(atMatch[0], ' ');
+  } else if (inMatch) {
+    const [, amount, unit] = inMatch;
+    const count = /^half/i.test(amount) ? 0.5 : /^(an?|one)$/i.test(amount) ? 1 : Number(amount);
+    at = new Date(now.getTime() + count * UNIT_MS[unit[0].toLowerCase()]);
+    rest = request.replace(inMatch[0], ' ');
+  }
+  if (!at || at <= now) return null;
+
+  const text = rest
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(to|that|about|of)\s+/i, '')
+    .replace(/[\s.!?,;:]+$/, '')
+    .replace(/,?\s*(please|pls)$/i, '')
+    .trim();
+  return { text: text || 'your reminder', at };
+}
+
+export async function loadReminders() {
+  try {
+    const saved = await invokeOrLocal('load_reminders');
+    _reminders = Array.isArray(saved?.reminders) ? saved.reminders : [];
+  } catch (e) {
+    console.warn('Could not load reminders:', e);
+  }
+  return _reminders;
+}
+
+async function saveReminders() {
+  _reminders.sort((a, b) => a.at.localeCompare(b.at));
+  await invokeOrLocal('save_reminders', { reminders: { reminders: _reminders } });
+}
+
+export function getReminders() {
+  return _reminders;
+}
+
+/**
+ * Save a reminder from parseReminder(); source is the message it came from. Returns the saved entry.
+ */
+export async function addReminder({ text, at }, source = '') {
+  if (_reminders.length >= MAX_REMINDERS) throw new Error(`Only ${MAX_REMINDERS} reminders can be pending`);
+  const reminder = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    text,
+    at: at.toISOString(),
+    createdAt: new Date().toISOString(),
+    source,
+  };
+  _reminders.push(reminder);
+  await saveReminders();
+  return reminder;
+}
+
+/**
+ * Pending reminders set by the chat message `source`
+ */
+export function remindersFrom(source) {
+  return _reminders.filter(r => r.source === source);
+}
+
+export async function removeReminders(ids) {
+  const remove = new Set(ids);
+  _reminders = _reminders.filter(r => !remove.has(r.id));
+  await saveReminders();
+}
+
+/**
+ * Reminders whose time has come (still saved until removeReminders)
+ */
+export function dueReminders(now = new Date()) {
+  return _reminders.filter(r => new Date(r.at) <= now);
+}
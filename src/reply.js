@@ -0,0 +1,300 @@
+/**
+ * Reply protocol — what the chat model sends back and how it is read.
+ *
+ * A reply carries an emotion, body gestures, the line the character says out loud and,
+ * optionally, a longer text for the chat window. chat.replyFormat picks how the model writes it:
+ *
+ *   'tags' — the grammar sharon-v1 is tuned on. Tags may come anywhere in the reply:
+ *       <emotion>happy:0.8</emotion> <gesture>wave</gesture> Spoken line. <display>Longer text.</display>
+ *   'json' — the server is asked for a JSON object (see replyPrompt):
+ *       {"emotion": "happy:0.8", "gestures": ["wave"], "say": "Spoken line.", "display": "Longer text."}
+ *
+ * The parser trusts neither. It reads whichever it finds and copes with chat-template tokens,
+ * code fences, misspelt or unclosed tags and JSON cut off by the token limit, without dropping
+ * what was said. How much of it is spoken is up to limitSpoken.
+ */
+
+// The model ran on into another turn or the prompt: nothing after these is part of the reply
+const RUN_ON = /<\|(?:user|im_end|im_sep|endoftext)\|>|<\|im_start\|>\s*(?:user|system)\b|<\/response>|<memory>/i;
+
+// Any tag: <name>, </name>, <name/>, and the attribute-ish <emotion=happy> / <gesture:wave>
+const TAG = /<\s*(\/?)\s*([a-z_]+)\s*(?:[:=]\s*["']?([^<>"']*?)["']?\s*)?(\/?)\s*>/gi;
+
+// Tags whose content is not spoken. Any other tag (<b>, <speak>, ...) is dropped, its text kept.
+const META = new Set(['emotion', 'gesture', 'display', 'tool', 'think', 'memory']);
+// Names shorter than this aren't corrected as misspellings: <tol> is too close to too much
+const MIN_FUZZY_NAME = 5;
+
+const SENTENCE = /[^.!?…。！？]+(?:[.!?…]+["')\]]*|[。！？]+[」』）]*)?\s*/g;
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '', b: '', f: '' };
+
+/**
+ * System prompt describing the reply format. Tag replies need none: the persona prompt (or
+ * the model's tuning) asks for them.
+ */
+export function replyPrompt(format) {
+  if (format !== 'json') return '';
+  return [
+    'Reply with one JSON object and nothing else:',
+    '{"emotion": "<neutral, happy, sad, angry, surprised or relaxed>, optionally with an intensity like happy:0.8",',
+    ' "gestures": [optional body gestures such as "nod", "wave", "shrug"],',
+    ' "say": "what you say out loud — short and natural",',
+    ' "display": "optional longer text for the chat window (details, lists); leave it out when say is enough"}',
+  ].join('\n');
+}
+
+/**
+ * Cut template tokens, run-on turns, reasoning and code fences from a raw reply
+ */
+function clean(raw) {
+  let text = String(raw || '');
+  const end = text.search(RUN_ON);
+  if (end >= 0) text = text.slice(0, end);
+  return text
+    .replace(/<\|im_start\|>\s*assistant\b/gi, '')
+    .replace(/<\|[a-z_]+\|>/gi, '')
+    .replace(/<\/?response>/gi, '')
+    .replace(/<think>[\s\S]*?(?:<\/think>|$)/gi, '')
+    .replace(/^\s*```(?:json)?\s*/i, '')
+    .replace(/\s*```\s*$/, '');
+}
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Display text keeps its line breaks (lists, steps)
+function collapseLines(text) {
+  return text.replace(/[ \t]+/g, ' ').replace(/ ?\n[\s]*/g, '\n').trim();
+}
+
+// One insertion, deletion, substitution or swap of neighbouring letters apart
+function oneEditApart(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  if (a.length === b.length) {
+    return a.slice(i + 1) === b.slice(i + 1) || (a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2));
+  }
+  const [longer, shorter] = a.length > b.length ? [a, b] : [b, a];
+  return longer.slice(i + 1) === shorter.slice(i);
+}
+
+/**
+ * A tag's name, with misspelt meta tags (<emotoin>, <gestrue>, <emotions>) read as meant
+ */
+function tagName(raw) {
+  const name = raw.toLowerCase();
+  if (META.has(name) || name.length < MIN_FUZZY_NAME) return name;
+  for (const meta of META) {
+    if (meta.length >= MIN_FUZZY_NAME && oneEditApart(name, meta)) return meta;
+  }
+  return name;
+}
+
+/**
+ * Read the tag grammar. partial: the reply is still streaming, so hold back a tag that
+ * hasn't finished arriving and the body of an unclosed <emotion>/<gesture>.
+ */
+function readTags(text, partial) {
+  const reply = { emotion: null, gestures: [], say: '', display: null };
+  const setValue = (name, value) => {
+    value = value.replace(TAG, ' ');
+    if (name === 'display') {
+      value = collapseLines(value);
+      if (value) reply.display = reply.display ? `${reply.display}\n${value}` : value;
+      return;
+    }
+    value = collapse(value);
+    if (!value) return;
+    if (name === 'emotion') reply.emotion ??= value;
+    else if (name === 'gesture') reply.gestures.push(...value.split(/\s*,\s*/).filter(Boolean));
+  };
+  // An <emotion>/<gesture> that was never closed: its first word is the value, the rest was
+  // meant to be said
+  const settle = (name, body) => {
+    const [, value, rest] = body.match(/^\s*([a-z_-]+(?:\s*[:=]\s*[\d.]+%?)?)([\s\S]*)$/i) || [null, '', body];
+    setValue(name, value);
+    return rest;
+  };
+
+  if (partial) text = text.replace(/<[^<>]*$/, '');
+  let say = '';
+  let open = null;  // { name, from } while inside a META tag
+  let last = 0;
+  for (const match of text.matchAll(TAG)) {
+    const [whole, closing, rawName, value, selfClosing] = match;
+    const name = tagName(rawName);
+    const before = text.slice(last, match.index);
+    last = match.index + whole.length;
+
+    if (open) {
+      // </emotion>, or the common slip of closing with a second <emotion>
+      if (name === open.name && (closing || (value === undefined && name !== 'display'))) {
+        setValue(name, text.slice(open.from, match.index));
+        open = null;
+        continue;
+      }
+      // Emotions and gestures are a word or two: another tag means this one was left open
+      if (open.name !== 'emotion' && open.name !== 'gesture') continue;
+      say += settle(open.name, text.slice(open.from, match.index));
+      open = null;
+    } else {
+      say += before;
+    }
+    if (!META.has(name) || closing) continue;
+    if (value !== undefined) setValue(name, value);
+    else if (!selfClosing) open = { name, from: last };
+  }
+
+  if (!open) {
+    say += text.slice(last);
+  } else if (open.name === 'display') {
+    setValue('display', text.slice(open.from));
+  } else if ((open.name === 'emotion' || open.name === 'gesture') && !partial) {
+    say += settle(open.name, text.slice(open.from));
+  }
+  reply.say = collapse(say);
+  return reply;
+}
+
+/**
+ * A string field of a JSON object that may be cut off or malformed — the text up to the
+ * closing quote, or to the end unless `whole`. null when the key isn't there.
+ */
+function jsonString(body, key, whole = false) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(body);
+  if (!match) return null;
+  let value = '';
+  let closed = false;
+  for (let i = match.index + match[0].length; i < body.length; i++) {
+    const char = body[i];
+    if (char === '"') {
+      closed = true;
+      break;
+    }
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+    const next = body[++i];
+    if (next === 'u') {
+      const hex = body.slice(i + 1, i + 5);
+      if (!/^[0-9a-f]{4}$/i.test(hex)) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 4;
+    } else if (next !== undefined) {
+      value += JSON_ESCAPES[next] ?? next;
+    }
+  }
+  return closed || !whole ? value : null;
+}
+
+function jsonGestures(body) {
+  const list = body.match(/"gestures?"\s*:\s*(\[[^\]]*\]?|"[^"]*"?)/)?.[1] || '';
+  return [...list.matchAll(/"([^"\\]+)"/g)].map(m => m[1]);
+}
+
+// "happy:0.8", or { "emotion": "happy", "intensity": 0.8 }, or { "emotion": { "name", "intensity" } }
+function jsonEmotion(data) {
+  const { name, intensity } = data.emotion && typeof data.emotion === 'object'
+    ? data.emotion
+    : { name: data.emotion, intensity: data.intensity };
+  if (!name || typeof name !== 'string') return null;
+  return intensity != null ? `${name}:${intensity}` : name;
+}
+
+function textField(value) {
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Read the JSON format: a whole object, or the fields that can be picked out of a broken or
+ * cut-off one. null when the reply isn't JSON at all. partial: still streaming, so an emotion
+ * that hasn't finished arriving ("hap...) is left out.
+ */
+function readJson(text, partial) {
+  const body = text.trim();
+  if (!body.startsWith('{')) return null;
+
+  try {
+    const data = JSON.parse(body.slice(0, body.lastIndexOf('}') + 1));
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      const gestures = data.gestures ?? data.gesture ?? [];
+      return {
+        emotion: jsonEmotion(data),
+        gestures: (Array.isArray(gestures) ? gestures : [gestures]).filter(g => typeof g === 'string' && g.trim()),
+        say: textField(data.say) ?? textField(data.text) ?? textField(data.speech) ?? textField(data.reply) ?? '',
+        display: textField(data.display),
+      };
+    }
+  } catch {
+    // Cut off by the token limit, or not quite JSON — pick the fields out below
+  }
+  return {
+    emotion: jsonString(body, 'emotion', partial),
+    gestures: jsonGestures(body),
+    say: jsonString(body, 'say') ?? jsonString(body, 'text') ?? '',
+    display: jsonString(body, 'display'),
+  };
+}
+
+function read(raw, partial) {
+  const text = clean(raw);
+  const json = readJson(text, partial);
+  if (!json) return readTags(text, partial);
+
+  // Tags inside the JSON's text (models mix the two) still count
+  const inner = readTags(json.say, partial);
+  const display = json.display && collapseLines(json.display);
+  return {
+    emotion: json.emotion ? collapse(json.emotion) : inner.emotion,
+    gestures: [...json.gestures.map(collapse), ...inner.gestures],
+    say: inner.say,
+    display: display || inner.display,
+  };
+}
+
+/**
+ * Parse a finished reply: { emotion, gestures, say, display }. emotion and display are null
+ * when the model gave none; say may be empty.
+ */
+export function parseReply(raw) {
+  return read(raw, false);
+}
+
+/**
+ * Parse a reply that is still streaming. say only holds text that is certain to be spoken —
+ * nothing from a tag or JSON field that hasn't finished arriving.
+ */
+export function parsePartialReply(raw) {
+  return read(raw, true);
+}
+
+/**
+ * The text to show for a reply: its display text, or what was said
+ */
+export function replyText(reply) {
+  return reply.display || reply.say;
+}
+
+export function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * The part of `text` to speak: whole sentences up to maxWords words (0 = all of it).
+ * The first sentence is always spoken, however long.
+ */
+export function limitSpoken(text, maxWords) {
+  if (!maxWords) return text;
+  let spoken = '';
+  let words = 0;
+  for (const [sentence] of text.matchAll(SENTENCE)) {
+    const count = countWords(sentence);
+    if (spoken && words + count > maxWords) break;
+    spoken += sentence;
+    words += count;
+  }
+  return spoken.trim() || text;
+}
@@ -0,0 +1,386 @@
+/**
+ * Settings panel — a form over the config file. Saving applies changes live.
+ * The characters panel edits character profiles with the same form helpers.
+ */
+import { getConfig, saveConfig, resetConfig } from './config.js';
+import { GESTURE_NAMES } from './gestures.js';
+import { BLANK_PROFILE, DEFAULT_CHARACTER_ID, listCharacters, setCurrentCharacter, saveCharacter, deleteCharacter } from './characters.js';
+import { listModels } from './models.js';
+import { LANGUAGES } from './language.js';
+import { TOOLS } from './tools.js';
+
+const LANGUAGE_OPTIONS = Object.values(LANGUAGES);
+
+// Fields shown in the panel, grouped by section. `key` is a path into the config.
+const FIELDS = [
+  { section: 'Chat model' },
+  { key: 'chat.backend', label: 'Backend', type: 'select', options: ['ollama', 'openai'] },
+  { key: 'chat.url', label: 'Server URL', type: 'text' },
+  { key: 'chat.model', label: 'Model', type: 'text' },
+  { key: 'chat.apiKey', label: 'API key', type: 'password' },
+  { key: 'chat.maxTokens', label: 'Max tokens', type: 'number', min: 1 },
+  { key: 'chat.replyFormat', label: 'Reply format', type: 'select', options: [
+    { value: 'tags', label: 'Tags' },
+    { value: 'json', label: 'JSON' },
+  ] },
+  { key: 'chat.maxSpokenWords', label: 'Spoken words (0 = no limit)', type: 'number', min: 0 },
+  { key: 'chat.contextWindow', label: 'Context messages', type: 'number', min: 2 },
+  { key: 'chat.stream', label: 'Stream replies', type: 'checkbox' },
+  { key: 'chat.timeout', label: 'Timeout (s)', type: 'number', min: 0 },
+  { key: 'chat.whileBusy', label: 'New message while replying', type: 'select', options: ['queue', 'interrupt'] },
+  { key: 'chat.historyHeight', label: 'Chat history height (px)', type: 'number', min: 60 },
+
+  { section: 'Translation model' },
+  { key: 'translate.backend', label: 'Backend', type: 'select', options: ['ollama', 'openai'] },
+  { key: 'translate.url', label: 'Server URL', type: 'text' },
+  { key: 'translate.model', label: 'Model', type: 'text' },
+  { key: 'translate.apiKey', label: 'API key', type: 'password' },
+  { key: 'translate.enabled', label: 'Translate for the voice', type: 'checkbox' },
+  { key: 'translate.sourceLanguage', label: 'Reply language', type: 'select', options: [{ value: 'auto', label: 'Detect' }, ...LANGUAGE_OPTIONS] },
+  { key: 'translate.showTranslation', label: 'Show translation', type: 'checkbox' },
+  { key: 'translate.timeout', label: 'Timeout (s)', type: 'number', min: 0 },
+
+  { section: 'Voice' },
+  { key: 'tts.url', label: 'TTS server URL', type: 'text' },
+  { key: 'tts.speaker', label: 'Speaker', type: 'text' },
+  { key: 'tts.language', label: 'Voice language', type: 'select', options: LANGUAGE_OPTIONS },
+  { key: 'tts.timeout', label: 'Timeout (s)', type: 'number', min: 0 },
+  { key: 'tts.muted', label: 'Mute', type: 'checkbox' },
+  { key: 'lipsync.mode', label: 'Lip sync', type: 'select', options: ['auto', 'spectral'] },
+
+  { section: 'Expressions' },
+  { key: 'expressions.intensity', label: 'Default intensity', type: 'number', min: 0, max: 1, step: 0.05 },
+  { key: 'expressions.fadeTime', label: 'Cross-fade (s)', type: 'number', min: 0.05, step: 0.05 },
+  { key: 'expressions.hold', label: 'Hold (s)', type: 'number', min: 0, step: 0.5 },
+  { key: 'expressions.decay', label: 'Decay (s)', type: 'number', min: 0.1, step: 0.5 },
+  { key: 'expressions.idleFlourishes', label: 'Idle expressions', type: 'checkbox' },
+  { key: 'expressions.emotionMap', label: 'Emotion map', type: 'json' },
+  { key: 'expressions.modelMaps', label: 'Per-model maps', type: 'json' },
+
+  { section: 'Gestures' },
+  { key: 'gestures.enabled', label: 'Gestures', type: 'checkbox' },
+  { key: 'gestures.intensity', label: 'Intensity', type: 'number', min: 0, max: 2, step: 0.1 },
+  { key: 'gestures.speechStart', label: 'On speech start', type: 'select', options: ['', ...GESTURE_NAMES] },
+  { key: 'gestures.speechEnd', label: 'On speech end', type: 'select', options: ['', ...GESTURE_NAMES] },
+  { key: 'gestures.emotionChance', label: 'Emotion gesture chance', type: 'number', min: 0, max: 1, step: 0.1 },
+  { key: 'gestures.emotionGestures', label: 'Emotion gestures', type: 'json' },
+
+  { section: 'Look-at' },
+  { key: 'lookAt.enabled', label: 'Head follows gaze', type: 'checkbox' },
+  { key: 'lookAt.followCursor', label: 'Follow cursor', type: 'checkbox' },
+  { key: 'lookAt.headWeight', label: 'Head share of turn', type: 'number', min: 0, max: 1, step: 0.05 },
+  { key: 'lookAt.maxYaw', label: 'Max head turn (rad)', type: 'number', min: 0, max: 1.2, step: 0.05 },
+  { key: 'lookAt.maxPitch', label: 'Max head tilt (rad)', type: 'number', min: 0, max: 0.8, step: 0.05 },
+  { key: 'lookAt.damping', label: 'Head speed', type: 'number', min: 0.5, max: 20, step: 0.5 },
+  { key: 'lookAt.idleAfter', label: 'Look back after (s)', type: 'number', min: 1, max: 120, step: 1 },
+
+  { section: 'Animation' },
+  { key: 'animations.idle', label: 'Idle clip', type: 'text' },
+  { key: 'animations.fadeTime', label: 'Cross-fade (s)', type: 'number', min: 0, max: 3, step: 0.1 },
+  { key: 'animations.manifest', label: 'Clip manifest URL', type: 'text' },
+
+  { section: 'Voice input' },
+  { key: 'stt.backend', label: 'STT backend', type: 'select', options: ['tts-server', 'whisper.cpp', 'openai'] },
+  { key: 'stt.url', label: 'STT server URL', type: 'text' },
+  { key: 'stt.model', label: 'STT model', type: 'text' },
+  { key: 'stt.language', label: 'Language', type: 'text' },
+  { key: 'stt.hotkey', label: 'Push-to-talk key', type: 'text' },
+  { key: 'stt.vad', label: 'Stop on silence', type: 'checkbox' },
+  { key: 'stt.vadSilenceMs', label: 'Silence (ms)', type: 'number', min: 200, step: 100 },
+  { key: 'stt.vadThreshold', label: 'Speech level', type: 'number', min: 0, step: 0.005 },
+
+  { section: 'Persona' },
+  { key: 'persona.userName', label: 'Your name', type: 'text' },
+  { key: 'persona.prompt', label: 'Default prompt', type: 'textarea' },
+
+  { section: 'Tools' },
+  { key: 'tools.mode', label: 'Tool calling', type: 'select', options: [
+    { value: 'auto', label: 'Auto' },
+    { value: 'native', label: 'Native' },
+    { value: 'tags', label: 'In the prompt' },
+    { value: 'off', label: 'Off' },
+  ] },
+  { key: 'tools.allowed', label: 'Allowed tools', type: 'checklist', options: Object.keys(TOOLS) },
+
+  { section: 'Speaking first' },
+  { key: 'proactive.enabled', label: 'Start conversations', type: 'checkbox' },
+  { key: 'proactive.doNotDisturb', label: 'Do not disturb', type: 'checkbox' },
+  { key: 'proactive.greeting', label: 'Greet at launch', type: 'checkbox' },
+  { key: 'proactive.idleComment', label: 'Talk after a quiet spell', type: 'checkbox' },
+  { key: 'proactive.idleMinutes', label: 'Quiet for (min)', type: 'number', min: 1 },
+  { key: 'proactive.reminders', label: 'Reminders from chat', type: 'checkbox' },
+  { key: 'proactive.minGap', label: 'Minutes between lines', type: 'number', min: 0 },
+  { key: 'proactive.maxPerHour', label: 'Lines per hour', type: 'number', min: 0 },
+
+  { section: 'Rendering' },
+  { key: 'render.fps', label: 'FPS cap', type: 'number', min: 1, max: 144 },
+  { key: 'render.idleFps', label: 'Idle FPS', type: 'number', min: 1, max: 144 },
+  { key: 'render.quality', label: 'Quality', type: 'select', options: [
+    { value: 'low', label: 'Low' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'high', label: 'High (shadows)' },
+  ] },
+  { key: 'render.showStats', label: 'Show FPS', type: 'checkbox' },
+  { key: 'render.exposure', label: 'Exposure', type: 'number', step: 0.1, min: 0 },
+  { key: 'render.ambientLight', label: 'Ambient light', type: 'number', step: 0.1, min: 0 },
+  { key: 'render.keyLight', label: 'Key light', type: 'number', step: 0.1, min: 0 },
+  { key: 'render.fillLight', label: 'Fill light', type: 'number', step: 0.1, min: 0 },
+  { key: 'render.rimLight', label: 'Rim light', type: 'number', step: 0.1, min: 0 },
+
+  { section: 'Window' },
+  { key: 'window.offsetX', label: 'Offset from right', type: 'number' },
+  { key: 'window.offsetY', label: 'Offset from bottom', type: 'number' },
+  { key: 'window.snapDistance', label: 'Snap to edges (px)', type: 'number', min: 0, max: 100 },
+  { key: 'window.alwaysOnTop', label: 'Always on top', type: 'checkbox' },
+  { key: 'window.clickThrough', label: 'Click through empty areas', type: 'checkbox' },
+  { key: 'window.alphaThreshold', label: 'Empty below alpha', type: 'number', min: 0, max: 1, step: 0.05 },
+
+  { section: 'Global shortcuts' },
+  { key: 'shortcuts.summon', label: 'Show and focus chat', type: 'text' },
+  { key: 'shortcuts.pushToTalk', label: 'Push-to-talk', type: 'text' },
+
+  { section: 'Service checks' },
+  { key: 'health.enabled', label: 'Check services', type: 'checkbox' },
+  { key: 'health.interval', label: 'Check every (s)', type: 'number', min: 10 },
+  { key: 'sidecars.enabled', label: 'Start servers with the widget (next launch)', type: 'checkbox' },
+  { key: 'sidecars.processes', label: 'Servers', type: 'json' },
+];
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => o?.[k], obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, k) => (o[k] ??= {}), obj);
+  target[last] = value;
+}
+
+function createInput(field, value) {
+  let input;
+  if (field.type === 'select') {
+    input = document.createElement('select');
+    // Options are plain values or { value, label }
+    field.options.forEach(option => input.add(typeof option === 'object' ? new Option(option.label, option.value) : new Option(option, option)));
+    input.value = value;
+  } else if (field.type === 'checklist') {
+    // A checkbox per option; the value is the list of checked ones
+    input = document.createElement('span');
+    input.className = 'settings-checklist';
+    field.options.forEach((option) => {
+      const item = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = option;
+      box.checked = value.includes(option);
+      item.append(box, option);
+      input.appendChild(item);
+    });
+  } else if (field.type === 'textarea' || field.type === 'json') {
+    input = document.createElement('textarea');
+    input.rows = field.type === 'json' ? 5 : 3;
+    input.value = field.type === 'json' ? JSON.stringify(value, null, 2) : value;
+  } else {
+    input = document.createElement('input');
+    input.type = field.type;
+    if (field.type === 'checkbox') input.checked = !!value;
+    else input.value = value ?? '';
+    ['min', 'max', 'step'].forEach(attr => {
+      if (field[attr] != null) input[attr] = field[attr];
+    });
+  }
+  input.dataset.key = field.key;
+  return input;
+}
+
+function readInput(input, field) {
+  if (field.type === 'checkbox') return input.checked;
+  if (field.type === 'checklist') return [...input.querySelectorAll('input:checked')].map(box => box.value);
+  if (field.type === 'number') {
+    const n = parseFloat(input.value);
+    return Number.isFinite(n) ? n : getPath(getConfig(), field.key);
+  }
+  if (field.type === 'json') {
+    try {
+      return JSON.parse(input.value);
+    } catch {
+      throw new Error(`${field.label}: invalid JSON`);
+    }
+  }
+  return input.value;
+}
+
+let _openSettings = null;
+
+/**
+ * Open the settings panel (e.g. from the tray menu)
+ */
+export function openSettingsPanel() {
+  _openSettings?.();
+}
+
+export function initSettingsPanel() {
+  const panel = document.getElementById('settings-panel');
+  const form = document.getElementById('settings-form');
+  const status = document.getElementById('settings-status');
+
+  function render() {
+    const config = getConfig();
+    form.replaceChildren();
+    for (const field of FIELDS) {
+      if (field.section) {
+        const heading = document.createElement('h4');
+        heading.textContent = field.section;
+        form.appendChild(heading);
+        continue;
+      }
+      const label = document.createElement('label');
+      label.className = 'settings-field';
+      const name = document.createElement('span');
+      name.textContent = field.label;
+      label.append(name, createInput(field, getPath(config, field.key)));
+      form.appendChild(label);
+    }
+    status.textContent = '';
+  }
+
+  async function save() {
+    try {
+      const patch = {};
+      for (const field of FIELDS) {
+        if (!field.key) continue;
+        const input = form.querySelector(`[data-key="${field.key}"]`);
+        setPath(patch, field.key, readInput(input, field));
+      }
+      await saveConfig(patch);
+      status.textContent = 'Saved ✓';
+    } catch (e) {
+      console.error('Could not save settings:', e);
+      status.textContent = `❌ ${e.message || e}`;
+    }
+  }
+
+  _openSettings = () => {
+    render();
+    panel.classList.add('open');
+  };
+  document.getElementById('btn-settings')?.addEventListener('click', () => {
+    render();
+    panel.classList.toggle('open');
+  });
+  document.getElementById('settings-save')?.addEventListener('click', save);
+  document.getElementById('settings-reset')?.addEventListener('click', async () => {
+    await resetConfig().catch(e => console.warn('Could not reset settings:', e));
+    render();
+    status.textContent = 'Defaults restored';
+  });
+  document.getElementById('settings-done')?.addEventListener('click', () => panel.classList.remove('open'));
+}
+
+// Profile fields; blank ones fall back to the global settings
+const CHARACTER_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'model', label: 'Model', type: 'select', options: [] },
+  { key: 'prompt', label: 'Persona prompt', type: 'textarea' },
+  { key: 'chatModel', label: 'Chat model', type: 'text' },
+  { key: 'ttsSpeaker', label: 'TTS speaker', type: 'text' },
+  { key: 'voiceLanguage', label: 'Voice language', type: 'select', options: [{ value: '', label: 'Default' }, ...LANGUAGE_OPTIONS] },
+  { key: 'emotionMap', label: 'Emotion map', type: 'json' },
+];
+
+export function initCharacterPanel() {
+  const panel = document.getElementById('characters-panel');
+  const list = document.getElementById('characters-list');
+  const form = document.getElementById('character-form');
+  const status = document.getElementById('characters-status');
+  const saveBtn = document.getElementById('character-save');
+  // Profile being edited: an id, '' for a new one, or null when the form is closed
+  let editing = null;
+
+  function renderList() {
+    const { current } = getConfig().characters;
+    list.replaceChildren();
+    listCharacters().forEach(({ id, name }) => {
+      const row = document.createElement('div');
+      row.className = 'panel-item';
+      const label = document.createElement('span');
+      label.textContent = id === current ? `● ${name}` : name;
+      const use = document.createElement('button');
+      use.textContent = 'Talk';
+      use.disabled = id === current;
+      use.addEventListener('click', async () => {
+        await setCurrentCharacter(id).catch(e => console.warn('Could not switch character:', e));
+        renderList();
+      });
+      const edit = document.createElement('button');
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => openForm(id));
+      row.append(label, use, edit);
+      if (id !== DEFAULT_CHARACTER_ID) {
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Delete character';
+        remove.addEventListener('click', async () => {
+          await deleteCharacter(id).catch(e => console.warn('Could not delete character:', e));
+          if (editing === id) closeForm();
+          renderList();
+        });
+        row.appendChild(remove);
+      }
+      list.appendChild(row);
+    });
+  }
+
+  async function openForm(id) {
+    editing = id;
+    const profile = { ...BLANK_PROFILE, ...getConfig().characters.profiles[id] };
+    const models = await listModels();
+    form.replaceChildren();
+    for (const field of CHARACTER_FIELDS) {
+      const def = field.key === 'model'
+        ? { ...field, options: [{ value: '', label: '(default)' }, ...models.map(m => ({ value: m.id, label: m.name }))] }
+        : field;
+      const label = document.createElement('label');
+      label.className = 'settings-field';
+      const name = document.createElement('span');
+      name.textContent = field.label;
+      label.append(name, createInput(def, profile[field.key]));
+      form.appendChild(label);
+    }
+    form.hidden = false;
+    saveBtn.hidden = false;
+    status.textContent = id ? '' : 'New character';
+  }
+
+  function closeForm() {
+    editing = null;
+    form.hidden = true;
+    saveBtn.hidden = true;
+    status.textContent = '';
+  }
+
+  async function save() {
+    try {
+      const profile = {};
+      for (const field of CHARACTER_FIELDS) {
+        profile[field.key] = readInput(form.querySelector(`[data-key="${field.key}"]`), field);
+      }
+      editing = await saveCharacter(editing, profile);
+      status.textContent = 'Saved ✓';
+      renderList();
+    } catch (e) {
+      console.error('Could not save character:', e);
+      status.textContent = `❌ ${e.message || e}`;
+    }
+  }
+
+  document.getElementById('btn-characters')?.addEventListener('click', () => {
+    renderList();
+    closeForm();
+    panel.classList.toggle('open');
+  });
+  document.getElementById('characters-new')?.addEventListener('click', () => openForm(''));
+  saveBtn?.addEventListener('click', save);
+  document.getElementById('characters-done')?.addEventListener('click', () => panel.classList.remove('open'));
+}
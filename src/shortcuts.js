@@ -0,0 +1,47 @@
+/**
+ * Global shortcuts — work while another app has focus (the stt.hotkey only works inside
+ * the widget). Registered from shortcuts.* in the config and re-registered when it changes.
+ * Accelerators use Tauri's syntax, e.g. "CommandOrControl+Shift+S".
+ */
+import { getConfig, onConfigChange } from './config.js';
+
+let _registered = [];
+
+/**
+ * handlers: { summon(), talkPressed(), talkReleased() }
+ */
+export async function initShortcuts(handlers) {
+  if (!window.__TAURI_INTERNALS__) return;
+  const { register, unregister } = await import('@tauri-apps/plugin-global-shortcut');
+
+  let last = null;
+  async function apply({ shortcuts }) {
+    const key = JSON.stringify(shortcuts);
+    if (key === last) return;
+    last = key;
+
+    if (_registered.length) await unregister(_registered).catch(e => console.warn('Could not unregister shortcuts:', e));
+    _registered = [];
+    const bindings = [
+      [shortcuts.summon, (e) => { if (e.state === 'Pressed') handlers.summon(); }],
+      [shortcuts.pushToTalk, (e) => (e.state === 'Pressed' ? handlers.talkPressed() : handlers.talkReleased())],
+    ];
+    for (const [accelerator, handler] of bindings) {
+      if (!accelerator) continue;
+      try {
+        await register(accelerator, handler);
+        _registered.push(accelerator);
+      } catch (e) {
+        // Taken by another app, or not supported (e.g. some Wayland compositors)
+        console.warn(`Could not register shortcut ${accelerator}:`, e);
+      }
+    }
+  }
+
+  // Registration is async; apply changes one at a time
+  let pending = apply(getConfig());
+  onConfigChange((config) => {
+    pending = pending.then(() => apply(config));
+  });
+  await pending;
+}
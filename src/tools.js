@@ -0,0 +1,179 @@
+/**
+ * Tools — local actions the chat model can take: tell the time, start a timer, add to the
+ * notes file and read the clipboard.
+ *
+ * They run in the Tauri backend (the `run_tool` command, see tools.rs), which keeps its own
+ * allow-list and asks the user before every clipboard read; tools.allowed mirrors that list
+ * (see syncAllowedTools). How they are
+ * offered depends on tools.mode:
+ *   'native' — through the server's tool calling (Ollama/OpenAI `tools`)
+ *   'tags'   — described in the system prompt; the model answers with
+ *              <tool>{"name": "set_timer", "arguments": {"minutes": 5}}</tool>
+ *   'auto'   — native, switching to tags for a model the server says can't use tools
+ *   'off'
+ */
+import { getConfig, saveConfig, onConfigChange } from './config.js';
+
+// name → { icon, description, parameters (JSON schema), label(args) for the chat's action bubble }
+export const TOOLS = {
+  get_time: {
+    icon: '🕒',
+    description: 'Get the current local date, time and day of the week.',
+    parameters: { type: 'object', properties: {} },
+    label: () => 'Checked the time',
+  },
+  set_timer: {
+    icon: '⏲️',
+    description: 'Start a countdown timer. The user is told when it ends.',
+    parameters: {
+      type: 'object',
+      properties: {
+        minutes: { type: 'number', description: 'Length of the timer in minutes (may be fractional)' },
+        label: { type: 'string', description: 'What the timer is for, e.g. "tea"' },
+      },
+      required: ['minutes'],
+    },
+    label: ({ minutes, label }) => `Timer: ${minutes} min${label ? ` — ${label}` : ''}`,
+  },
+  add_note: {
+    icon: '📝',
+    description: "Append a line to the user's notes file.",
+    parameters: {
+      type: 'object',
+      properties: { text: { type: 'string', description: 'The note, as one line' } },
+      required: ['text'],
+    },
+    label: () => 'Added a note',
+  },
+  read_clipboard: {
+    icon: '📋',
+    description: 'Read the text currently on the clipboard.',
+    parameters: { type: 'object', properties: {} },
+    label: () => 'Read the clipboard',
+  },
+};
+
+const TOOL_TAG = /<tool>\s*([\s\S]*?)\s*<\/tool>/gi;
+
+/**
+ * Names of the tools the model may use under the current settings
+ */
+export function allowedTools() {
+  const { tools } = getConfig();
+  if (tools.mode === 'off') return [];
+  return tools.allowed.filter(name => TOOLS[name]);
+}
+
+/**
+ * Function definitions for the `tools` field of a chat request
+ */
+export function toolSchemas(names) {
+  return names.map(name => ({
+    type: 'function',
+    function: { name, description: TOOLS[name].description, parameters: TOOLS[name].parameters },
+  }));
+}
+
+/**
+ * System prompt describing the tools and the tag grammar, for models without tool calling
+ */
+export function toolPrompt(names) {
+  const list = names.map(name => `- ${name}: ${TOOLS[name].description} Arguments: ${JSON.stringify(TOOLS[name].parameters.properties)}`);
+  return [
+    'You can use these tools:',
+    ...list,
+    'To use one, reply with only <tool>{"name": "<tool name>", "arguments": {...}}</tool> and wait: the result comes back in a <tool_result> message. Then answer the user normally.',
+    "Only use a tool when it helps with the user's request.",
+  ].join('\n');
+}
+
+/**
+ * Tool calls written as <tool> tags: [{ id, name, arguments }]. Unreadable tags are skipped.
+ */
+export function parseToolTags(text) {
+  const calls = [];
+  for (const [, body] of text.matchAll(TOOL_TAG)) {
+    try {
+      const { name, arguments: args = {} } = JSON.parse(body.match(/\{[\s\S]*\}/)?.[0] ?? '');
+      if (typeof name === 'string') calls.push({ id: `tag_${calls.length}`, name, arguments: args && typeof args === 'object' ? args : {} });
+    } catch {
+      console.warn('Unreadable tool tag:', body);
+    }
+  }
+  return calls;
+}
+
+export function stripToolTags(text) {
+  return text.replace(TOOL_TAG, '');
+}
+
+/**
+ * Text for the chat's action bubble
+ */
+export function describeToolCall({ name, arguments: args }) {
+  const tool = TOOLS[name];
+  return tool ? `${tool.icon} ${tool.label(args || {})}` : `🔧 ${name}`;
+}
+
+/**
+ * Run a tool call. Resolves to { ok, content } — content is what the model is told, also for
+ * failures, so it can explain rather than the whole reply failing.
+ */
+export async function runTool({ name, arguments: args }) {
+  if (!allowedTools().includes(name)) {
+    return { ok: false, content: `Error: the ${name} tool is not available.` };
+  }
+  try {
+    if (!window.__TAURI_INTERNALS__) throw new Error('tools need the desktop app');
+    const { invoke } = await import('@tauri-apps/api/core');
+    const result = await invoke('run_tool', { name, args: args || {} });
+    return { ok: true, content: typeof result === 'string' ? result : JSON.stringify(result) };
+  } catch (e) {
+    console.warn(`Tool ${name} failed:`, e);
+    return { ok: false, content: `Error: ${e.message || e}` };
+  }
+}
+
+function sameTools(a, b) {
+  return a.length === b.length && a.every(name => b.includes(name));
+}
+
+/**
+ * Keep tools.allowed in step with the backend's allow-list, which is what run_tool checks.
+ * At launch the backend's list wins; after that a changed setting is sent to it, which asks
+ * the user before adding a tool, and the setting is put back to whatever it ends up allowing.
+ */
+export async function syncAllowedTools() {
+  if (!window.__TAURI_INTERNALS__) return;
+  const { invoke } = await import('@tauri-apps/api/core');
+  let allowed = await invoke('get_allowed_tools');
+  let syncing = Promise.resolve();
+
+  const sync = async () => {
+    const wanted = getConfig().tools.allowed;
+    if (!sameTools(wanted, allowed)) {
+      try {
+        allowed = await invoke('set_allowed_tools', { tools: wanted });
+      } catch (e) {
+        console.warn('Could not change the allowed tools:', e);
+      }
+    }
+    if (!sameTools(getConfig().tools.allowed, allowed)) await saveConfig({ tools: { allowed } });
+  };
+  const queue = () => {
+    // One at a time: a dialog may be waiting on the user
+    syncing = syncing.then(sync).catch(e => console.warn('Could not save the allowed tools:', e));
+  };
+
+  if (!sameTools(getConfig().tools.allowed, allowed)) await saveConfig({ tools: { allowed } });
+  onConfigChange(queue);
+}
+
+/**
+ * listener(label) when a timer started by set_timer ends ('' for an unlabelled timer)
+ */
+export async function onTimerFinished(listener) {
+  if (!window.__TAURI_INTERNALS__) return;
+  const { listen } = await import('@tauri-apps/api/event');
+  await listen('timer-finished', ({ payload }) => listener(payload.label || ''));
+}
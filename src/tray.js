@@ -0,0 +1,120 @@
+/**
+ * Tray icon — show/hide Sharon, always-on-top, do-not-disturb, settings, mute and quit.
+ *
+ * The check items mirror settings (window.alwaysOnTop, proactive.doNotDisturb, tts.muted): the menu only flips the
+ * setting, and the rest of the app reacts to the config change as it does for the panel.
+ */
+import { getConfig, saveConfig, onConfigChange } from './config.js';
+
+async function currentWindow() {
+  const { getCurrentWindow } = await import('@tauri-apps/api/window');
+  return getCurrentWindow();
+}
+
+/**
+ * Bring the widget back and give it keyboard focus
+ */
+export async function showWindow() {
+  const win = await currentWindow();
+  await win.show();
+  await win.unminimize();
+  await win.setFocus();
+}
+
+export async function hideWindow() {
+  await (await currentWindow()).hide();
+}
+
+export async function toggleWindow() {
+  if (await (await currentWindow()).isVisible()) await hideWindow();
+  else await showWindow();
+}
+
+/**
+ * End the app — every window, and the servers it started (see quit_app in lib.rs)
+ */
+export async function quitApp() {
+  try {
+    const { invoke } = await import('@tauri-apps/api/core');
+    await invoke('quit_app');
+  } catch {
+    window.close();
+  }
+}
+
+/**
+ * Flip a setting from its tray check item. If it can't be saved, the setting and the check
+ * mark (which the menu has already flipped) go back.
+ */
+function toggleSetting(item, read, patch) {
+  const previous = read(getConfig());
+  saveConfig(patch(!previous)).catch((e) => {
+    console.warn('Could not save setting:', e);
+    saveConfig(patch(previous)).catch(() => {});
+    item.setChecked(previous).catch(() => {});
+  });
+}
+
+/**
+ * Create the tray icon. onSettings() opens the settings panel; onResetPosition() moves the
+ * window back to its default spot.
+ */
+export async function initTray({ onSettings, onResetPosition }) {
+  if (!window.__TAURI_INTERNALS__) return;
+  const [{ TrayIcon }, { Menu, CheckMenuItem }, { defaultWindowIcon }] = await Promise.all([
+    import('@tauri-apps/api/tray'),
+    import('@tauri-apps/api/menu'),
+    import('@tauri-apps/api/app'),
+  ]);
+
+  const config = getConfig();
+  const alwaysOnTop = await CheckMenuItem.new({
+    id: 'always-on-top',
+    text: 'Always on top',
+    checked: config.window.alwaysOnTop,
+    action: () => toggleSetting(alwaysOnTop, current => current.window.alwaysOnTop, on => ({ window: { alwaysOnTop: on } })),
+  });
+  const doNotDisturb = await CheckMenuItem.new({
+    id: 'do-not-disturb',
+    text: 'Do not disturb',
+    checked: config.proactive.doNotDisturb,
+    action: () => toggleSetting(doNotDisturb, current => current.proactive.doNotDisturb, on => ({ proactive: { doNotDisturb: on } })),
+  });
+  const mute = await CheckMenuItem.new({
+    id: 'mute',
+    text: 'Mute',
+    checked: config.tts.muted,
+    action: () => toggleSetting(mute, current => current.tts.muted, on => ({ tts: { muted: on } })),
+  });
+  const menu = await Menu.new({
+    items: [
+      { id: 'toggle', text: 'Show / hide', action: () => toggleWindow() },
+      alwaysOnTop,
+      doNotDisturb,
+      mute,
+      { id: 'settings', text: 'Settings…', action: async () => { await showWindow(); onSettings(); } },
+      { id: 'reset-position', text: 'Reset position', action: async () => { await onResetPosition(); await showWindow(); } },
+      { item: 'Separator' },
+      { id: 'quit', text: 'Quit', action: quitApp },
+    ],
+  });
+
+  await TrayIcon.new({
+    id: 'sharon',
+    icon: await defaultWindowIcon(),
+    tooltip: 'Sharon',
+    menu,
+    showMenuOnLeftClick: false,
+    // Left click shows/hides, right click opens the menu
+    action: (event) => {
+      if (event.type === 'Click' && event.button === 'Left' && event.buttonState === 'Up') toggleWindow();
+    },
+  });
+
+  // Settings saved from the panel update the check marks too
+  onConfigChange((next) => {
+    alwaysOnTop.setChecked(next.window.alwaysOnTop).catch(() => {});
+    doNotDisturb.setChecked(next.proactive.doNotDisturb).catch(() => {});
+    mute.setChecked(next.tts.muted).catch(() => {});
+  });
+}
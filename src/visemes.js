@@ -0,0 +1,186 @@
+/**
+ * Viseme timelines for lip sync — built from TTS phoneme timings when the server
+ * provides them, otherwise estimated from the Japanese kana of the spoken text.
+ *
+ * A cue is { start, end, viseme, closedOnset } in seconds from the start of the clip.
+ * viseme is one of the VRM vowels ('aa', 'ih', 'ou', 'ee', 'oh'), 'closed' for
+ * pauses/closures, or null when the sound is unknown (lip sync falls back to amplitude).
+ */
+
+const VOWEL_VISEMES = { a: 'aa', i: 'ih', u: 'ou', e: 'ee', o: 'oh' };
+
+// Hiragana by vowel row (katakana is folded onto hiragana first)
+const KANA_ROWS = {
+  a: 'あかさたなはまやらわがざだばぱ',
+  i: 'いきしちにひみりぎじぢびぴ',
+  u: 'うくすつぬふむゆるぐずづぶぷゔ',
+  e: 'えけせてねへめれげぜでべぺ',
+  o: 'おこそとのほもよろをごぞどぼぽ',
+};
+// Small kana that merge into the previous mora and replace its vowel (きゃ, ファ, ...)
+const SMALL_KANA = { 'ゃ': 'a', 'ぁ': 'a', 'ゅ': 'u', 'ぅ': 'u', 'ょ': 'o', 'ぉ': 'o', 'ぃ': 'i', 'ぇ': 'e', 'ゎ': 'a' };
+// Lips close before these (m/b/p)
+const BILABIAL_KANA = 'まみむめもばびぶべぼぱぴぷぺぽ';
+const PAUSE_CHARS = '、。，．,.!?！？…「」『』（）() \n';
+
+const KANA_VOWEL = new Map();
+for (const [vowel, row] of Object.entries(KANA_ROWS)) {
+  for (const kana of row) KANA_VOWEL.set(kana, vowel);
+}
+
+function toHiragana(ch) {
+  const code = ch.charCodeAt(0);
+  // Katakana ァ..ヶ → hiragana ぁ..ゖ
+  if (code >= 0x30a1 && code <= 0x30f6) return String.fromCharCode(code - 0x60);
+  return ch;
+}
+
+function isKanji(ch) {
+  const code = ch.charCodeAt(0);
+  return (code >= 0x4e00 && code <= 0x9fff) || (code >= 0x3400 && code <= 0x4dbf) || ch === '々';
+}
+
+/**
+ * Split Japanese text into morae: [{ viseme, closedOnset, weight }]
+ * weight is the relative duration of each mora.
+ */
+export function kanaToMorae(text) {
+  const morae = [];
+  for (const raw of text) {
+    const ch = toHiragana(raw);
+    const prev = morae[morae.length - 1];
+
+    if (SMALL_KANA[ch]) {
+      if (prev && prev.viseme !== null && prev.viseme !== 'closed') prev.viseme = VOWEL_VISEMES[SMALL_KANA[ch]];
+      continue;
+    }
+    if (ch === 'ー') {
+      // Long vowel mark extends the previous vowel
+      if (prev) morae.push({ viseme: prev.viseme, closedOnset: false, weight: 1 });
+      continue;
+    }
+    if (ch === 'っ') {
+      morae.push({ viseme: 'closed', closedOnset: false, weight: 0.8 });
+      continue;
+    }
+    if (ch === 'ん') {
+      morae.push({ viseme: 'ou', closedOnset: false, weight: 0.8, nasal: true });
+      continue;
+    }
+    if (KANA_VOWEL.has(ch)) {
+      morae.push({ viseme: VOWEL_VISEMES[KANA_VOWEL.get(ch)], closedOnset: BILABIAL_KANA.includes(ch), weight: 1 });
+      continue;
+    }
+    if (PAUSE_CHARS.includes(raw)) {
+      // Collapse runs of punctuation; leading pauses are trimmed with the silence
+      if (prev && !prev.pause) morae.push({ viseme: 'closed', closedOnset: false, weight: 1.5, pause: true });
+      continue;
+    }
+    if (isKanji(ch)) {
+      // Reading unknown — roughly two morae, shape left to the amplitude fallback
+      morae.push({ viseme: null, closedOnset: false, weight: 2 });
+      continue;
+    }
+    if (/[\p{L}\p{N}]/u.test(raw)) {
+      morae.push({ viseme: null, closedOnset: false, weight: 0.6 });
+    }
+  }
+  // Trailing pause carries no timing information
+  while (morae.length && morae[morae.length - 1].pause) morae.pop();
+  return morae;
+}
+
+/**
+ * Find where speech actually starts and ends in the clip (trims TTS padding)
+ */
+export function findVoicedRange(audioBuffer, threshold = 0.02) {
+  const data = audioBuffer.getChannelData(0);
+  let first = 0;
+  let last = data.length - 1;
+  while (first < data.length && Math.abs(data[first]) < threshold) first++;
+  while (last > first && Math.abs(data[last]) < threshold) last--;
+  if (first >= last) return { start: 0, end: audioBuffer.duration };
+  return { start: first / audioBuffer.sampleRate, end: (last + 1) / audioBuffer.sampleRate };
+}
+
+/**
+ * Estimate a cue timeline by spreading the text's morae over the voiced part of the clip
+ */
+export function kanaToCues(text, audioBuffer) {
+  const morae = kanaToMorae(text);
+  // Without any recognisable kana the estimate would be pure guesswork
+  if (!morae.some(m => m.viseme && m.viseme !== 'closed')) return null;
+
+  const { start, end } = findVoicedRange(audioBuffer);
+  const totalWeight = morae.reduce((sum, m) => sum + m.weight, 0);
+  const unit = (end - start) / totalWeight;
+
+  const cues = [];
+  let t = start;
+  for (const mora of morae) {
+    const duration = mora.weight * unit;
+    cues.push({ start: t, end: t + duration, viseme: mora.viseme, closedOnset: mora.closedOnset });
+    t += duration;
+  }
+  return cues;
+}
+
+/**
+ * Map a phoneme or mora symbol to a viseme. Handles IPA, ARPAbet and romaji-style labels.
+ */
+export function phonemeToViseme(symbol) {
+  const s = String(symbol).trim();
+  if (!s || /^(sil|sp|pau|spn|_|#)$/i.test(s)) return 'closed';
+
+  // Kana labels (mora-level timings)
+  const kana = kanaToMorae(s);
+  if (kana.length === 1 && kana[0].viseme) return kana[0].viseme;
+
+  const lower = s.toLowerCase().replace(/[0-9ːˈˌ:]/g, '');
+  if (/^[mbp]$/.test(lower)) return 'closed';
+  if (lower === 'n' || lower === 'ng' || lower === 'ɴ') return 'ou';
+
+  // ARPAbet vowels
+  const ARPABET = {
+    aa: 'aa', ae: 'aa', ah: 'aa', ay: 'aa', aw: 'aa',
+    ih: 'ih', iy: 'ih', ey: 'ee', eh: 'ee', er: 'ou',
+    uw: 'ou', uh: 'ou', ow: 'oh', ao: 'oh', oy: 'oh',
+  };
+  if (ARPABET[lower]) return ARPABET[lower];
+
+  // Otherwise use the last vowel in the label ("ka" → a, "ɛ" → e, "ɯ" → u)
+  const IPA = { 'ɑ': 'a', 'ɐ': 'a', 'ə': 'a', 'æ': 'a', 'ɪ': 'i', 'ɛ': 'e', 'ɯ': 'u', 'ʊ': 'u', 'ɔ': 'o' };
+  const letters = [...lower].map(ch => IPA[ch] || ch);
+  for (let i = letters.length - 1; i >= 0; i--) {
+    if (VOWEL_VISEMES[letters[i]]) return VOWEL_VISEMES[letters[i]];
+  }
+  // Consonant on its own — shape comes from the neighbouring vowel
+  return null;
+}
+
+/**
+ * Build cues from server timings: [{ phoneme | mora, start, end }] in seconds
+ */
+export function timingsToCues(timings) {
+  if (!Array.isArray(timings) || !timings.length) return null;
+  const cues = timings
+    .filter(t => Number.isFinite(t.start) && Number.isFinite(t.end) && t.end > t.start)
+    .map(t => {
+      const symbol = t.phoneme ?? t.mora ?? t.symbol ?? '';
+      return {
+        start: t.start,
+        end: t.end,
+        viseme: phonemeToViseme(symbol),
+        closedOnset: /^[mbpまみむめもばびぶべぼぱぴぷぺぽ]/i.test(symbol),
+      };
+    });
+
+  // Lone consonants borrow the following vowel (coarticulation)
+  for (let i = cues.length - 1; i >= 0; i--) {
+    if (cues[i].viseme === null) {
+      const next = cues[i + 1];
+      cues[i].viseme = next && next.viseme !== 'closed' ? next.viseme : null;
+    }
+  }
+  return cues.length ? cues : null;
+}
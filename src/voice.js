@@ -0,0 +1,178 @@
+/**
+ * Voice input — records the microphone, optionally ends on silence (VAD),
+ * and transcribes through a local STT server.
+ */
+import { getConfig } from './config.js';
+
+const TARGET_SAMPLE_RATE = 16000;  // What whisper-style models expect
+
+let _recording = null;
+
+export function isRecording() {
+  return !!_recording;
+}
+
+/**
+ * Start recording from the microphone.
+ * options.onSpeechEnd() fires when VAD detects the user has stopped talking.
+ * options.onLevel(rms) is called with the input level for UI meters.
+ */
+export async function startRecording({ onSpeechEnd, onLevel } = {}) {
+  if (_recording) return;
+
+  const { stt } = getConfig();
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true },
+  });
+  const ctx = new AudioContext();
+  const source = ctx.createMediaStreamSource(stream);
+  // ScriptProcessor is deprecated but needs no separate worklet file and works in every webview
+  const processor = ctx.createScriptProcessor(4096, 1, 1);
+  const chunks = [];
+
+  const vad = {
+    enabled: stt.vad,
+    heardSpeech: false,
+    silentMs: 0,
+    startedAt: performance.now(),
+  };
+
+  processor.onaudioprocess = (e) => {
+    const input = e.inputBuffer.getChannelData(0);
+    chunks.push(new Float32Array(input));
+
+    let sum = 0;
+    for (let i = 0; i < input.length; i++) sum += input[i] * input[i];
+    const rms = Math.sqrt(sum / input.length);
+    onLevel?.(rms);
+
+    const chunkMs = (input.length / ctx.sampleRate) * 1000;
+    if (rms > stt.vadThreshold) {
+      vad.heardSpeech = true;
+      vad.silentMs = 0;
+    } else {
+      vad.silentMs += chunkMs;
+    }
+
+    const elapsed = performance.now() - vad.startedAt;
+    const silenceEnded = vad.enabled && vad.heardSpeech && vad.silentMs >= stt.vadSilenceMs;
+    if (silenceEnded || elapsed >= stt.maxRecordMs) {
+      processor.onaudioprocess = null;
+      setTimeout(() => onSpeechEnd?.(), 0);
+    }
+  };
+
+  source.connect(processor);
+  // ScriptProcessor only runs while connected to the destination; it outputs silence
+  processor.connect(ctx.destination);
+
+  _recording = { stream, ctx, source, processor, chunks, vad };
+}
+
+/**
+ * Stop recording and return the captured audio as a 16 kHz mono WAV blob
+ * (or null if nothing usable was recorded)
+ */
+export async function stopRecording() {
+  const rec = _recording;
+  if (!rec) return null;
+  _recording = null;
+
+  rec.processor.onaudioprocess = null;
+  rec.source.disconnect();
+  rec.processor.disconnect();
+  rec.stream.getTracks().forEach(track => track.stop());
+  const sampleRate = rec.ctx.sampleRate;
+  await rec.ctx.close();
+
+  if (!rec.chunks.length || (rec.vad.enabled && !rec.vad.heardSpeech)) return null;
+
+  const samples = downsample(concat(rec.chunks), sampleRate, TARGET_SAMPLE_RATE);
+  return encodeWav(samples, TARGET_SAMPLE_RATE);
+}
+
+/**
+ * Send recorded audio to the STT server and return the transcript
+ */
+export async function transcribe(wavBlob) {
+  const { stt } = getConfig();
+  const form = new FormData();
+  form.append('file', wavBlob, 'speech.wav');
+
+  let endpoint;
+  if (stt.backend === 'whisper.cpp') {
+    // whisper.cpp `server` example
+    endpoint = `${stt.url}/inference`;
+    form.append('response_format', 'json');
+    if (stt.language) form.append('language', stt.language);
+  } else if (stt.backend === 'openai') {
+    endpoint = `${stt.url}/v1/audio/transcriptions`;
+    form.append('model', stt.model || 'whisper-1');
+    if (stt.language) form.append('language', stt.language);
+  } else {
+    // /stt route on the local TTS server
+    endpoint = `${stt.url}/stt`;
+    if (stt.language) form.append('language', stt.language);
+  }
+
+  const response = await fetch(endpoint, { method: 'POST', body: form });
+  if (!response.ok) {
+    throw new Error(`STT failed: ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.text || '').trim();
+}
+
+function concat(chunks) {
+  const length = chunks.reduce((n, c) => n + c.length, 0);
+  const out = new Float32Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+function downsample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const out = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    // Average the source samples that fall into this output sample
+    const start = Math.floor(i * ratio);
+    const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += samples[j];
+    out[i] = sum / Math.max(1, end - start);
+  }
+  return out;
+}
+
+function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);          // PCM chunk size
+  view.setUint16(20, 1, true);           // PCM format
+  view.setUint16(22, 1, true);           // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);           // block align
+  view.setUint16(34, 16, true);          // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return new Blob([buffer], { type: 'audio/wav' });
+}
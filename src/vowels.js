@@ -0,0 +1,139 @@
+/**
+ * Spectral vowel classifier — estimates which vowel is being spoken from an
+ * AnalyserNode's waveform. A linear-prediction (LPC) spectral envelope is fitted
+ * to each frame, its first two peaks are taken as formants F1/F2, and those are
+ * compared to vowel prototypes. LPC ignores the individual voice harmonics that
+ * make peak-picking on the raw FFT jump around with pitch.
+ */
+
+// Approximate formant centres (Hz) for a female voice, Japanese vowels
+const VOWEL_FORMANTS = {
+  aa: [800, 1300],
+  ih: [330, 2600],
+  ou: [370, 1550],
+  ee: [520, 2200],
+  oh: [500, 950],
+};
+
+const F1_RANGE = [250, 1050];
+const F2_MAX = 3200;
+// Envelope is evaluated on this grid (Hz)
+const GRID_MIN = 150;
+const GRID_MAX = 3500;
+const GRID_STEP = 15;
+// Frames quieter than this (RMS) are treated as silence
+const MIN_RMS = 0.01;
+// Width of the Gaussian around each prototype, in Bark
+const SPREAD = 1.1;
+
+/**
+ * Frequency in Hz → Bark (Zwicker) — a roughly perceptual scale for formant distances
+ */
+export function hzToBark(f) {
+  return 13 * Math.atan(0.00076 * f) + 3.5 * Math.atan((f / 7500) ** 2);
+}
+
+/**
+ * LPC coefficients a[0..order] (a[0] = 1) via autocorrelation + Levinson-Durbin
+ */
+function lpc(frame, order) {
+  const r = new Float64Array(order + 1);
+  for (let lag = 0; lag <= order; lag++) {
+    let sum = 0;
+    for (let n = lag; n < frame.length; n++) sum += frame[n] * frame[n - lag];
+    r[lag] = sum;
+  }
+  if (r[0] <= 0) return null;
+  r[0] *= 1.0001;  // Slight white-noise correction keeps the recursion stable
+
+  const a = new Float64Array(order + 1);
+  const prev = new Float64Array(order + 1);
+  a[0] = 1;
+  let error = r[0];
+  for (let i = 1; i <= order; i++) {
+    let acc = r[i];
+    for (let j = 1; j < i; j++) acc += a[j] * r[i - j];
+    const k = -acc / error;
+    prev.set(a);
+    for (let j = 1; j < i; j++) a[j] = prev[j] + k * prev[i - j];
+    a[i] = k;
+    error *= 1 - k * k;
+    if (error <= 0) return null;
+  }
+  return a;
+}
+
+export function createVowelClassifier({ sampleRate, fftSize }) {
+  const order = Math.min(18, Math.round(sampleRate / 1000) + 2);
+  const frame = new Float32Array(fftSize);
+  const hamming = Float32Array.from({ length: fftSize }, (_, n) => 0.54 - 0.46 * Math.cos((2 * Math.PI * n) / (fftSize - 1)));
+  const gridHz = [];
+  for (let f = GRID_MIN; f <= GRID_MAX; f += GRID_STEP) gridHz.push(f);
+  const envelope = new Float32Array(gridHz.length);
+  const prototypes = Object.entries(VOWEL_FORMANTS).map(([shape, [f1, f2]]) => ({
+    shape,
+    b1: hzToBark(f1),
+    b2: hzToBark(f2),
+  }));
+
+  /**
+   * Estimate { f1, f2 } in Hz from time-domain samples, or null if the frame isn't voiced
+   */
+  function estimateFormants(samples) {
+    let energy = 0;
+    for (let n = 0; n < fftSize; n++) energy += samples[n] * samples[n];
+    if (Math.sqrt(energy / fftSize) < MIN_RMS) return null;
+
+    // Pre-emphasis flattens the voice's spectral tilt, then window
+    frame[0] = samples[0] * hamming[0];
+    for (let n = 1; n < fftSize; n++) frame[n] = (samples[n] - 0.95 * samples[n - 1]) * hamming[n];
+
+    const a = lpc(frame, order);
+    if (!a) return null;
+
+    // |1 / A(e^jw)| in dB on the grid
+    for (let g = 0; g < gridHz.length; g++) {
+      const w = (2 * Math.PI * gridHz[g]) / sampleRate;
+      let re = 0, im = 0;
+      for (let k = 0; k <= order; k++) {
+        re += a[k] * Math.cos(w * k);
+        im -= a[k] * Math.sin(w * k);
+      }
+      envelope[g] = -10 * Math.log10(re * re + im * im + 1e-12);
+    }
+
+    const peaks = [];
+    for (let g = 1; g < gridHz.length - 1; g++) {
+      if (envelope[g] > envelope[g - 1] && envelope[g] >= envelope[g + 1]) peaks.push(gridHz[g]);
+    }
+    const f1 = peaks.find(f => f >= F1_RANGE[0] && f <= F1_RANGE[1]);
+    if (!f1) return null;
+    const f2 = peaks.find(f => f > f1 + 150 && f <= F2_MAX) ?? null;
+    return { f1, f2 };
+  }
+
+  /**
+   * Vowel probabilities { aa, ih, ou, ee, oh } summing to 1, or null if unvoiced
+   */
+  function classify(samples) {
+    const formants = estimateFormants(samples);
+    if (!formants) return null;
+
+    const b1 = hzToBark(formants.f1);
+    // Without a clear F2 only the jaw opening (F1) can be judged
+    const b2 = formants.f2 ? hzToBark(formants.f2) : null;
+    const weights = {};
+    let total = 0;
+    for (const p of prototypes) {
+      // F1 (jaw opening) is the more reliable cue, so F2 counts for less
+      const d2 = (b1 - p.b1) ** 2 + (b2 === null ? 0 : 0.5 * (b2 - p.b2) ** 2);
+      weights[p.shape] = Math.exp(-d2 / (2 * SPREAD * SPREAD));
+      total += weights[p.shape];
+    }
+    if (total < 1e-6) return null;
+    for (const shape of Object.keys(weights)) weights[shape] /= total;
+    return weights;
+  }
+
+  return { estimateFormants, classify };
+}
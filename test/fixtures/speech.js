@@ -0,0 +1,63 @@
+/**
+ * Synthetic speech for the lip-sync tests — vowels made the way the source-filter model
+ * describes voiced speech, so the classifier sees formants rather than pure tones
+ */
+
+// The analyser the voice plays through (see chat.js)
+export const SAMPLE_RATE = 24000;
+export const FFT_SIZE = 1024;
+
+// Formants (Hz) of synthetic Japanese vowels, female voice — close to, not exactly, the prototypes
+export const VOWELS = {
+  aa: [780, 1250, 2800],
+  ih: [320, 2650, 3100],
+  ou: [380, 1500, 2700],
+  ee: [500, 2150, 2900],
+  oh: [520, 900, 2800],
+};
+
+// Formant bandwidths (Hz): F1 is the sharpest, higher formants are broader
+const BANDWIDTHS = [60, 90, 150];
+
+/**
+ * A vowel `length` samples long: a pulse train at pitch f0, rolled off like voiced speech,
+ * through a cascade of two-pole resonators, one per formant. Peaks at 0.5 (speaking level).
+ */
+export function synthesizeVowel(formants, { f0 = 220, length = FFT_SIZE * 4 } = {}) {
+  let signal = new Float64Array(length);
+  const period = SAMPLE_RATE / f0;
+  let source = 0;
+  for (let n = 0; n < length; n++) {
+    const pulse = Math.floor(n / period) !== Math.floor((n - 1) / period) ? 1 : 0;
+    source = pulse + 0.7 * source;
+    signal[n] = source;
+  }
+  formants.forEach((f, i) => {
+    const r = Math.exp(-Math.PI * BANDWIDTHS[i] / SAMPLE_RATE);
+    const a1 = 2 * r * Math.cos(2 * Math.PI * f / SAMPLE_RATE);
+    const a2 = -r * r;
+    const out = new Float64Array(length);
+    for (let n = 0; n < length; n++) out[n] = signal[n] + a1 * (out[n - 1] || 0) + a2 * (out[n - 2] || 0);
+    signal = out;
+  });
+  let peak = 0;
+  for (const x of signal) peak = Math.max(peak, Math.abs(x));
+  return Float32Array.from(signal, x => (x / peak) * 0.5);
+}
+
+/**
+ * A recording of [[vowel, seconds], ...] spoken one after another; a null vowel is silence
+ */
+export function synthesizeSpeech(parts, { f0 = 220 } = {}) {
+  const clips = parts.map(([vowel, seconds]) => {
+    const length = Math.round(seconds * SAMPLE_RATE);
+    return vowel ? synthesizeVowel(VOWELS[vowel], { f0, length }) : new Float32Array(length);
+  });
+  const recording = new Float32Array(clips.reduce((sum, clip) => sum + clip.length, 0));
+  let offset = 0;
+  for (const clip of clips) {
+    recording.set(clip, offset);
+    offset += clip.length;
+  }
+  return recording;
+}
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { checkLLM, checkTTS } from '../src/health.js';
+
+/**
+ * A stub server on a free port; routes: path → (request, response)
+ */
+async function stubServer(routes) {
+  const server = createServer((request, response) => {
+    const route = routes[request.url];
+    if (route) return route(request, response);
+    response.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+const json = body => (request, response) => {
+  response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+};
+
+let ollama, openai, slow, tts, down;
+const pending = new Set();
+
+before(async () => {
+  ollama = await stubServer({ '/api/tags': json({ models: [{ name: 'sharon-v1:q8_0' }, { name: 'qwen2.5:latest' }] }) });
+  openai = await stubServer({
+    '/v1/models': (request, response) => {
+      if (request.headers.authorization !== 'Bearer secret') return response.writeHead(401).end();
+      json({ data: [{ id: 'local-model' }] })(request, response);
+    },
+  });
+  // Accepts the request and never answers
+  slow = await stubServer({ '/api/tags': (request, response) => pending.add(response), '/health': (request, response) => pending.add(response) });
+  tts = await stubServer({ '/health': (request, response) => response.writeHead(200).end('ok') });
+  // A port that was just freed: nothing listens there
+  const closed = await stubServer({});
+  down = closed.url;
+  await new Promise(resolve => closed.server.close(resolve));
+});
+
+after(() => {
+  pending.forEach(response => response.destroy());
+  for (const { server } of [ollama, openai, slow, tts]) {
+    server.close();
+    server.closeAllConnections();
+  }
+});
+
+test('up: Ollama with the model pulled', async () => {
+  assert.deepEqual(await checkLLM({ url: ollama.url, model: 'sharon-v1:q8_0' }), { ok: true, message: 'sharon-v1:q8_0 ready', action: '' });
+  // No tag means :latest
+  assert.equal((await checkLLM({ url: `${ollama.url}/`, model: 'qwen2.5' })).ok, true);
+});
+
+test('up: OpenAI-compatible server with the model loaded and the right key', async () => {
+  const result = await checkLLM({ backend: 'openai', url: openai.url, apiKey: 'secret', model: 'local-model' });
+  assert.equal(result.ok, true);
+});
+
+test('wrong model: says which model to pull or load', async () => {
+  const pulled = await checkLLM({ url: ollama.url, model: 'llama3:8b' });
+  assert.equal(pulled.ok, false);
+  assert.equal(pulled.message, 'Model llama3:8b is not pulled');
+  assert.equal(pulled.action, 'Run `ollama pull llama3:8b`');
+
+  const loaded = await checkLLM({ backend: 'openai', url: openai.url, apiKey: 'secret', model: 'other' });
+  assert.equal(loaded.message, 'Model other is not loaded');
+});
+
+test('rejected key', async () => {
+  const result = await checkLLM({ backend: 'openai', url: openai.url, apiKey: 'wrong', model: 'local-model' });
+  assert.equal(result.ok, false);
+  assert.match(result.message, /rejected the API key/);
+});
+
+test('wrong backend type: a server that is up answers 404', async () => {
+  const result = await checkLLM({ backend: 'openai', url: ollama.url, model: 'sharon-v1:q8_0' });
+  assert.equal(result.ok, false);
+  assert.match(result.message, /answered 404/);
+});
+
+test('down: nothing listening', async () => {
+  const result = await checkLLM({ url: down, model: 'sharon-v1:q8_0' });
+  assert.equal(result.ok, false);
+  assert.equal(result.message, `Ollama is not running at ${down}`);
+  assert.equal(result.action, 'Start it with `ollama serve`');
+  assert.match((await checkTTS({ url: down })).message, /TTS server is not running/);
+});
+
+test('slow: a server that does not answer in time', async () => {
+  const started = Date.now();
+  const result = await checkLLM({ url: slow.url, model: 'sharon-v1:q8_0' }, { timeout: 200 });
+  assert.ok(Date.now() - started < 2000);
+  assert.equal(result.ok, false);
+  assert.equal(result.message, `Ollama at ${slow.url} is not answering`);
+  assert.equal((await checkTTS({ url: slow.url }, { timeout: 200 })).ok, false);
+});
+
+test('TTS: up', async () => {
+  assert.deepEqual(await checkTTS({ url: tts.url }), { ok: true, message: 'Running', action: '' });
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, normalizeLanguage, languageName, sameLanguage } from '../src/language.js';
+
+test('detects languages by script', () => {
+  assert.equal(detectLanguage('今日はいい天気ですね。'), 'ja');
+  assert.equal(detectLanguage('カタカナだけ'), 'ja');
+  assert.equal(detectLanguage('안녕하세요, 반가워요!'), 'ko');
+  assert.equal(detectLanguage('Привет, как дела?'), 'ru');
+});
+
+test('Han without kana or hangul is ambiguous', () => {
+  assert.equal(detectLanguage('今日晴天'), null);
+  assert.equal(detectLanguage('我今天很高兴。'), null);
+  assert.equal(detectLanguage('東京都'), null);
+  // Any kana marks Japanese, however much kanji there is
+  assert.equal(detectLanguage('東京都庁舎展望室に'), 'ja');
+});
+
+test('detects Latin-script languages by their function words', () => {
+  assert.equal(detectLanguage('What do you think of this song?'), 'en');
+  assert.equal(detectLanguage('No sé, pero es muy bonito para mí.'), 'es');
+  assert.equal(detectLanguage('Je ne sais pas, mais c\'est très joli.'), 'fr');
+  assert.equal(detectLanguage('Ich weiß es nicht, aber das ist sehr schön.'), 'de');
+});
+
+test('short or unclear text is not guessed', () => {
+  assert.equal(detectLanguage(''), null);
+  assert.equal(detectLanguage('123 !!'), null);
+  assert.equal(detectLanguage('Okay'), null);
+});
+
+test('normalizes codes, tags and names', () => {
+  assert.equal(normalizeLanguage('ja-JP'), 'ja');
+  assert.equal(normalizeLanguage('Japanese'), 'ja');
+  assert.equal(normalizeLanguage('auto'), null);
+  assert.equal(normalizeLanguage('Klingon'), null);
+  assert.equal(languageName('ko'), 'Korean');
+  assert.equal(languageName('Klingon'), 'Klingon');
+  assert.ok(sameLanguage('en-US', 'English'));
+  assert.ok(!sameLanguage(null, 'English'));
+});
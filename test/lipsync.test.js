@@ -0,0 +1,160 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initLipSync, startLipSync, stopLipSync, scheduleVisemes, updateLipSync } from '../src/lipsync.js';
+import { SAMPLE_RATE, FFT_SIZE, synthesizeSpeech } from './fixtures/speech.js';
+
+const FPS = 60;
+const SHAPES = ['aa', 'ih', 'ou', 'ee', 'oh'];
+
+/**
+ * A stand-in for the AnalyserNode in chat.js that plays `recording` as context.currentTime
+ * advances. Frequency data is computed the way the Web Audio spec describes: Blackman window,
+ * FFT, smoothing over time, then decibels scaled into bytes.
+ */
+function stubAnalyser(recording, { smoothingTimeConstant = 0.5, minDecibels = -100, maxDecibels = -30 } = {}) {
+  const bins = FFT_SIZE / 2;
+  const blackman = Float64Array.from({ length: FFT_SIZE }, (_, n) => {
+    const x = (2 * Math.PI * n) / FFT_SIZE;
+    return 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+  });
+  const smoothed = new Float64Array(bins);
+  const context = { sampleRate: SAMPLE_RATE, currentTime: 0 };
+
+  // The fftSize samples that have played by now
+  const frame = (out) => {
+    const end = Math.round(context.currentTime * SAMPLE_RATE);
+    for (let n = 0; n < FFT_SIZE; n++) out[n] = recording[end - FFT_SIZE + n] ?? 0;
+  };
+
+  return {
+    context,
+    fftSize: FFT_SIZE,
+    frequencyBinCount: bins,
+    getFloatTimeDomainData: frame,
+    getByteFrequencyData(out) {
+      const re = new Float64Array(FFT_SIZE);
+      const im = new Float64Array(FFT_SIZE);
+      frame(re);
+      for (let n = 0; n < FFT_SIZE; n++) re[n] *= blackman[n];
+      fft(re, im);
+      for (let k = 0; k < bins; k++) {
+        const magnitude = Math.hypot(re[k], im[k]) / FFT_SIZE;
+        smoothed[k] = smoothingTimeConstant * smoothed[k] + (1 - smoothingTimeConstant) * magnitude;
+        const db = 20 * Math.log10(smoothed[k] || 1e-20);
+        out[k] = Math.max(0, Math.min(255, Math.floor((255 / (maxDecibels - minDecibels)) * (db - minDecibels))));
+      }
+    },
+  };
+}
+
+// In-place radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j |= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size *= 2) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k), sin = Math.sin(step * k);
+        const a = start + k, b = a + size / 2;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// A VRM that only remembers the mouth weights it was given
+const weights = Object.fromEntries(SHAPES.map(shape => [shape, 0]));
+const vrm = { expressionManager: { setValue: (shape, w) => { weights[shape] = w; } } };
+
+function strongest() {
+  return SHAPES.reduce((best, shape) => (weights[shape] > weights[best] ? shape : best));
+}
+
+function openness() {
+  return Math.max(...SHAPES.map(shape => weights[shape]));
+}
+
+let clock = 0;  // seconds, shared by performance.now() and the audio context
+
+/**
+ * Play `recording` from the start, calling updateLipSync() every frame like the render loop;
+ * returns a function that runs frames until a time
+ */
+function play(recording) {
+  const analyser = stubAnalyser(recording);
+  const startAt = clock;
+  initLipSync(vrm, analyser);
+  startLipSync();
+  return (until) => {
+    while (clock - startAt < until) {
+      clock += 1 / FPS;
+      analyser.context.currentTime = clock - startAt;
+      updateLipSync();
+    }
+  };
+}
+
+before(() => {
+  mock.method(performance, 'now', () => clock * 1000);
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('the mouth follows the vowels of a recording', () => {
+  const vowels = ['aa', 'ih', 'ou', 'ee', 'oh'];
+  const playUntil = play(synthesizeSpeech([[null, 0.2], ...vowels.map(v => [v, 0.4]), [null, 0.4]]));
+
+  playUntil(0.15);
+  assert.ok(openness() < 0.01, `open in silence: ${JSON.stringify(weights)}`);
+
+  vowels.forEach((vowel, i) => {
+    // Near the end of each vowel, once the smoothing has caught up
+    playUntil(0.2 + 0.4 * i + 0.35);
+    assert.equal(strongest(), vowel, `${vowel}: ${JSON.stringify(weights)}`);
+    assert.ok(weights[vowel] > 0.3, `${vowel} barely open: ${weights[vowel]}`);
+  });
+
+  playUntil(0.2 + 0.4 * vowels.length + 0.3);
+  assert.ok(openness() < 0.05, `still open after the recording: ${JSON.stringify(weights)}`);
+  stopLipSync();
+});
+
+test('a phoneme timeline wins over what the audio sounds like', () => {
+  // The voice says "a" throughout, the timeline says "i" then "o"
+  const playUntil = play(synthesizeSpeech([['aa', 0.8]]));
+  scheduleVisemes(null, 0, { timings: [
+    { phoneme: 'i', start: 0, end: 0.4 },
+    { phoneme: 'o', start: 0.4, end: 0.8 },
+  ] });
+
+  playUntil(0.2);
+  assert.equal(strongest(), 'ih', JSON.stringify(weights));
+  playUntil(0.7);
+  assert.equal(strongest(), 'oh', JSON.stringify(weights));
+  stopLipSync();
+});
+
+test('stopping closes the mouth', async () => {
+  const playUntil = play(synthesizeSpeech([['aa', 0.5]]));
+  playUntil(0.4);
+  assert.ok(openness() > 0.3);
+  stopLipSync();
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal(openness(), 0);
+});
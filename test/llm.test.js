@@ -0,0 +1,197 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createBackend } from '../src/llm.js';
+
+// One stub LLM server for every test; respond() sets how it answers the next request
+let server, url, handle;
+
+before(async () => {
+  server = createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => handle(request, response, body ? JSON.parse(body) : null));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  server.closeAllConnections();
+});
+
+/**
+ * Answer the next request with `chunks`, each written separately, `gap` ms apart, so they
+ * reach the client as separate reads. Resolves once the response has closed to
+ * { request, body, finished } — finished is false when the client hung up before the end.
+ */
+function respond(chunks, { status = 200, gap = 5 } = {}) {
+  return new Promise((resolve) => {
+    handle = async (request, response, body) => {
+      let closed = false;
+      response.on('close', () => {
+        closed = true;
+        resolve({ request, body, finished: response.writableFinished });
+      });
+      response.writeHead(status);
+      for (const chunk of chunks) {
+        if (closed) return;
+        response.write(chunk);
+        await sleep(gap);
+      }
+      if (!closed) response.end();
+    };
+  });
+}
+
+async function collect(stream) {
+  let text = '';
+  for await (const delta of stream) text += delta;
+  return text;
+}
+
+const ndjson = (...objects) => objects.map(o => `${JSON.stringify(o)}\n`);
+const sse = (...objects) => objects.map(o => `data: ${typeof o === 'string' ? o : JSON.stringify(o)}\n\n`);
+const content = text => ({ choices: [{ delta: { content: text } }] });
+const pieces = (text, size) => text.match(new RegExp(`[^]{1,${size}}`, 'g'));
+
+test('ollama: streams NDJSON deltas, lines split across chunks', async () => {
+  const body = ndjson(
+    { message: { content: 'Hello' }, done: false },
+    { message: { content: ' there.' }, done: false },
+    { message: { content: '' }, done: true },
+  ).join('');
+  const served = respond([body.slice(0, 17), body.slice(17, 50), body.slice(50)]);
+  const backend = createBackend({ backend: 'ollama', url: `${url}/` });
+  const text = await collect(backend.chatStream({ model: 'm', messages: [], options: { maxTokens: 20, stop: ['<memory>'], json: true } }));
+
+  assert.equal(text, 'Hello there.');
+  const { request, body: sent } = await served;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/api/chat');
+  assert.equal(sent.format, 'json');
+  assert.deepEqual(sent.options, { num_predict: 20, stop: ['<memory>'] });
+});
+
+test('ollama: collects tool calls and reports them after the reply', async () => {
+  respond(ndjson(
+    { message: { content: '', tool_calls: [{ function: { name: 'get_time', arguments: {} } }] }, done: false },
+    { message: { content: 'One moment.' }, done: true },
+  ));
+  const backend = createBackend({ backend: 'ollama', url });
+  let reported = null;
+  const text = await collect(backend.chatStream({ model: 'm', messages: [], onToolCalls: (c) => { reported = c; } }));
+
+  assert.equal(text, 'One moment.');
+  assert.deepEqual(reported, [{ id: 'call_0', name: 'get_time', arguments: {} }]);
+});
+
+test('ollama: an error line in the stream rejects', async () => {
+  respond(ndjson({ message: { content: 'Hi' } }, { error: 'model ran out of memory' }));
+  const backend = createBackend({ url });
+  await assert.rejects(collect(backend.chatStream({ model: 'm', messages: [] })), /Ollama error: model ran out of memory/);
+});
+
+test('ollama: an error status carries the server\'s message', async () => {
+  respond([JSON.stringify({ error: 'model "m" not found' })], { status: 404 });
+  const backend = createBackend({ url });
+  await assert.rejects(backend.chat({ model: 'm', messages: [] }), /Ollama error: 404 Not Found — model "m" not found/);
+});
+
+test('ollama: stops reading at done and closes the connection', async () => {
+  const served = respond([...ndjson({ message: { content: 'Hi' }, done: true }), ...ndjson({ message: { content: 'ignored' } }, { message: { content: 'ignored' } })], { gap: 30 });
+  const backend = createBackend({ url });
+  assert.equal(await collect(backend.chatStream({ model: 'm', messages: [] })), 'Hi');
+  assert.equal((await served).finished, false);
+});
+
+test('openai: streams SSE deltas, events split across chunks', async () => {
+  const served = respond(pieces(sse(content('Good '), content('morning!'), '[DONE]').join(''), 9), { gap: 1 });
+  const backend = createBackend({ backend: 'openai', url, apiKey: 'key' });
+  const text = await collect(backend.chatStream({ model: 'm', messages: [], options: { json: true } }));
+
+  assert.equal(text, 'Good morning!');
+  const { request, body, finished } = await served;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer key');
+  assert.deepEqual(body.response_format, { type: 'json_object' });
+  assert.equal(finished, true);
+});
+
+test('openai: assembles streamed tool call fragments', async () => {
+  respond(sse(
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: 'a', function: { name: 'set_', arguments: '' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'timer', arguments: '{"minu' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 1, id: 'b', function: { name: 'get_time', arguments: '' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'tes": 5}' } }] } }] },
+    '[DONE]',
+  ));
+  const backend = createBackend({ backend: 'openai', url });
+  let reported = null;
+  await collect(backend.chatStream({ model: 'm', messages: [], onToolCalls: (c) => { reported = c; } }));
+
+  assert.deepEqual(reported, [
+    { id: 'a', name: 'set_timer', arguments: { minutes: 5 } },
+    { id: 'b', name: 'get_time', arguments: {} },
+  ]);
+});
+
+test('openai: sends four stop sequences, applies the rest itself and hangs up', async () => {
+  const stop = ['<|im_sep|>', '<|im_end|>', '<|endoftext|>', '<|user|>', '<memory>', '\n\n\n'];
+  const served = respond(sse(content('Sure thing. <mem'), content('ory>user likes tea'), content(' more'), content(' and more'), '[DONE]'), { gap: 30 });
+  const backend = createBackend({ backend: 'openai', url });
+  const text = await collect(backend.chatStream({ model: 'm', messages: [], options: { stop } }));
+
+  assert.equal(text, 'Sure thing. ');
+  const { body, finished } = await served;
+  assert.deepEqual(body.stop, stop.slice(0, 4));
+  assert.equal(finished, false);
+});
+
+test('openai: a held-back ending that is not a stop sequence is still passed on', async () => {
+  respond(sse(content('a < b and 1 <'), '[DONE]'));
+  const backend = createBackend({ backend: 'openai', url });
+  const text = await collect(backend.chatStream({ model: 'm', messages: [], options: { stop: ['1', '2', '3', '4', '<memory>'] } }));
+  assert.equal(text, 'a < b and 1 <');
+});
+
+test('openai: chat cuts the reply at a stop sequence past the fourth', async () => {
+  respond([JSON.stringify({ choices: [{ message: { content: 'Okay!\n\n\nUser: and then' } }] })]);
+  const backend = createBackend({ backend: 'openai', url });
+  const text = await backend.chat({ model: 'm', messages: [], options: { stop: ['a1', 'a2', 'a3', 'a4', '\n\n\n'] } });
+  assert.equal(text, 'Okay!');
+});
+
+test('openai: an error event in the stream rejects', async () => {
+  respond(sse(content('Hi'), { error: { message: 'context length exceeded' } }));
+  const backend = createBackend({ backend: 'openai', url });
+  await assert.rejects(collect(backend.chatStream({ model: 'm', messages: [] })), /LLM server error: context length exceeded/);
+});
+
+test('openai: an error status carries the server\'s message', async () => {
+  respond([JSON.stringify({ error: { message: 'invalid api key' } })], { status: 401 });
+  const backend = createBackend({ backend: 'openai', url });
+  await assert.rejects(collect(backend.chatStream({ model: 'm', messages: [] })), /LLM server error: 401 Unauthorized — invalid api key/);
+});
+
+test('abort: a signal aborted mid-stream rejects and closes the connection', async () => {
+  const served = respond(sse(content('one '), content('two '), content('three')), { gap: 50 });
+  const backend = createBackend({ backend: 'openai', url });
+  const controller = new AbortController();
+  const received = [];
+  await assert.rejects(async () => {
+    for await (const delta of backend.chatStream({ model: 'm', messages: [], signal: controller.signal })) {
+      received.push(delta);
+      controller.abort();
+    }
+  }, { name: 'AbortError' });
+  assert.deepEqual(received, ['one ']);
+  assert.equal((await served).finished, false);
+});
+
+test('abort: a signal aborted before the request rejects at once', async () => {
+  const backend = createBackend({ url });
+  await assert.rejects(backend.chat({ model: 'm', messages: [], signal: AbortSignal.abort() }), { name: 'AbortError' });
+});
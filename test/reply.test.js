@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReply, parsePartialReply, replyText, replyPrompt, limitSpoken, countWords } from '../src/reply.js';
+
+const reply = (fields) => ({ emotion: null, gestures: [], say: '', display: null, ...fields });
+
+// Replies as models have actually sent them, and what should be read out of each
+const REPLIES = [
+  ['well-formed tags',
+    '<emotion>happy:0.8</emotion> <gesture>wave</gesture> Hi there! <display>Longer **text**.</display>',
+    reply({ emotion: 'happy:0.8', gestures: ['wave'], say: 'Hi there!', display: 'Longer **text**.' })],
+  ['tag closed with a second opening tag',
+    '<emotion>happy<emotion> Hello!',
+    reply({ emotion: 'happy', say: 'Hello!' })],
+  ['unclosed emotion running into the line',
+    '<emotion>sad Oh no, that is bad.',
+    reply({ emotion: 'sad', say: 'Oh no, that is bad.' })],
+  ['unclosed gesture before another tag',
+    '<gesture>nod <emotion>relaxed</emotion> Sure.',
+    reply({ emotion: 'relaxed', gestures: ['nod'], say: 'Sure.' })],
+  ['misspelt closing tag',
+    '<emotion>happy</emotions> Hi.',
+    reply({ emotion: 'happy', say: 'Hi.' })],
+  ['misspelt tag names',
+    '<emotoin>surprised</emotoin> <gestrue>shrug</gestrue> No way.',
+    reply({ emotion: 'surprised', gestures: ['shrug'], say: 'No way.' })],
+  ['attribute-style tags',
+    '<Emotion=surprised> <gesture:wave/> Really?',
+    reply({ emotion: 'surprised', gestures: ['wave'], say: 'Really?' })],
+  ['unknown tags dropped, their text kept',
+    '<speak>Hello <b>there</b></speak>',
+    reply({ say: 'Hello there' })],
+  ['reasoning left out',
+    '<think>The user is greeting me.</think><emotion>happy</emotion> Hi.',
+    reply({ emotion: 'happy', say: 'Hi.' })],
+  ['display text keeps its lines',
+    'Here you go. <display>Steps:\n1. Boil water\n2. Add tea</display>',
+    reply({ say: 'Here you go.', display: 'Steps:\n1. Boil water\n2. Add tea' })],
+];
+
+const TEMPLATE_TOKENS = [
+  ['run on into the next turn',
+    '<emotion>happy</emotion> Sure!<|im_end|><|user|>what next?',
+    reply({ emotion: 'happy', say: 'Sure!' })],
+  ['end-of-text token',
+    '<emotion>happy</emotion> Hi!<|endoftext|>',
+    reply({ emotion: 'happy', say: 'Hi!' })],
+  ['assistant header echoed',
+    '<|im_start|>assistant\n<emotion>relaxed</emotion> Okay.',
+    reply({ emotion: 'relaxed', say: 'Okay.' })],
+  ['run on into a user turn',
+    'Of course. <|im_start|>user\nThanks',
+    reply({ say: 'Of course.' })],
+  ['closing response tag',
+    'Bye for now.</response>\n<response>Hi again',
+    reply({ say: 'Bye for now.' })],
+  ['run-on memory block',
+    'Good night! <memory>user sleeps at 11</memory> <emotion>sad</emotion> more',
+    reply({ say: 'Good night!' })],
+  ['run-on memory block with nothing before it',
+    '<emotion>neutral</emotion><memory>likes tea',
+    reply({ emotion: 'neutral' })],
+];
+
+const JSON_REPLIES = [
+  ['whole object',
+    '{"emotion": "happy:0.8", "gestures": ["wave"], "say": "Spoken line.", "display": "Longer text."}',
+    reply({ emotion: 'happy:0.8', gestures: ['wave'], say: 'Spoken line.', display: 'Longer text.' })],
+  ['fenced',
+    '```json\n{"emotion":"happy","gestures":["nod"],"say":"Yes!"}\n```',
+    reply({ emotion: 'happy', gestures: ['nod'], say: 'Yes!' })],
+  ['escapes',
+    '{"emotion": "sad", "say": "Line one.\\nLine \\"two\\" \\u2014 end.", "display": "- a\\n- b"}',
+    reply({ emotion: 'sad', say: 'Line one. Line "two" — end.', display: '- a\n- b' })],
+  ['emotion as an object, tags inside say',
+    '{"emotion": {"name": "angry", "intensity": 0.5}, "say": "<gesture>shrug</gesture> Fine."}',
+    reply({ emotion: 'angry:0.5', gestures: ['shrug'], say: 'Fine.' })],
+  ['other names for the spoken text, a single gesture',
+    '{"emotion": "relaxed", "gesture": "nod", "text": "Mm-hm."}',
+    reply({ emotion: 'relaxed', gestures: ['nod'], say: 'Mm-hm.' })],
+  ['cut off by the token limit inside say',
+    '{"emotion": "happy:0.7", "gestures": ["wave", "nod"], "say": "Hello, I was about to say some',
+    reply({ emotion: 'happy:0.7', gestures: ['wave', 'nod'], say: 'Hello, I was about to say some' })],
+  ['cut off inside the gesture list',
+    '{"emotion": "happy", "gestures": ["wave", "no',
+    reply({ emotion: 'happy', gestures: ['wave'] })],
+  ['cut off inside display',
+    '{"say": "Here is the list.", "display": "1. Eggs\\n2. Mi',
+    reply({ say: 'Here is the list.', display: '1. Eggs\n2. Mi' })],
+  ['trailing garbage after the object',
+    '{"emotion": "happy", "say": "Done."}\n<|im_end|>',
+    reply({ emotion: 'happy', say: 'Done.' })],
+];
+
+for (const [group, cases] of [['tags', REPLIES], ['template tokens', TEMPLATE_TOKENS], ['json', JSON_REPLIES]]) {
+  for (const [name, raw, expected] of cases) {
+    test(`parseReply, ${group}: ${name}`, () => {
+      assert.deepEqual(parseReply(raw), expected);
+    });
+  }
+}
+
+test('parseReply: empty and missing replies', () => {
+  assert.deepEqual(parseReply(''), reply({}));
+  assert.deepEqual(parseReply(null), reply({}));
+  assert.deepEqual(parseReply('<emotion>happy</emotion>'), reply({ emotion: 'happy' }));
+});
+
+test('parsePartialReply: a tag that has not finished arriving is held back', () => {
+  assert.deepEqual(parsePartialReply('<emo'), reply({}));
+  assert.deepEqual(parsePartialReply('<emotion>hap'), reply({}));
+  assert.deepEqual(parsePartialReply('<emotion>happy</emot'), reply({}));
+  assert.deepEqual(parsePartialReply('<emotion>happy</emotion> Hel'), reply({ emotion: 'happy', say: 'Hel' }));
+  assert.deepEqual(parsePartialReply('<emotion>happy</emotion> Hello <gest'), reply({ emotion: 'happy', say: 'Hello' }));
+  assert.deepEqual(parsePartialReply('Sure. <gesture>nod'), reply({ say: 'Sure.' }));
+});
+
+test('parsePartialReply: display streams as it arrives, without being spoken', () => {
+  assert.deepEqual(parsePartialReply('Hi <display>Some lo'), reply({ say: 'Hi', display: 'Some lo' }));
+});
+
+test('parsePartialReply: JSON fields appear once their value has arrived', () => {
+  assert.deepEqual(parsePartialReply('{"emotion": "hap'), reply({}));
+  assert.deepEqual(parsePartialReply('{"emotion": "happy", "say": "Hel'), reply({ emotion: 'happy', say: 'Hel' }));
+  assert.deepEqual(parsePartialReply('```json\n{"say": "One. Two'), reply({ say: 'One. Two' }));
+});
+
+test('parsePartialReply agrees with parseReply once every tag is closed', () => {
+  for (const [name, raw] of [...REPLIES, ...JSON_REPLIES.slice(0, 5)]) {
+    if (name.startsWith('unclosed emotion')) continue;
+    assert.deepEqual(parsePartialReply(raw), parseReply(raw), raw);
+  }
+  // An emotion still open could be "happy" or "happy:0.8" — nothing is said until it closes or the reply ends
+  assert.deepEqual(parsePartialReply('<emotion>sad Oh no, that is bad.'), reply({}));
+});
+
+test('replyText: display text when there is one, else what was said', () => {
+  assert.equal(replyText(reply({ say: 'Hi.', display: 'Hi, and more.' })), 'Hi, and more.');
+  assert.equal(replyText(reply({ say: 'Hi.' })), 'Hi.');
+});
+
+test('replyPrompt: only the JSON format needs one', () => {
+  assert.equal(replyPrompt('tags'), '');
+  assert.match(replyPrompt('json'), /"say"/);
+});
+
+test('limitSpoken: whole sentences up to the word limit', () => {
+  const text = 'One two three. Four five. Six seven eight nine.';
+  assert.equal(countWords(text), 9);
+  assert.equal(limitSpoken(text, 0), text);
+  assert.equal(limitSpoken(text, 3), 'One two three.');
+  assert.equal(limitSpoken(text, 4), 'One two three.');
+  // Exactly at the limit the sentence is still spoken; one word over, it isn't
+  assert.equal(limitSpoken(text, 5), 'One two three. Four five.');
+  assert.equal(limitSpoken(text, 8), 'One two three. Four five.');
+  assert.equal(limitSpoken(text, 9), text);
+});
+
+test('limitSpoken: the first sentence is spoken however long', () => {
+  assert.equal(limitSpoken('This first sentence is long enough. Short.', 2), 'This first sentence is long enough.');
+  assert.equal(limitSpoken('No punctuation at all here', 2), 'No punctuation at all here');
+});
+
+test('limitSpoken: CJK sentences', () => {
+  assert.equal(limitSpoken('こんにちは。元気ですか？', 1), 'こんにちは。');
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVowelClassifier } from '../src/vowels.js';
+import { SAMPLE_RATE, FFT_SIZE, VOWELS, synthesizeVowel } from './fixtures/speech.js';
+
+/**
+ * The last analyser-sized frame of a vowel, once the resonators have settled
+ */
+function vowelFrame(formants, options) {
+  return synthesizeVowel(formants, options).slice(-FFT_SIZE);
+}
+
+function strongest(weights) {
+  return Object.entries(weights).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+const classifier = createVowelClassifier({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE });
+
+for (const [vowel, formants] of Object.entries(VOWELS)) {
+  test(`classifies a synthetic ${vowel}`, () => {
+    for (const f0 of [160, 220, 280]) {
+      const weights = classifier.classify(vowelFrame(formants, { f0 }));
+      assert.ok(weights, `${vowel} at ${f0} Hz was taken for silence`);
+      assert.equal(strongest(weights), vowel, `${vowel} at ${f0} Hz: ${JSON.stringify(weights)}`);
+    }
+  });
+}
+
+test('finds the first two formants', () => {
+  const { f1, f2 } = classifier.estimateFormants(vowelFrame(VOWELS.aa));
+  assert.ok(Math.abs(f1 - 780) < 100, `F1 ${f1}`);
+  assert.ok(Math.abs(f2 - 1250) < 120, `F2 ${f2}`);
+});
+
+test('weights sum to 1', () => {
+  const weights = classifier.classify(vowelFrame(VOWELS.ee));
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  assert.ok(Math.abs(total - 1) < 1e-9);
+});
+
+test('silence is not a vowel', () => {
+  assert.equal(classifier.classify(new Float32Array(FFT_SIZE)), null);
+  assert.equal(classifier.classify(vowelFrame(VOWELS.aa).map(x => x * 0.005)), null);
+});
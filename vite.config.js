@@ -1,3 +1,4 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 
 export default defineConfig({
@@ -12,11 +13,28 @@ export default defineConfig({
         rewrite: (path) => path.replace(/^\/ollama/, ''),
         timeout: 120000,
       },
+      // OpenAI-compatible server (LM Studio, vLLM, llama.cpp) — set VITE_CHAT_URL=/llm
+      '/llm': {
+        target: process.env.LLM_PROXY_TARGET || 'http://localhost:1234',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/llm/, ''),
+        timeout: 120000,
+      },
       '/tts': {
         target: 'http://localhost:8791',
         changeOrigin: true,
         timeout: 120000,
       },
+      '/stt': {
+        target: 'http://localhost:8791',
+        changeOrigin: true,
+        timeout: 120000,
+      },
+      // TTS server health check (see health.js)
+      '/health': {
+        target: 'http://localhost:8791',
+        changeOrigin: true,
+      },
     },
   },
   envPrefix: ['VITE_', 'TAURI_'],
@@ -25,5 +43,12 @@ export default defineConfig({
     minify: !process.env.TAURI_DEBUG ? 'esbuild' : false,
     sourcemap: !!process.env.TAURI_DEBUG,
     outDir: 'dist',
+    rollupOptions: {
+      // The widget, and the chat history popped out into its own window
+      input: {
+        main: fileURLToPath(new URL('index.html', import.meta.url)),
+        chat: fileURLToPath(new URL('chat.html', import.meta.url)),
+      },
+    },
   },
 });